@@ -1,11 +1,14 @@
 // npm install express-jwt for securing our backend apis by
 // protecting routes from being accessed by unauthorized users
 
-// Exclude login and register routes from authentication 
+// Exclude login, register and refresh routes from authentication 
 // So there is no need to enter 'Bearer Token' in 'Authorization'
 // when testing Postman POST Requests: 
 // http://localhost:3000/api/v1/users/login
 // http://localhost:3000/api/v1/users/register
+// http://localhost:3000/api/v1/users/refresh (the access token has usually expired by then)
+// http://localhost:3000/api/v1/users/verify-email/request (and /confirm)
+// http://localhost:3000/api/v1/users/password-reset/request (and /confirm)
 
 // Exclude products and featured products routes from authentication
 // So there is no need to enter 'Bearer Token' in 'Authorization'
@@ -25,12 +28,26 @@
 
 // What is http method: OPTIONS? https://reqbin.com/Article/HttpOptions
 
+// Exclude the list of reviews of a product from authentication so anyone can read them
+// Only GET /api/v1/reviews?product=... is excluded, not /api/v1/reviews/moderation
+// http://localhost:3000/api/v1/reviews?product=63cf1b67a72e858ebc611fd3
+
+// Exclude the cart from authentication so guests can use it
+// The cart router reads the token itself with optionalAuthJwt() when one is sent
+// Only /api/v1/cart and the paths below it, with the methods the cart router uses
+// http://localhost:3000/api/v1/cart
+
+// Exclude the payment provider's webhook from authentication
+// The provider signs every call instead (see helpers/payments.js)
+// http://localhost:3000/api/v1/payments/webhook
+
 // Exclude images in /public/uploads from authentication
 // We want to allow anyone to see the images in the /public/uploads folder
 // We have to exclude it in Jwt to make the images available to the client side
 // without authentication
 
 const { expressjwt: jwt } = require('express-jwt');
+const { isSessionActive } = require('./sessions');
 
 function authJwt(){
     return jwt({
@@ -41,19 +58,41 @@ function authJwt(){
         path: [
             `${process.env.API_VERSION}/users/login`,
             `${process.env.API_VERSION}/users/register`,
+            `${process.env.API_VERSION}/users/refresh`,
+            `${process.env.API_VERSION}/users/verify-email/request`,
+            `${process.env.API_VERSION}/users/verify-email/confirm`,
+            `${process.env.API_VERSION}/users/password-reset/request`,
+            `${process.env.API_VERSION}/users/password-reset/confirm`,
              { url: /\/api\/v1\/products(.*)/, methods: ['GET', 'OPTIONS']},
              { url: /\/api\/v1\/categories(.*)/, methods: ['GET', 'OPTIONS']},
+             { url: /^\/api\/v1\/reviews\/?$/, methods: ['GET', 'OPTIONS']},
+             { url: /^\/api\/v1\/cart(\/.*)?$/, methods: ['GET', 'POST', 'PATCH', 'DELETE', 'OPTIONS'] },
+             { url: /^\/api\/v1\/payments\/webhook\/?$/, methods: ['POST'] },
              { url: /\/public\/uploads(.*)/, methods: ['GET', 'OPTIONS']}
         ]
     });
 }
 
+// Same as authJwt() but lets requests without a token through with req.auth undefined
+// Used by routes that work for guests and for logged in users, like the cart
+function optionalAuthJwt(){
+    return jwt({
+        secret: process.env.SECRET,
+        algorithms: ['HS256'],
+        isRevoked: isRevoked,
+        credentialsRequired: false,
+    });
+}
+
 // isRevoke() has only two arguments: req and token
-// Useful when you want to restrict access to admin-only routes??
+// Returning true rejects the token for every route, so it must not be used
+// to restrict admin-only routes or customers could not place orders at all.
+// Role checks are done per route with authorize() in helpers/authorize.js
+// A token is revoked when its session has been logged out (see helpers/sessions.js).
+// Tokens signed before sessions existed have no 'sessionId' and must log in again.
 async function isRevoked(req, token){
-    if (!token.payload.userIsAdmin){  
-        return true; // Return true for non-admin
-    }
+    return !(await isSessionActive(token.payload.sessionId));
 }
 
-module.exports = authJwt;
\ No newline at end of file
+module.exports = authJwt;
+module.exports.optionalAuthJwt = optionalAuthJwt;
\ No newline at end of file
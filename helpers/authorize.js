@@ -0,0 +1,84 @@
+// Role-based access control
+// authJwt() only proves that the token is valid. Deciding what the token holder
+// is allowed to do happens here, per route, using named policies.
+
+const { UnauthorizedError, ForbiddenError } = require('./errors');
+
+// Every user has one of these roles (see 'role' in models/User.js)
+// customer: registered shopper, can only act on their own orders and profile
+// staff: manages the catalogue and processes orders
+// admin: everything staff can do plus user management and deleting orders
+const ROLES = {
+    CUSTOMER: 'customer',
+    STAFF: 'staff',
+    ADMIN: 'admin',
+};
+
+// Per-route policies: which roles are allowed to perform an action
+// Use the policy name with authorize() in the routers, for example:
+// router.delete('/:id', authorize('orders:delete'), async (req,res)=>{ ... });
+const POLICIES = {
+    'catalog:write': [ROLES.STAFF, ROLES.ADMIN],
+    'coupons:manage': [ROLES.ADMIN],
+    'orders:create': [ROLES.CUSTOMER, ROLES.STAFF, ROLES.ADMIN],
+    'orders:create-for-others': [ROLES.STAFF, ROLES.ADMIN],
+    'orders:read-all': [ROLES.STAFF, ROLES.ADMIN],
+    'orders:update': [ROLES.STAFF, ROLES.ADMIN],
+    'orders:delete': [ROLES.ADMIN],
+    'payments:manage': [ROLES.STAFF, ROLES.ADMIN],
+    'reports:read': [ROLES.STAFF, ROLES.ADMIN],
+    'returns:manage': [ROLES.STAFF, ROLES.ADMIN],
+    'reviews:moderate': [ROLES.STAFF, ROLES.ADMIN],
+    'shipping:manage': [ROLES.ADMIN],
+    'users:manage': [ROLES.ADMIN],
+};
+
+// express-jwt stores the decoded token payload in req.auth
+// Tokens signed before roles existed only carry 'userIsAdmin', so fall back to it
+function getRole(auth){
+    if (!auth) return null;
+    if (auth.userIsAdmin) return ROLES.ADMIN;
+    return auth.userRole || ROLES.CUSTOMER;
+}
+
+// Check whether the token holder's role is allowed by the policy
+function can(auth, policy){
+    const allowedRoles = POLICIES[policy];
+    if (!allowedRoles) {
+        throw new Error(`Unknown policy: ${policy}`);
+    }
+    return allowedRoles.includes(getRole(auth));
+}
+
+// Check whether the token holder owns a resource or is allowed by the policy anyway
+// ownerId can be an ObjectId, a string or a populated user document
+function canAccessOwn(auth, ownerId, policy){
+    if (can(auth, policy)) return true;
+    if (!auth || !ownerId) return false;
+    const id = ownerId._id ? ownerId._id : ownerId;
+    return auth.userId === id.toString();
+}
+
+// Express middleware that rejects the request unless the policy allows it
+function authorize(policy){
+    // Fail fast on a typo in the policy name when the router is loaded
+    if (!POLICIES[policy]) {
+        throw new Error(`Unknown policy: ${policy}`);
+    }
+    return (req, res, next)=>{
+        if (!req.auth) {
+            return next(new UnauthorizedError());
+        }
+        if (!can(req.auth, policy)) {
+            return next(new ForbiddenError());
+        }
+        next();
+    };
+}
+
+exports.ROLES = ROLES;
+exports.POLICIES = POLICIES;
+exports.getRole = getRole;
+exports.can = can;
+exports.canAccessOwn = canAccessOwn;
+exports.authorize = authorize;
@@ -0,0 +1,163 @@
+// Server side shopping cart
+// Logged in users have one cart linked to their user id. Guests get a cart with a random
+// token that the client keeps and sends in the 'X-Cart-Token' header. When a guest logs in
+// with that token, the guest cart is merged into the user's cart.
+
+const crypto = require('crypto');
+const { Cart } = require('../models/Cart');
+const { Product } = require('../models/Product');
+const { attributesOf, findVariant, variantPrice } = require('./variants');
+
+const GUEST_CART_DAYS = 30;
+
+function guestCartExpiry(){
+    return new Date(Date.now() + GUEST_CART_DAYS * 24 * 60 * 60 * 1000);
+}
+
+// Find the cart for this request: the user's cart when logged in, otherwise the guest cart
+// Returns null when there is no cart yet
+async function findCart(req){
+    if (req.auth) {
+        return Cart.findOne({ user: req.auth.userId });
+    }
+    const guestToken = req.get('X-Cart-Token');
+    if (guestToken) {
+        return Cart.findOne({ guestToken: guestToken });
+    }
+    return null;
+}
+
+// Same as findCart() but creates an empty cart when there is none
+async function findOrCreateCart(req){
+    const cart = await findCart(req);
+    if (cart) return cart;
+    if (req.auth) {
+        return new Cart({ user: req.auth.userId, items: [] });
+    }
+    return new Cart({
+        guestToken: crypto.randomBytes(24).toString('hex'),
+        items: [],
+        expiresAt: guestCartExpiry(),
+    });
+}
+
+// The item of the cart for a product, or for one of its variants; undefined when there is none
+function findCartItem(cart, productId, variantId){
+    return cart.items.find(item=> item.product.toString() === productId.toString()
+        && String(item.variant || '') === String(variantId || ''));
+}
+
+// The stock and price of a product, or of one of its variants
+// Returns null when the variant does not exist (anymore)
+function stockAndPrice(product, variantId){
+    if (!variantId) return { countInStock: product.countInStock, price: product.price };
+    const variant = findVariant(product, variantId);
+    return variant ? { countInStock: variant.countInStock, price: variantPrice(product, variant) } : null;
+}
+
+// Save the cart, pushing back the expiry of guest carts that are still in use
+async function saveCart(cart){
+    cart.dateUpdated = Date.now();
+    if (cart.guestToken) {
+        cart.expiresAt = guestCartExpiry();
+    }
+    return cart.save();
+}
+
+// Check the cart against the current products
+// Prices are always the live product prices, never the price at the time the item was added.
+// Every line gets an 'issue' when it cannot be ordered as it is, e.g. not enough stock left.
+// Returns { cartToken, items: [...], subtotal, canCheckout }
+async function describeCart(cart){
+
+    if (!cart) {
+        return { cartToken: null, items: [], subtotal: 0, canCheckout: false };
+    }
+
+    // Archived products are no longer available (see helpers/deletePolicies.js)
+    const products = await Product.find({ _id: { $in: cart.items.map(item => item.product) }, archivedAt: null })
+    .select('name image price countInStock variants');
+
+    const items = cart.items.map(item=>{
+        const product = products.find(p => p._id.equals(item.product));
+        const stock = product ? stockAndPrice(product, item.variant) : null;
+        if (!stock) {
+            return { product: item.product, variant: item.variant, quantity: item.quantity, unitPrice: null, lineTotal: 0, available: 0,
+                issue: 'This product is no longer available' };
+        }
+        const variant = findVariant(product, item.variant);
+        let issue = null;
+        if (!variant && product.variants.length > 0) {
+            issue = 'Please choose a variant of this product';
+        } else if (stock.countInStock == 0) {
+            issue = 'Out of stock';
+        } else if (stock.countInStock < item.quantity) {
+            issue = `Only ${stock.countInStock} left in stock`;
+        }
+        return {
+            product: { _id: product._id, name: product.name, image: product.image },
+            variant: variant ? { _id: variant._id, sku: variant.sku, attributes: attributesOf(variant) } : null,
+            quantity: item.quantity,
+            unitPrice: stock.price,
+            lineTotal: item.quantity * stock.price,
+            available: stock.countInStock,
+            issue: issue,
+        };
+    });
+
+    return {
+        cartToken: cart.guestToken || null,
+        items: items,
+        subtotal: items.reduce((total, item) => total + item.lineTotal, 0),
+        canCheckout: items.length > 0 && items.every(item => !item.issue),
+    };
+}
+
+// Move the items of a guest cart into the user's cart, adding up quantities of the same product (and variant),
+// then delete the guest cart. Does nothing when there is no guest cart for this token.
+async function mergeGuestCart(userId, guestToken){
+    if (!guestToken) return;
+    const guestCart = await Cart.findOne({ guestToken: guestToken });
+    if (!guestCart) return;
+
+    let userCart = await Cart.findOne({ user: userId });
+    if (!userCart) {
+        userCart = new Cart({ user: userId, items: [] });
+    }
+    guestCart.items.forEach(guestItem=>{
+        const item = findCartItem(userCart, guestItem.product, guestItem.variant);
+        if (item) {
+            item.quantity += guestItem.quantity;
+        } else {
+            userCart.items.push({ product: guestItem.product, variant: guestItem.variant, quantity: guestItem.quantity });
+        }
+    });
+    await saveCart(userCart);
+    await guestCart.deleteOne();
+}
+
+// Empty the cart and return the items it had, for checkout
+// Only one request can claim the items, so a double click or a retry cannot order them twice
+// Returns null when the cart was already empty
+async function claimCartItems(cart){
+    const claimed = await Cart.findOneAndUpdate(
+        { _id: cart._id, 'items.0': { $exists: true } },
+        { $set: { items: [], dateUpdated: Date.now() } }
+    );
+    return claimed ? claimed.items : null;
+}
+
+// Put claimed items back when the checkout fails, after any items added in the meantime
+async function restoreCartItems(cart, items){
+    await Cart.updateOne({ _id: cart._id }, { $push: { items: { $each: items } }, $set: { dateUpdated: Date.now() } });
+}
+
+exports.findCart = findCart;
+exports.findOrCreateCart = findOrCreateCart;
+exports.findCartItem = findCartItem;
+exports.stockAndPrice = stockAndPrice;
+exports.saveCart = saveCart;
+exports.describeCart = describeCart;
+exports.claimCartItems = claimCartItems;
+exports.restoreCartItems = restoreCartItems;
+exports.mergeGuestCart = mergeGuestCart;
@@ -0,0 +1,206 @@
+// Category tree
+// Every category has a 'parent' (null for the top level) and a materialized 'path': the ids from the
+// top level category down to the category itself, e.g. ',<vehicles id>,<cars id>,<electric cars id>,'.
+// With the path, a category and all its subcategories are found with one indexed query
+// (path starting with the path of the category), e.g. for GET /products?categories=<cars id>.
+//
+// The path and depth of a category are set here, never by a request:
+// - createCategory() builds them from the parent
+// - updateCategory() moves the category and its subcategories when the parent changes; a category
+//   cannot be moved under itself or one of its subcategories
+// - deleteCategory() moves the subcategories of the deleted category up to its parent (so does
+//   archiving a category, see helpers/deletePolicies.js)
+// A move updates the category first and then the paths of its subcategories. If the server stops in
+// between, or for categories saved before the tree existed, 'npm run rebuild:categories' rebuilds
+// every path from the parents (scripts/rebuildCategoryPaths.js). Until then, moving, deleting or
+// archiving a category without a path answers 409 PATHS_NOT_BUILT.
+
+const mongoose = require('mongoose');
+const { Category } = require('../models/Category');
+const { BadRequestError, ConflictError, NotFoundError } = require('./errors');
+
+// 'Électric Cars & Vans' -> 'electric-cars-vans'
+function slugify(name){
+    const slug = String(name || '')
+    .normalize('NFKD').replace(/[\u0300-\u036f]/g, '')  // 'É' -> 'E'
+    .toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '')
+    .slice(0, 90).replace(/-+$/, '');
+    return slug || 'category';
+}
+
+// A slug made from the name that no other category has: 'cars', or 'cars-2', 'cars-3', ...
+async function uniqueSlug(name, exceptId){
+    const base = slugify(name);
+    const filter = { slug: new RegExp(`^${base}(-[0-9]+)?$`) };
+    if (exceptId) filter._id = { $ne: exceptId };
+    const taken = new Set((await Category.find(filter).select('slug').lean()).map(category => category.slug));
+    let slug = base;
+    for (let n = 2; taken.has(slug); n++) {
+        slug = `${base}-${n}`;
+    }
+    return slug;
+}
+
+function pathOf(parent, id){
+    return `${parent ? parent.path : ','}${id},`;
+}
+
+// The categories whose path starts with 'path': the category itself and all its subcategories
+function subtreeFilter(path){
+    return { path: new RegExp(`^${path}`) };
+}
+
+// Categories saved before the tree existed have no path until the rebuild script has run
+function requirePath(category){
+    if (!category.path) {
+        throw new ConflictError(`Category ${category._id} has no path yet; run 'npm run rebuild:categories' first`, 'PATHS_NOT_BUILT');
+    }
+}
+
+async function findParent(parentId){
+    if (!parentId) return null;
+    const parent = await Category.findOne({ _id: parentId, archivedAt: null });
+    if (!parent) {
+        throw new BadRequestError('This parent category id is invalid', 'INVALID_PARENT');
+    }
+    requirePath(parent);
+    return parent;
+}
+
+// Change the start of the path of the subcategories below oldPath, after their ancestor moved
+// The paths are rewritten by the database with an update pipeline, so nothing is read first
+async function movePaths(oldPath, newPath, depthChange, exceptId){
+    await Category.updateMany({ ...subtreeFilter(oldPath), _id: { $ne: exceptId } }, [
+        { $set: {
+            path: { $concat: [newPath, { $substrCP: ['$path', oldPath.length, { $strLenCP: '$path' }] }] },
+            depth: { $add: ['$depth', depthChange] },
+        } },
+    ]);
+}
+
+async function createCategory(data){
+    const parent = await findParent(data.parent);
+    const category = new Category({
+        ...data,
+        slug: data.slug || await uniqueSlug(data.name),
+        parent: parent ? parent._id : null,
+    });
+    category.path = pathOf(parent, category._id);
+    category.depth = parent ? parent.depth + 1 : 0;
+    return category.save();
+}
+
+// Update a category; changing 'parent' moves it with all its subcategories
+// Returns the updated category, or null when there is no category with this id
+async function updateCategory(id, data){
+    const category = await Category.findById(id);
+    if (!category) return null;
+
+    const changes = { ...data };
+    const oldPath = category.path;
+    let depthChange = 0;
+    if (data.parent !== undefined && String(data.parent) !== String(category.parent)) {
+        requirePath(category);
+        const parent = await findParent(data.parent);
+        if (parent && parent.path.startsWith(oldPath)) {
+            throw new BadRequestError('A category cannot be moved under itself or one of its subcategories', 'INVALID_PARENT');
+        }
+        changes.parent = parent ? parent._id : null;
+        changes.path = pathOf(parent, category._id);
+        changes.depth = parent ? parent.depth + 1 : 0;
+        depthChange = changes.depth - category.depth;
+    } else {
+        delete changes.parent;
+    }
+
+    // Only update the category if it has not been moved since it was read
+    const updated = await Category.findOneAndUpdate({ _id: category._id, path: oldPath }, changes, { new: true, runValidators: true });
+    if (!updated) {
+        throw new ConflictError('This category was changed by another request, please try again', 'CONCURRENT_UPDATE');
+    }
+    if (changes.path) {
+        await movePaths(oldPath, changes.path, depthChange, category._id);
+    }
+    return updated;
+}
+
+// Move the subcategories of a category up to its parent, before it is deleted or archived
+async function moveSubcategoriesUp(category){
+    requirePath(category);
+    await Category.updateMany({ parent: category._id }, { $set: { parent: category.parent } });
+    const parentPath = category.path.slice(0, category.path.length - `${category._id},`.length);
+    await movePaths(category.path, parentPath, -1, category._id);
+}
+
+// Delete a category and move its subcategories up to its parent
+// Returns the deleted category, or null when there is no category with this id
+async function deleteCategory(id){
+    const category = await Category.findById(id);
+    if (!category) return null;
+
+    // The subcategories are moved first, so a failure never leaves them under a missing parent
+    await moveSubcategoriesUp(category);
+    return Category.findByIdAndDelete(category._id);
+}
+
+// The ids of the given categories and of all their subcategories
+async function withSubcategories(ids){
+    const objectIds = ids.map(id => new mongoose.Types.ObjectId(String(id)));
+    const categories = await Category.find({ _id: { $in: objectIds } }).select('path').lean();
+    const paths = categories.filter(category => category.path).map(category => subtreeFilter(category.path).path);
+    if (paths.length == 0) return objectIds;
+    const subcategories = await Category.find({ path: { $in: paths } }).select('_id').lean();
+    const unique = new Map([...objectIds, ...subcategories.map(category => category._id)].map(id => [id.toString(), id]));
+    return [...unique.values()];
+}
+
+// Nest categories (plain objects, e.g. from .lean()) under their parents:
+// [{ _id, name, slug, color, icon, sortOrder, depth, children: [...] }]
+// Categories whose parent is not in the list are returned at the top
+function buildTree(categories){
+    const nodes = new Map(categories.map(category=> [category._id.toString(), {
+        _id: category._id,
+        name: category.name,
+        slug: category.slug,
+        color: category.color,
+        icon: category.icon,
+        sortOrder: category.sortOrder || 0,
+        depth: category.depth || 0,
+        children: [],
+    }]));
+    const roots = [];
+    categories.forEach(category=>{
+        const node = nodes.get(category._id.toString());
+        const parent = category.parent && nodes.get(category.parent.toString());
+        (parent ? parent.children : roots).push(node);
+    });
+    const byOrder = (a, b) => a.sortOrder - b.sortOrder || a.name.localeCompare(b.name);
+    nodes.forEach(node => node.children.sort(byOrder));
+    return roots.sort(byOrder);
+}
+
+// The whole tree, or only the subcategories of 'rootId' (and the root itself)
+async function getTree(rootId){
+    let filter = { archivedAt: null };
+    if (rootId) {
+        const root = await Category.findOne({ _id: rootId, archivedAt: null }).select('path').lean();
+        if (!root) {
+            throw new NotFoundError('Unable to get category with this id');
+        }
+        requirePath(root);
+        filter = { ...filter, ...subtreeFilter(root.path) };
+    }
+    const categories = await Category.find(filter).select('name slug color icon parent sortOrder depth').lean();
+    return buildTree(categories);
+}
+
+exports.slugify = slugify;
+exports.uniqueSlug = uniqueSlug;
+exports.pathOf = pathOf;
+exports.createCategory = createCategory;
+exports.updateCategory = updateCategory;
+exports.moveSubcategoriesUp = moveSubcategoriesUp;
+exports.deleteCategory = deleteCategory;
+exports.withSubcategories = withSubcategories;
+exports.buildTree = buildTree;
+exports.getTree = getTree;
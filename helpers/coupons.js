@@ -0,0 +1,134 @@
+// Coupons and promotional discounts
+// A coupon is checked in two steps when an order is placed:
+// 1. calculateCouponDiscounts() checks that the codes can be used and works out the discounts
+//    without changing anything.
+// 2. redeemCoupons() then counts the use against the global and per-user limits atomically.
+
+const { Coupon } = require('../models/Coupon');
+const { CouponRedemption } = require('../models/CouponRedemption');
+const { roundMoney } = require('./money');
+const { AppError } = require('./errors');
+
+// Thrown when a coupon code cannot be used; 'status' is the HTTP status code to respond with
+class CouponError extends AppError {
+    constructor(message, status){
+        super(message, status || 400, 'INVALID_COUPON');
+    }
+}
+
+// Accept "couponCodes": ["SAVE10", "CARS15"] or a single "couponCode": "SAVE10"
+// Codes are case insensitive and a code used twice only counts once
+function couponCodesFrom(body){
+    let codes = [];
+    if (Array.isArray(body.couponCodes)) codes = body.couponCodes;
+    else if (body.couponCode) codes = [body.couponCode];
+    return [...new Set(codes.map(code => String(code).trim().toUpperCase()).filter(code => code))];
+}
+
+// Check whether a coupon applies to an order line
+// A coupon without products and categories applies to every line
+function appliesToLine(coupon, line){
+    if (coupon.products.length == 0 && coupon.categories.length == 0) return true;
+    if (coupon.products.some(id => id.equals(line.product._id))) return true;
+    return coupon.categories.some(id => id.equals(line.product.category));
+}
+
+// Work out the discount of every coupon code for an order
+// lines: [{ product: <Product with price and category>, quantity: 2 }]
+// Each coupon is applied to the subtotal of the lines it covers; the total discount
+// is never more than the subtotal.
+// Returns [{ coupon: <Coupon>, code: 'SAVE10', discount: 5 }]
+async function calculateCouponDiscounts(lines, codes, userId){
+
+    if (codes.length == 0) return [];
+
+    const coupons = await Coupon.find({ code: { $in: codes } });
+    const subtotal = lines.reduce((total, line) => total + line.quantity * line.product.price, 0);
+    const now = new Date();
+    let remaining = subtotal;
+
+    const applied = [];
+    for (const code of codes) {
+        const coupon = coupons.find(c => c.code === code);
+        if (!coupon || !coupon.isActive) {
+            throw new CouponError(`Coupon '${code}' is not valid`);
+        }
+        if (coupon.startsAt && coupon.startsAt > now) {
+            throw new CouponError(`Coupon '${code}' is not valid yet`);
+        }
+        if (coupon.expiresAt && coupon.expiresAt < now) {
+            throw new CouponError(`Coupon '${code}' has expired`);
+        }
+        if (subtotal < coupon.minOrderValue) {
+            throw new CouponError(`Coupon '${code}' needs an order of at least ${coupon.minOrderValue}`);
+        }
+        if (coupon.maxUses !== null && coupon.usedCount >= coupon.maxUses) {
+            throw new CouponError(`Coupon '${code}' has been used up`);
+        }
+        if (coupon.maxUsesPerUser !== null && userId) {
+            const used = await CouponRedemption.countDocuments({ coupon: coupon._id, user: userId });
+            if (used >= coupon.maxUsesPerUser) {
+                throw new CouponError(`You have already used coupon '${code}'`);
+            }
+        }
+
+        const eligible = lines
+        .filter(line => appliesToLine(coupon, line))
+        .reduce((total, line) => total + line.quantity * line.product.price, 0);
+        if (eligible == 0) {
+            throw new CouponError(`Coupon '${code}' does not apply to any product in this order`);
+        }
+
+        let discount = coupon.type === 'percentage' ? eligible * coupon.value / 100 : Math.min(coupon.value, eligible);
+        discount = roundMoney(Math.min(discount, remaining));
+        remaining = roundMoney(remaining - discount);
+        applied.push({ coupon: coupon, code: coupon.code, discount: discount });
+    }
+    return applied;
+}
+
+// Count one use of every applied coupon for this order
+// The global limit is checked in the same update that increments usedCount, so two orders
+// cannot both take the last use. The per-user limit is checked again after the redemption
+// is recorded, which rejects one of two orders placed by the same user at the same time.
+// Either every coupon is redeemed or, when a limit is reached, none are.
+async function redeemCoupons(applied, userId, orderId){
+
+    try {
+        for (const { coupon } of applied) {
+            const updated = await Coupon.findOneAndUpdate(
+                { _id: coupon._id, $or: [{ maxUses: null }, { $expr: { $lt: ['$usedCount', '$maxUses'] } }] },
+                { $inc: { usedCount: 1 } }
+            );
+            if (!updated) {
+                throw new CouponError(`Coupon '${coupon.code}' has been used up`, 409);
+            }
+            const redemption = await CouponRedemption.create({ coupon: coupon._id, user: userId, order: orderId });
+
+            if (coupon.maxUsesPerUser !== null) {
+                const used = await CouponRedemption.countDocuments({ coupon: coupon._id, user: userId, _id: { $lte: redemption._id } });
+                if (used > coupon.maxUsesPerUser) {
+                    throw new CouponError(`You have already used coupon '${coupon.code}'`, 409);
+                }
+            }
+        }
+    } catch (err) {
+        await releaseCoupons(orderId);
+        throw err;
+    }
+}
+
+// Give back the coupon uses of an order, e.g. when the order is cancelled or deleted
+async function releaseCoupons(orderId){
+    const redemptions = await CouponRedemption.find({ order: orderId });
+    await Promise.all(redemptions.map(redemption=>
+        Coupon.updateOne({ _id: redemption.coupon, usedCount: { $gt: 0 } }, { $inc: { usedCount: -1 } })
+    ));
+    await CouponRedemption.deleteMany({ order: orderId });
+}
+
+exports.CouponError = CouponError;
+exports.couponCodesFrom = couponCodesFrom;
+exports.calculateCouponDiscounts = calculateCouponDiscounts;
+exports.redeemCoupons = redeemCoupons;
+exports.releaseCoupons = releaseCoupons;
@@ -0,0 +1,11 @@
+const mongoose = require('mongoose');
+
+// Connect to MongoDB using MONGODB_URL from .env
+// Shared by index.js and the maintenance scripts in /scripts
+function connectDatabase(){
+    mongoose.set('strictQuery', false);
+    return mongoose.connect(process.env.MONGODB_URL,
+                    {useNewUrlParser: true, useUnifiedTopology: true, dbName: 'estore-database'});
+}
+
+module.exports = connectDatabase;
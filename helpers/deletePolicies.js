@@ -0,0 +1,125 @@
+// Delete policies
+// What happens to the records that reference a category or a product when it is deleted, so that
+// populate('category') and the products of old orders never point at a missing document.
+//
+// DELETE /categories/:id?policy=<policy>, for the products in the category (its subcategories are
+// moved up to its parent, see helpers/categoryTree.js):
+// block (default):   409 listing the products; nothing is deleted. A category without products is deleted.
+// reassign:          the products are moved to the category '&to=<id>' (default: the parent category)
+//                    and the category is deleted
+// archive:           the category and its products are archived instead of deleted
+//
+// DELETE /products/:id?policy=<policy>, when order items reference the product:
+// archive (default): the product is archived instead of deleted
+// block:             409 with the number of order items; nothing is deleted
+// A product that is in no order is always deleted, with its images.
+//
+// The defaults can be changed with CATEGORY_DELETE_POLICY and PRODUCT_DELETE_POLICY.
+// Archived categories and products have 'archivedAt' set. They are left out of the lists, the counts,
+// the search and the category tree, and archived products cannot be added to a cart or ordered.
+// GET /categories/:id and GET /products/:id still return them, so old orders can link to them.
+
+const { Category } = require('../models/Category');
+const { Product } = require('../models/Product');
+const { OrderItem } = require('../models/OrderItem');
+const { moveSubcategoriesUp, deleteCategory } = require('./categoryTree');
+const { productImages, deleteUnusedImages } = require('./images');
+const { BadRequestError, ConflictError } = require('./errors');
+
+const CATEGORY_DELETE_POLICIES = ['block', 'reassign', 'archive'];
+const PRODUCT_DELETE_POLICIES = ['archive', 'block'];
+
+// How many dependents a 409 lists
+const MAX_LISTED = 20;
+
+function defaultPolicy(name, policies){
+    const policy = process.env[name] || policies[0];
+    if (!policies.includes(policy)) {
+        throw new Error(`Unknown ${name}: ${policy}. Use one of: ${policies.join(', ')}`);
+    }
+    return policy;
+}
+
+const DEFAULT_CATEGORY_POLICY = defaultPolicy('CATEGORY_DELETE_POLICY', CATEGORY_DELETE_POLICIES);
+const DEFAULT_PRODUCT_POLICY = defaultPolicy('PRODUCT_DELETE_POLICY', PRODUCT_DELETE_POLICIES);
+
+// Delete a category with its products handled by 'policy'; options: { policy, to }
+// Returns { category, action: 'deleted' | 'archived', products: <number of products moved or archived> },
+// or null when there is no category with this id
+async function deleteCategoryWithPolicy(id, options){
+    const policy = options.policy || DEFAULT_CATEGORY_POLICY;
+    const category = await Category.findOne({ _id: id, archivedAt: null });
+    if (!category) return null;
+
+    // Archived products count too, so they keep their category
+    const inCategory = { category: category._id };
+
+    if (policy == 'block') {
+        const count = await Product.countDocuments(inCategory);
+        if (count > 0) {
+            const products = await Product.find(inCategory).select('name archivedAt').sort('name').limit(MAX_LISTED).lean();
+            throw new ConflictError(`This category still has ${count} product(s). Move them to another category or `
+                + "delete it with '?policy=reassign' or '?policy=archive'", 'HAS_DEPENDENTS',
+                products.map(product=> ({ product: product._id, name: product.name, archived: Boolean(product.archivedAt) })));
+        }
+        return { category: await deleteCategory(category._id), action: 'deleted', products: 0 };
+    }
+
+    if (policy == 'reassign') {
+        const targetId = options.to || category.parent;
+        if (!targetId) {
+            throw new BadRequestError('Choose the category to move the products to with ?to=<category id>', 'INVALID_TARGET');
+        }
+        const target = await Category.findOne({ _id: targetId, archivedAt: null }).select('_id');
+        if (!target || target._id.equals(category._id)) {
+            throw new BadRequestError('The category to move the products to is invalid', 'INVALID_TARGET');
+        }
+        const moved = await Product.updateMany(inCategory, { $set: { category: target._id } });
+        const deleted = await deleteCategory(category._id);
+        // Products added to the category while it was being deleted
+        const late = await Product.updateMany(inCategory, { $set: { category: target._id } });
+        return { category: deleted, action: 'deleted', products: moved.modifiedCount + late.modifiedCount };
+    }
+
+    // archive
+    const archivedAt = new Date();
+    await moveSubcategoriesUp(category);
+    const archived = await Product.updateMany({ ...inCategory, archivedAt: null }, { $set: { archivedAt: archivedAt } });
+    const archivedCategory = await Category.findByIdAndUpdate(category._id, { $set: { archivedAt: archivedAt } }, { new: true });
+    return { category: archivedCategory, action: 'archived', products: archived.modifiedCount };
+}
+
+// Delete a product, or archive it when it is in orders and 'policy' says so
+// Returns { product, action: 'deleted' | 'archived' }, or null when there is no product with this id
+async function deleteProductWithPolicy(id, policy){
+    policy = policy || DEFAULT_PRODUCT_POLICY;
+    const product = await Product.findById(id);
+    if (!product) return null;
+
+    const orderItems = await OrderItem.countDocuments({ product: product._id });
+    if (orderItems > 0) {
+        if (policy == 'block') {
+            throw new ConflictError(`This product is in ${orderItems} order item(s) and cannot be deleted. `
+                + "Archive it with '?policy=archive'", 'HAS_DEPENDENTS');
+        }
+        const archived = product.archivedAt
+            ? product
+            : await Product.findByIdAndUpdate(product._id, { $set: { archivedAt: new Date() } }, { new: true });
+        return { product: archived, action: 'archived' };
+    }
+
+    const deleted = await Product.findByIdAndDelete(product._id);
+    if (!deleted) return null;
+    // An order placed while the product was being deleted: put it back, archived
+    if (await OrderItem.exists({ product: deleted._id })) {
+        await Product.collection.insertOne({ ...deleted.toObject({ depopulate: true }), archivedAt: new Date() });
+        return { product: await Product.findById(deleted._id), action: 'archived' };
+    }
+    await deleteUnusedImages(productImages(deleted));
+    return { product: deleted, action: 'deleted' };
+}
+
+exports.CATEGORY_DELETE_POLICIES = CATEGORY_DELETE_POLICIES;
+exports.PRODUCT_DELETE_POLICIES = PRODUCT_DELETE_POLICIES;
+exports.deleteCategoryWithPolicy = deleteCategoryWithPolicy;
+exports.deleteProductWithPolicy = deleteProductWithPolicy;
@@ -1,13 +1,77 @@
+// Central error handler, registered in index.js after all the routers
+// Routes pass every error to next(err). Errors from helpers/errors.js already carry their
+// status and code; errors from express-jwt, Mongoose, MongoDB, body-parser and multer are
+// turned into one of them here. Anything else is a 500 whose message and stack trace are
+// only shown outside production (NODE=production hides them).
+// Every error response has the same envelope:
+// { success: false, error: 'Unable to find this category', code: 'NOT_FOUND', data: null }
+// plus 'errors' with the details when there are any (e.g. the invalid fields)
+
+const { AppError, BadRequestError, ValidationError, UnauthorizedError, NotFoundError, ConflictError } = require('./errors');
+const { mongooseErrors } = require('./validate');
+
+function isProduction(){
+  return process.env.NODE === 'production';
+}
+
+// Turn errors thrown by libraries into an AppError; returns null for unexpected errors
+function fromLibraryError(err){
+
+  if (err.name === "UnauthorizedError") {  // Jwt authentication error from express-jwt
+    if (err.inner && err.inner.name === 'TokenExpiredError') {
+      // The client can get a new access token with POST /users/refresh
+      return new UnauthorizedError('Your session has expired, please refresh your token', 'TOKEN_EXPIRED');
+    }
+    if (err.code === 'revoked_token') {
+      return new UnauthorizedError('You have been logged out, please log in again', 'TOKEN_REVOKED');
+    }
+    return new UnauthorizedError();
+  }
+  if (err.name === "ValidationError" && err.errors) {  // Mongoose validation error
+    return new ValidationError(mongooseErrors(err));
+  }
+  if (err.name === "CastError") {  // e.g. an invalid ObjectId in the url
+    const code = err.kind === 'ObjectId' ? 'INVALID_ID' : 'INVALID_VALUE';
+    const value = typeof err.value === 'string' ? err.value : JSON.stringify(err.value);
+    return new BadRequestError(`Invalid ${err.path}: '${value}'`, code);
+  }
+  if (err.code === 11000) {  // MongoDB unique index
+    const fields = Object.keys(err.keyValue || err.keyPattern || {}).join(', ');
+    return new ConflictError(`A record with this ${fields || 'value'} already exists`, 'DUPLICATE');
+  }
+  if (err.type === 'entity.parse.failed') {  // express.json() could not parse the body
+    return new BadRequestError('The request body is not valid JSON', 'INVALID_JSON');
+  }
+  if (err.name === 'MulterError') {  // e.g. too many files
+    return new BadRequestError(err.message, 'INVALID_UPLOAD');
+  }
+  return null;
+}
+
 function errorHandler(err, req, res, next){
 
-  if (err.name === "UnauthorizedError") {  // Jwt authentication error
-    return res.status(401).json({success: false, error: "User not Authorized" });
+  if (res.headersSent) {
+    return next(err);
   }
-  if (err.name === "ValidationError") { //  Validation error
-    return res.status(401).json({success: false, error: 'Validation Error' });
+
+  let error = err instanceof AppError ? err : fromLibraryError(err);
+  if (!error) {
+    console.error(err);
+    error = new AppError(isProduction() ? 'Something went wrong, please try again later' : err.message, 500);
   }
 
-  return res.status(500).json({success: false, error: err});  // Default to 500 server error
+  const body = {success: false, error: error.message, code: error.code};
+  if (error.errors) body.errors = error.errors;
+  if (error.status >= 500 && !isProduction()) body.stack = err.stack;
+  body.data = null;
+  if (error.retryAfter) res.set('Retry-After', String(error.retryAfter));
+  return res.status(error.status).json(body);
+}
+
+// Registered after the routers so requests that no route matched get a 404 in the usual envelope
+function notFound(req, res, next){
+  next(new NotFoundError(`Cannot ${req.method} ${req.originalUrl}`, 'ROUTE_NOT_FOUND'));
 }
 
-module.exports = errorHandler;
\ No newline at end of file
+module.exports = errorHandler;
+module.exports.notFound = notFound;
@@ -0,0 +1,82 @@
+// Error classes
+// Pass one of these to next() in a route (or throw it from a helper) and errorHandler() in
+// helpers/errorHandler.js responds with its status code and the usual envelope, plus a 'code'
+// that stays the same when the wording of the message changes, so clients can check for it:
+// { success: false, error: 'Unable to find this category', code: 'NOT_FOUND', data: null }
+// Helpers with their own errors (e.g. OrderError in helpers/orderService.js) extend AppError.
+
+// Code used when an error does not have its own
+const STATUS_CODES = {
+    400: 'BAD_REQUEST',
+    401: 'UNAUTHORIZED',
+    403: 'FORBIDDEN',
+    404: 'NOT_FOUND',
+    409: 'CONFLICT',
+    429: 'TOO_MANY_REQUESTS',
+    500: 'INTERNAL_ERROR',
+};
+
+// 'errors' holds details such as the invalid fields of a ValidationError
+class AppError extends Error {
+    constructor(message, status, code, errors){
+        super(message);
+        this.name = this.constructor.name;
+        this.status = status || 500;
+        this.code = code || STATUS_CODES[this.status] || 'INTERNAL_ERROR';
+        this.errors = errors || null;
+    }
+}
+
+class BadRequestError extends AppError {
+    constructor(message, code){
+        super(message, 400, code || 'BAD_REQUEST');
+    }
+}
+
+// errors: [{ field: 'email', message: "'email' must be a valid email" }]
+class ValidationError extends AppError {
+    constructor(errors, message){
+        super(message || 'Validation Error', 400, 'VALIDATION_ERROR', errors);
+    }
+}
+
+class UnauthorizedError extends AppError {
+    constructor(message, code){
+        super(message || 'User not Authorized', 401, code || 'UNAUTHORIZED');
+    }
+}
+
+class ForbiddenError extends AppError {
+    constructor(message, code){
+        super(message || 'You do not have permission to perform this action', 403, code || 'FORBIDDEN');
+    }
+}
+
+class NotFoundError extends AppError {
+    constructor(message, code){
+        super(message, 404, code || 'NOT_FOUND');
+    }
+}
+
+class ConflictError extends AppError {
+    constructor(message, code, errors){
+        super(message, 409, code || 'CONFLICT', errors);
+    }
+}
+
+// 'retryAfter' is the number of seconds before the client may try again (the Retry-After header)
+class TooManyRequestsError extends AppError {
+    constructor(message, retryAfter, code){
+        super(message || 'Too many requests, please try again later', 429, code || 'TOO_MANY_REQUESTS');
+        this.retryAfter = retryAfter;
+    }
+}
+
+exports.AppError = AppError;
+exports.BadRequestError = BadRequestError;
+exports.ValidationError = ValidationError;
+exports.UnauthorizedError = UnauthorizedError;
+exports.ForbiddenError = ForbiddenError;
+exports.NotFoundError = NotFoundError;
+exports.ConflictError = ConflictError;
+exports.TooManyRequestsError = TooManyRequestsError;
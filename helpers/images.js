@@ -0,0 +1,177 @@
+// Image uploads
+// npm install sharp for reading and resizing images
+//
+// uploadImages is the multer middleware for the product routes. It keeps the uploaded files in
+// memory with a size limit (MAX_IMAGE_MB, default 5 MB per file) instead of writing them to disk
+// straight away, so nothing is saved before saveImage() has checked it:
+// - the type comes from the first bytes of the file (JPEG, PNG or WebP), not from the
+//   mimetype or the file name sent by the client
+// - the width and height must be within IMAGE_LIMITS
+// - the file is saved under a generated name: the original name reduced to lowercase letters,
+//   digits and dashes, plus the time and a random suffix, e.g. 'red-car-1674567890123-9f2c4e1a.jpeg'
+// - the original is re-encoded, which drops the metadata (EXIF, GPS location) and anything
+//   hidden after the image data
+// - thumb, medium and large copies are made in the same format and as WebP:
+//   'red-car-1674567890123-9f2c4e1a-thumb.jpeg', 'red-car-1674567890123-9f2c4e1a-thumb.webp', ...
+// The files are saved with the storage driver from helpers/storage.js (local disk or S3).
+//
+// The files of an image are deleted by deleteUnusedImages() when a product stops using it
+// (a new main image, a gallery image removed, the product deleted), unless another product
+// still has the same url. Files left behind anyway, e.g. by a failed request, are found and
+// removed by 'npm run gc:uploads' (scripts/gcUploads.js).
+
+const crypto = require('crypto');
+const path = require('path');
+const multer = require('multer');
+const sharp = require('sharp');
+const { putFile, deleteFile, fileKeyFromUrl } = require('./storage');
+const { Product } = require('../models/Product');
+const { BadRequestError } = require('./errors');
+
+const CONTENT_TYPES = {
+    jpeg: 'image/jpeg',
+    png: 'image/png',
+    webp: 'image/webp',
+};
+
+const IMAGE_LIMITS = {
+    maxBytes: (Number(process.env.MAX_IMAGE_MB) || 5) * 1024 * 1024,
+    maxFiles: 15,
+    maxGalleryImages: 30,
+    minWidth: 100,
+    minHeight: 100,
+    maxWidth: 6000,
+    maxHeight: 6000,
+};
+
+// Largest width and height of each variant; images are never enlarged
+const IMAGE_SIZES = {
+    thumb: 150,
+    medium: 600,
+    large: 1200,
+};
+
+// File signatures ("magic bytes") of the accepted image types
+function detectImageType(buffer){
+    if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+        return 'jpeg';
+    }
+    if (buffer.length >= 8 && buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+        return 'png';
+    }
+    if (buffer.length >= 12 && buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP') {
+        return 'webp';
+    }
+    return null;
+}
+
+// 'My Red Car (1).JPG' -> 'my-red-car-1'
+function sanitizeFileName(originalname){
+    const name = path.parse(String(originalname || '')).name
+    .normalize('NFKD').replace(/[\u0300-\u036f]/g, '')  // 'é' -> 'e'
+    .toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '')
+    .slice(0, 50).replace(/-+$/, '');
+    return name || 'image';
+}
+
+const uploadImages = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: IMAGE_LIMITS.maxBytes, files: IMAGE_LIMITS.maxFiles },
+});
+
+function encode(image, format){
+    return format === 'png' ? image.png() : format === 'webp' ? image.webp({ quality: 80 }) : image.jpeg({ quality: 82, mozjpeg: true });
+}
+
+// Check an uploaded file, save it and its variants
+// Returns { url, variants } where variants is { thumb: { url, webp }, medium: { url, webp }, large: { url, webp } }
+async function saveImage(file){
+    const format = detectImageType(file.buffer);
+    if (!format) {
+        throw new BadRequestError(`'${file.originalname}' is not a JPEG, PNG or WebP image`, 'INVALID_UPLOAD');
+    }
+    let metadata;
+    try {
+        metadata = await sharp(file.buffer).metadata();
+    } catch (err) {
+        throw new BadRequestError(`'${file.originalname}' is not a valid image`, 'INVALID_UPLOAD');
+    }
+    const { width, height } = metadata;
+    if (width < IMAGE_LIMITS.minWidth || height < IMAGE_LIMITS.minHeight
+        || width > IMAGE_LIMITS.maxWidth || height > IMAGE_LIMITS.maxHeight) {
+        throw new BadRequestError(`'${file.originalname}' is ${width}x${height} pixels; images must be between `
+            + `${IMAGE_LIMITS.minWidth}x${IMAGE_LIMITS.minHeight} and ${IMAGE_LIMITS.maxWidth}x${IMAGE_LIMITS.maxHeight} pixels`, 'INVALID_UPLOAD');
+    }
+
+    const baseName = `${sanitizeFileName(file.originalname)}-${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+    // rotate() turns the image the way its EXIF orientation says, before the metadata is dropped
+    const image = sharp(file.buffer, { limitInputPixels: IMAGE_LIMITS.maxWidth * IMAGE_LIMITS.maxHeight }).rotate();
+    async function save(fileName, pipeline, fileFormat){
+        return putFile(fileName, await encode(pipeline, fileFormat).toBuffer(), CONTENT_TYPES[fileFormat]);
+    }
+
+    const url = await save(`${baseName}.${format}`, image.clone(), format);
+    const variants = {};
+    for (const [size, pixels] of Object.entries(IMAGE_SIZES)) {
+        const resized = image.clone().resize(pixels, pixels, { fit: 'inside', withoutEnlargement: true });
+        const sizeUrl = await save(`${baseName}-${size}.${format}`, resized.clone(), format);
+        const webpUrl = format === 'webp' ? sizeUrl : await save(`${baseName}-${size}.webp`, resized.clone(), 'webp');
+        variants[size] = { url: sizeUrl, webp: webpUrl };
+    }
+    return { url: url, variants: variants };
+}
+
+// The urls of an image and its variants
+function imageUrls(url, variants){
+    const urls = [url];
+    Object.keys(IMAGE_SIZES).forEach(size=>{
+        if (variants && variants[size]) urls.push(variants[size].url, variants[size].webp);
+    });
+    return [...new Set(urls.filter(url => url))];
+}
+
+// The storage keys of an image and its variants
+// Urls that are not in the storage (e.g. a link to another site) have no keys
+function imageFileKeys(url, variants){
+    return imageUrls(url, variants).map(fileKeyFromUrl).filter(key => key);
+}
+
+// The images of a product as [{ url, variants }]: the main image first, then the gallery
+function productImages(product){
+    const galleryVariants = product.galleryVariants || [];
+    const gallery = (product.images || []).map(url=> ({
+        url: url,
+        variants: galleryVariants.find(variants => variants.image === url) || null,
+    }));
+    return product.image ? [{ url: product.image, variants: product.imageVariants }, ...gallery] : gallery;
+}
+
+async function isImageUsed(url){
+    return Boolean(await Product.exists({ $or: [{ image: url }, { images: url }] }));
+}
+
+// Delete the files of images no product uses anymore; images: [{ url, variants }]
+// Called after the product has been saved, so a failure is only logged and never fails the request
+async function deleteUnusedImages(images){
+    for (const image of images) {
+        try {
+            if (!image.url || await isImageUsed(image.url)) continue;
+            for (const key of imageFileKeys(image.url, image.variants)) {
+                await deleteFile(key);
+            }
+        } catch (err) {
+            console.error(`Unable to delete the files of ${image.url}:`, err);
+        }
+    }
+}
+
+exports.IMAGE_LIMITS = IMAGE_LIMITS;
+exports.IMAGE_SIZES = IMAGE_SIZES;
+exports.detectImageType = detectImageType;
+exports.sanitizeFileName = sanitizeFileName;
+exports.uploadImages = uploadImages;
+exports.saveImage = saveImage;
+exports.imageUrls = imageUrls;
+exports.imageFileKeys = imageFileKeys;
+exports.productImages = productImages;
+exports.deleteUnusedImages = deleteUnusedImages;
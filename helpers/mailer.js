@@ -0,0 +1,43 @@
+// Sending email
+// The transport that delivers the mail is chosen with MAIL_TRANSPORT:
+// console (default): prints the mail to the terminal, handy for local development
+// file:              writes every mail to a text file in MAIL_DIR (default 'mail/')
+// A real transport (e.g. SMTP through nodemailer) can be plugged in with setMailTransport().
+// A transport is an object with an async send({ to, subject, text }) method.
+
+const fs = require('fs');
+const path = require('path');
+
+const consoleTransport = {
+    async send(mail){
+        console.log(`--- Mail to ${mail.to}: ${mail.subject} ---\n${mail.text}\n---`);
+    },
+};
+
+function createFileTransport(dir){
+    return {
+        async send(mail){
+            await fs.promises.mkdir(dir, { recursive: true });
+            const fileName = `${Date.now()}-${mail.to.replace(/[^a-zA-Z0-9@._-]/g, '_')}.txt`;
+            const content = `To: ${mail.to}\nSubject: ${mail.subject}\nDate: ${new Date().toISOString()}\n\n${mail.text}\n`;
+            await fs.promises.writeFile(path.join(dir, fileName), content);
+        },
+    };
+}
+
+let transport = process.env.MAIL_TRANSPORT === 'file'
+    ? createFileTransport(process.env.MAIL_DIR || path.join(__dirname, '..', 'mail'))
+    : consoleTransport;
+
+// Replace the mail transport; it must have an async send({ to, subject, text }) method
+function setMailTransport(newTransport){
+    transport = newTransport;
+}
+
+async function sendMail(to, subject, text){
+    await transport.send({ to: to, subject: subject, text: text });
+}
+
+exports.createFileTransport = createFileTransport;
+exports.setMailTransport = setMailTransport;
+exports.sendMail = sendMail;
@@ -0,0 +1,6 @@
+// Round to cents so totals do not end up like 19.999999999
+function roundMoney(amount){
+    return Math.round(amount * 100) / 100;
+}
+
+exports.roundMoney = roundMoney;
@@ -0,0 +1,256 @@
+// Creating, updating and deleting orders
+// An order is spread over two collections: the Order document and one OrderItem document
+// per line. MongoDB only supports multi-document transactions on replica sets, so instead
+// every step that has already been done is undone when a later step fails (compensation).
+// Anything left behind by a crash half way through is cleaned up by
+// scripts/purgeOrphanOrderItems.js
+
+const mongoose = require('mongoose');
+const { Order } = require('../models/Order');
+const { OrderItem } = require('../models/OrderItem');
+const { Product } = require('../models/Product');
+const { reserveStock, releaseStock, releaseOrderStock } = require('./stock');
+const { ORDER_STATUS, canTransition, releasesStock } = require('./orderStatus');
+const { priceOrder } = require('./pricing');
+const { couponCodesFrom, redeemCoupons, releaseCoupons } = require('./coupons');
+const { findVariant, variantPrice } = require('./variants');
+const { roundMoney } = require('./money');
+const { AppError } = require('./errors');
+
+// Thrown for orders that cannot be placed or updated; 'status' is the HTTP status code to respond with
+// and 'errors' holds the per-line errors when stock cannot be reserved
+// Coupon and shipping problems are thrown as CouponError and ShippingError
+class OrderError extends AppError {}
+
+// Look up the products of the order lines for pricing
+// Returns [{ product: { _id, category, weight, price, name, image }, variant: <Variant or null>, quantity: 2 }]
+// in the same order as the lines, where price is the price of the variant when there is one
+// and image is the first image of the variant when it has images
+async function loadPricedLines(lines){
+    // Archived products cannot be ordered (see helpers/deletePolicies.js)
+    const products = await Product.find({ _id: { $in: lines.map(line => line.product) }, archivedAt: null })
+    .select('name image price category weight variants');
+    return lines.map(line=>{
+        const product = products.find(p => p._id.equals(line.product));
+        if (!product) {
+            throw new OrderError(`Product ${line.product} not found`, 400);
+        }
+        const variant = findVariant(product, line.variant);
+        if (line.variant && !variant) {
+            throw new OrderError(`Variant ${line.variant} of product ${line.product} not found`, 400);
+        }
+        return {
+            product: {
+                _id: product._id,
+                category: product.category,
+                weight: product.weight,
+                price: variantPrice(product, variant),
+                name: product.name,
+                image: variant && variant.images.length > 0 ? variant.images[0] : product.image,
+            },
+            variant: variant,
+            quantity: line.quantity,
+        };
+    });
+}
+
+// Price options for priceOrder() from the body of POST /orders or POST /orders/quote
+function priceOptions(orderData){
+    return {
+        couponCodes: couponCodesFrom(orderData),
+        userId: orderData.user,
+        country: orderData.country,
+        region: orderData.region,
+        shippingMethod: orderData.shippingMethod,
+    };
+}
+
+// Place a new order
+// orderData looks like the body of POST /orders:
+// { orderItems: [{ quantity: 3, product: '...', variant: '...' }], shippingAddress1, shippingAddress2, city, zip, country, phone, user,
+//   region, couponCodes: ['SUMMER10'], shippingMethod: 'standard' }
+// placedBy is the id of the user placing the order, recorded as the first entry of the status history
+// Either the Order, its OrderItems, the stock reservation and the coupon uses are all saved, or none of them are.
+async function createOrder(orderData, placedBy){
+
+    const lines = orderData.orderItems;
+    if (!Array.isArray(lines) || lines.length == 0) {
+        throw new OrderError('An order must have at least one order item', 400);
+    }
+
+    // Build the documents up front so their ids are known before anything is saved
+    // and so the order can be validated before any stock is reserved
+    const orderItems = lines.map(line=> new OrderItem({
+        quantity: line.quantity,
+        product: line.product,
+        variant: line.variant || null,
+    }));
+    const order = new Order({
+        "orderItems": orderItems.map(item => item._id),
+        "shippingAddress1": orderData.shippingAddress1,
+        "shippingAddress2": orderData.shippingAddress2,
+        "city": orderData.city,
+        "zip": orderData.zip,
+        "country": orderData.country,
+        "region": orderData.region,
+        "phone": orderData.phone,
+        "user": orderData.user,
+        // Every order starts as 'Pending'; the status can only change through updateOrderStatus()
+        "status": ORDER_STATUS.PENDING,
+        "statusHistory": [{ status: ORDER_STATUS.PENDING, changedBy: placedBy, note: 'Order placed' }],
+    });
+    await order.validate();
+
+    // Step 1: reserve stock; nothing needs to be undone if this fails
+    const stockErrors = await reserveStock(lines);
+    if (stockErrors.length > 0) {
+        throw new OrderError('Unable to reserve stock for this order', 409, 'INSUFFICIENT_STOCK', stockErrors);
+    }
+
+    let couponsRedeemed = false;
+    try {
+        // Step 2: price the order from the current product prices, coupon codes, shipping method and tax rules
+        // and keep a copy of what was bought at which price on every order item
+        const pricedLines = await loadPricedLines(orderItems);
+        pricedLines.forEach((line, index)=>{
+            const orderItem = orderItems[index];
+            if (line.variant) orderItem.sku = line.variant.sku;
+            orderItem.name = line.product.name;
+            orderItem.image = line.product.image;
+            orderItem.unitPrice = line.product.price;
+            orderItem.lineTotal = roundMoney(line.quantity * line.product.price);
+        });
+        const { priceBreakdown, appliedCoupons, shippingMethod } = await priceOrder(pricedLines, priceOptions(orderData));
+        order.priceBreakdown = priceBreakdown;
+        order.totalPrice = priceBreakdown.total;
+        order.appliedCoupons = appliedCoupons.map(applied=>
+            ({ coupon: applied.coupon._id, code: applied.code, discount: applied.discount }));
+        if (shippingMethod) {
+            order.shippingMethod = { method: shippingMethod._id, code: shippingMethod.code, name: shippingMethod.name };
+        }
+
+        // Step 3: count the coupon uses; redeemCoupons() undoes its own work when a limit is reached
+        await redeemCoupons(appliedCoupons, orderData.user, order._id);
+        couponsRedeemed = true;
+
+        // Step 4: save the order items, then the order that links to them
+        await OrderItem.insertMany(orderItems);
+        return await order.save();
+    } catch (err) {
+        // Undo steps 1, 3 and 4. deleteMany() by id also removes the order items that
+        // were inserted before insertMany() failed part way through.
+        await OrderItem.deleteMany({ _id: { $in: order.orderItems } });
+        if (couponsRedeemed) await releaseCoupons(order._id);
+        await releaseStock(lines);
+        throw err;
+    }
+}
+
+// Price an order without placing it, so the client can show the totals before checkout
+// Takes the same orderData as createOrder(); only orderItems and country are needed.
+// Nothing is saved and no stock is reserved, so the quote can differ from the final order
+// when prices or stock change in the meantime.
+// Returns { priceBreakdown, appliedCoupons: [{ code, discount }], shippingMethod, shippingOptions, taxRule }
+async function quoteOrder(orderData){
+
+    const lines = orderData.orderItems;
+    if (!Array.isArray(lines) || lines.length == 0) {
+        throw new OrderError('An order must have at least one order item', 400);
+    }
+    lines.forEach((line, index)=>{
+        if (!line || !mongoose.isValidObjectId(line.product)) {
+            throw new OrderError(`Order item ${index} has an invalid product id`, 400);
+        }
+        if (line.variant && !mongoose.isValidObjectId(line.variant)) {
+            throw new OrderError(`Order item ${index} has an invalid variant id`, 400);
+        }
+        if (!Number.isInteger(line.quantity) || line.quantity < 1) {
+            throw new OrderError(`Order item ${index} must have a positive whole number quantity`, 400);
+        }
+    });
+
+    const pricedLines = await loadPricedLines(lines);
+    const quote = await priceOrder(pricedLines, priceOptions(orderData));
+    return {
+        priceBreakdown: quote.priceBreakdown,
+        appliedCoupons: quote.appliedCoupons.map(applied => ({ code: applied.code, discount: applied.discount })),
+        shippingMethod: quote.shippingMethod ? { code: quote.shippingMethod.code, name: quote.shippingMethod.name } : null,
+        shippingOptions: quote.shippingOptions,
+        taxRule: quote.taxRule,
+    };
+}
+
+// Delete an order together with its order items and put its stock back when it has not shipped
+// Returns the deleted order, or null when there is no order with this id
+async function deleteOrder(id){
+
+    // Removing the order first means a concurrent request can never see an order
+    // whose order items are already gone
+    const order = await Order.findByIdAndRemove(id);
+    if (!order) return null;
+
+    let orderItems;
+    try {
+        orderItems = await OrderItem.find({ _id: { $in: order.orderItems } });
+        await OrderItem.deleteMany({ _id: { $in: order.orderItems } });
+    } catch (err) {
+        // Put the order back so the delete can be retried
+        await Order.create(order.toObject());
+        throw err;
+    }
+
+    // The stock and coupon uses were already given back if the order had been cancelled, and the goods
+    // of a shipped or delivered order have left the warehouse: only orders that could still be
+    // cancelled hold stock
+    if (!order.stockReleased && canTransition(order.status, ORDER_STATUS.CANCELLED)) {
+        await releaseStock(orderItems);
+    }
+    await releaseCoupons(order._id);
+    return order;
+}
+
+// Move an order to a new status and record the change in its status history
+// Illegal transitions (e.g. 'Delivered' -> 'Pending') are rejected with a 400 OrderError.
+// The update only matches when the status is still the one that was checked, so two admins
+// changing the same order at the same time cannot both succeed; the second gets a 409.
+// Returns the updated order, or null when there is no order with this id
+async function updateOrderStatus(id, status, changedBy, note){
+
+    const order = await Order.findById(id);
+    if (!order) return null;
+
+    if (!Object.values(ORDER_STATUS).includes(status)) {
+        throw new OrderError(`Unknown order status '${status}'`, 400);
+    }
+    if (!canTransition(order.status, status)) {
+        throw new OrderError(`An order cannot change from '${order.status}' to '${status}'`, 400, 'INVALID_STATUS_TRANSITION');
+    }
+
+    // Must use {new: true} to return the updated order
+    const updatedOrder = await Order.findOneAndUpdate(
+        { _id: order._id, status: order.status },
+        {
+            $set: { status: status },
+            $push: { statusHistory: { status: status, changedBy: changedBy, note: note || '' } },
+        },
+        { new: true }
+    );
+    if (!updatedOrder) {
+        throw new OrderError('The status of this order was changed by someone else, please try again', 409);
+    }
+
+    if (releasesStock(order.status, status)) {
+        await releaseOrderStock(updatedOrder);
+    }
+    // A cancelled order does not count as a use of its coupons
+    if (status === ORDER_STATUS.CANCELLED) {
+        await releaseCoupons(updatedOrder._id);
+    }
+    return updatedOrder;
+}
+
+exports.OrderError = OrderError;
+exports.createOrder = createOrder;
+exports.quoteOrder = quoteOrder;
+exports.deleteOrder = deleteOrder;
+exports.updateOrderStatus = updateOrderStatus;
@@ -0,0 +1,50 @@
+// Order status lifecycle
+//
+//   Pending -> Paid -> Processing -> Shipped -> Delivered
+//      |        |          |                       |
+//      +--------+----------+--> Cancelled          +--> Refunded
+//               |          |        |
+//               +----------+--------+--> Refunded
+//
+// An order can be cancelled until it has shipped, also by the customer (POST /orders/:id/cancel). Cancelled and Refunded are final.
+// Orders become 'Paid' when their payment succeeds and 'Refunded' when it is refunded in full (see helpers/payments.js).
+
+const ORDER_STATUS = {
+    PENDING: 'Pending',
+    PAID: 'Paid',
+    PROCESSING: 'Processing',
+    SHIPPED: 'Shipped',
+    DELIVERED: 'Delivered',
+    CANCELLED: 'Cancelled',
+    REFUNDED: 'Refunded',
+};
+
+// For every status, the statuses an order can move to next
+const TRANSITIONS = {
+    [ORDER_STATUS.PENDING]: [ORDER_STATUS.PAID, ORDER_STATUS.CANCELLED],
+    [ORDER_STATUS.PAID]: [ORDER_STATUS.PROCESSING, ORDER_STATUS.CANCELLED, ORDER_STATUS.REFUNDED],
+    [ORDER_STATUS.PROCESSING]: [ORDER_STATUS.SHIPPED, ORDER_STATUS.CANCELLED, ORDER_STATUS.REFUNDED],
+    [ORDER_STATUS.SHIPPED]: [ORDER_STATUS.DELIVERED],
+    [ORDER_STATUS.DELIVERED]: [ORDER_STATUS.REFUNDED],
+    [ORDER_STATUS.CANCELLED]: [ORDER_STATUS.REFUNDED],
+    [ORDER_STATUS.REFUNDED]: [],
+};
+
+// Check whether an order can move from one status to another
+function canTransition(from, to){
+    const allowed = TRANSITIONS[from];
+    return !!allowed && allowed.includes(to);
+}
+
+// Check whether moving to a status means the goods never leave the warehouse,
+// so the stock held by the order has to be put back.
+// Refunding a delivered order does not restock; returned goods are restocked when the return is received (see helpers/returns.js).
+function releasesStock(from, to){
+    if (to === ORDER_STATUS.CANCELLED) return true;
+    return to === ORDER_STATUS.REFUNDED && from !== ORDER_STATUS.DELIVERED;
+}
+
+exports.ORDER_STATUS = ORDER_STATUS;
+exports.TRANSITIONS = TRANSITIONS;
+exports.canTransition = canTransition;
+exports.releasesStock = releasesStock;
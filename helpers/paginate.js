@@ -0,0 +1,167 @@
+// Pagination, sorting and field selection for list endpoints
+//
+// Query parameters understood by every list endpoint:
+// page=2&limit=20          page based: skip (page - 1) * limit documents
+// cursor=<nextCursor>      cursor based: continue after the last document of the previous response
+// sort=-price,name         comma separated fields, '-' for descending
+// fields=name,price        comma separated fields to return
+//
+// Cursor based pagination is faster on big collections and does not skip or repeat documents
+// when documents are added while paging. A cursor is only valid with the sort it was created with.
+//
+// The response keeps the usual envelope and adds a 'pagination' object:
+// { success: true, message: '...', data: [...],
+//   pagination: { total: 135, limit: 20, page: 2, pages: 7, hasNextPage: true, nextCursor: '...' } }
+
+const mongoose = require('mongoose');
+const { BadRequestError } = require('./errors');
+
+const { EJSON } = mongoose.mongo.BSON;
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Thrown for invalid page, limit, cursor, sort or fields query parameters
+class PaginationError extends BadRequestError {
+    constructor(message){
+        super(message, 'INVALID_QUERY');
+    }
+}
+
+function parsePositiveInteger(value, name){
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 1) {
+        throw new PaginationError(`'${name}' must be a positive whole number`);
+    }
+    return number;
+}
+
+// 'sort=-price,name' => [['price', -1], ['name', 1], ['_id', 1]]
+// '_id' is always added last so documents with the same values keep a stable order
+function parseSort(sort, sortable){
+    const fields = sort.split(',').map(field => field.trim()).filter(field => field);
+    const spec = fields.map(field=>{
+        const direction = field.startsWith('-') ? -1 : 1;
+        const name = field.replace(/^[-+]/, '');
+        if (!sortable.includes(name) && name !== '_id') {
+            throw new PaginationError(`Cannot sort by '${name}'. Sortable fields: ${sortable.join(', ')}`);
+        }
+        return [name, direction];
+    });
+    if (!spec.some(([name]) => name === '_id')) {
+        spec.push(['_id', 1]);
+    }
+    return spec;
+}
+
+// 'fields=name,price' => ['name', 'price']
+function parseFields(fields, selectable){
+    const names = fields.split(',').map(field => field.trim()).filter(field => field);
+    names.forEach(name=>{
+        if (!selectable.includes(name)) {
+            throw new PaginationError(`Cannot select '${name}'. Selectable fields: ${selectable.join(', ')}`);
+        }
+    });
+    return names;
+}
+
+// A cursor holds the sort values of the last document, encoded with EJSON so that
+// ObjectIds and Dates survive the round trip
+function encodeCursor(doc, sortSpec){
+    const values = sortSpec.map(([name]) => doc.get ? doc.get(name) : doc[name]);
+    const sort = sortSpec.map(([name, direction]) => direction == 1 ? name : `-${name}`).join(',');
+    return Buffer.from(EJSON.stringify({ sort: sort, values: values })).toString('base64url');
+}
+
+function decodeCursor(cursor, sortSpec){
+    const sort = sortSpec.map(([name, direction]) => direction == 1 ? name : `-${name}`).join(',');
+    let decoded;
+    try {
+        decoded = EJSON.parse(Buffer.from(cursor, 'base64url').toString());
+    } catch (err) {
+        throw new PaginationError('Invalid cursor');
+    }
+    if (!decoded || decoded.sort !== sort || !Array.isArray(decoded.values)) {
+        throw new PaginationError('This cursor was created with a different sort');
+    }
+    return decoded.values;
+}
+
+// Filter matching the documents that come after the cursor in sort order, e.g. for sort=-price:
+// { $or: [ { price: { $lt: 10 } }, { price: 10, _id: { $gt: <last id> } } ] }
+function afterCursorFilter(sortSpec, values){
+    return {
+        $or: sortSpec.map(([name, direction], index)=>{
+            const condition = {};
+            for (let i = 0; i < index; i++) {
+                condition[sortSpec[i][0]] = values[i];
+            }
+            condition[name] = { [direction == 1 ? '$gt' : '$lt']: values[index] };
+            return condition;
+        })
+    };
+}
+
+// Run a paginated find() and return { items, pagination }
+// options:
+//   sortable: fields the client may sort by
+//   selectable: fields the client may ask for with 'fields'
+//   defaultSort: sort used when the client does not send one, e.g. '-dateOrdered'
+//   defaultSelect: projection used when the client does not send 'fields', e.g. '-passwordHash'
+//   populate: array of arguments for .populate(), e.g. [['user', 'name'], 'category']
+async function paginate(Model, filter, query, options){
+
+    const limit = query.limit ? parsePositiveInteger(query.limit, 'limit') : DEFAULT_LIMIT;
+    if (limit > MAX_LIMIT) {
+        throw new PaginationError(`'limit' cannot be more than ${MAX_LIMIT}`);
+    }
+    const page = query.page ? parsePositiveInteger(query.page, 'page') : 1;
+    const sortSpec = parseSort(String(query.sort || options.defaultSort), options.sortable);
+
+    let projection = options.defaultSelect || '';
+    if (query.fields) {
+        // Sort fields are always returned because the next cursor is built from them
+        const fields = parseFields(String(query.fields), options.selectable);
+        sortSpec.forEach(([name])=>{
+            if (!fields.includes(name)) fields.push(name);
+        });
+        projection = fields.join(' ');
+    }
+
+    let findFilter = filter;
+    if (query.cursor) {
+        const values = decodeCursor(String(query.cursor), sortSpec);
+        findFilter = { $and: [filter, afterCursorFilter(sortSpec, values)] };
+    }
+
+    // Fetch one extra document to find out if there is a next page
+    let find = Model.find(findFilter)
+    .select(projection)
+    .sort(Object.fromEntries(sortSpec))
+    .limit(limit + 1);
+    if (!query.cursor) {
+        find = find.skip((page - 1) * limit);
+    }
+    (options.populate || []).forEach(populate=>{
+        find = Array.isArray(populate) ? find.populate(...populate) : find.populate(populate);
+    });
+
+    const [docs, total] = await Promise.all([find, Model.countDocuments(filter)]);
+    const hasNextPage = docs.length > limit;
+    const items = hasNextPage ? docs.slice(0, limit) : docs;
+
+    const pagination = {
+        total: total,
+        limit: limit,
+        hasNextPage: hasNextPage,
+        nextCursor: hasNextPage ? encodeCursor(items[items.length - 1], sortSpec) : null,
+    };
+    if (!query.cursor) {
+        pagination.page = page;
+        pagination.pages = Math.ceil(total / limit);
+    }
+    return { items: items, pagination: pagination };
+}
+
+exports.PaginationError = PaginationError;
+exports.paginate = paginate;
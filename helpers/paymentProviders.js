@@ -0,0 +1,237 @@
+// Payment providers
+// The provider that takes the payments is chosen with PAYMENT_PROVIDER:
+// fake (default): no money moves; for local development and tests. Payments are completed with
+//                 POST /payments/:id/fake-confirm instead of by the customer on the provider's page.
+//                 Not allowed with NODE=production. Its webhooks are signed with FAKE_PAYMENT_WEBHOOK_SECRET,
+//                 or a random secret when that is not set.
+// stripe:         Stripe PaymentIntents through the Stripe REST API; needs STRIPE_SECRET_KEY and
+//                 STRIPE_WEBHOOK_SECRET (the signing secret of the webhook endpoint pointing at
+//                 POST /api/v1/payments/webhook). STRIPE_API_URL can point at a mock server.
+//
+// Another provider can be plugged in with setPaymentProvider(). A provider is an object with:
+// name
+// async createIntent({ amount, currency, capture, metadata, idempotencyKey })
+//       returns { id, status, clientSecret }; capture is 'automatic' or 'manual'
+// async capture(id, amount)  returns { amountCaptured }
+// async cancel(id)
+// async refund(id, amount, { reason, idempotencyKey })  returns { id, amount, status }
+// verifyWebhook(rawBody, headers)
+//       checks the signature and returns the event as { id, type, paymentId, amount, message }, where type is
+//       'payment.authorized', 'payment.succeeded', 'payment.failed', 'payment.cancelled', 'payment.refunded'
+//       or null for events that are not used; throws a BadRequestError when the signature is wrong
+// Amounts are always in the currency (e.g. 19.99), the same as the order totals.
+
+const crypto = require('crypto');
+const { AppError, BadRequestError } = require('./errors');
+
+// Thrown when the provider cannot be reached or refuses a request
+class PaymentProviderError extends AppError {
+    constructor(message){
+        super(message, 502, 'PAYMENT_PROVIDER_ERROR');
+    }
+}
+
+// How old a signed webhook may be, against replaying old deliveries
+const WEBHOOK_TOLERANCE_SECONDS = 5 * 60;
+
+function randomId(prefix){
+    return `${prefix}_${crypto.randomBytes(12).toString('hex')}`;
+}
+
+function hmac(secret, payload){
+    return crypto.createHmac('sha256', secret).update(payload).digest('hex');
+}
+
+function safeEqual(a, b){
+    const bufferA = Buffer.from(String(a));
+    const bufferB = Buffer.from(String(b));
+    return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+// The fake provider keeps nothing: every request succeeds. Its webhooks are signed like Stripe's,
+// with the header 'x-fake-signature: t=<unix time>,v1=<hmac of "<t>.<body>">'.
+function createFakePaymentProvider(webhookSecret){
+    function sign(body){
+        const timestamp = Math.floor(Date.now() / 1000);
+        return `t=${timestamp},v1=${hmac(webhookSecret, `${timestamp}.${body}`)}`;
+    }
+
+    return {
+        name: 'fake',
+        async createIntent(){
+            const id = randomId('fake_pi');
+            return { id: id, status: 'requires_payment', clientSecret: randomId(`${id}_secret`) };
+        },
+        async capture(id, amount){
+            return { amountCaptured: amount };
+        },
+        async cancel(){},
+        async refund(id, amount){
+            return { id: randomId('fake_re'), amount: amount, status: 'succeeded' };
+        },
+        verifyWebhook(rawBody, headers){
+            verifySignature(headers['x-fake-signature'], rawBody, webhookSecret);
+            return JSON.parse(rawBody.toString());
+        },
+        // What the provider would send when the customer has paid, or failed to pay, with
+        // type 'payment.authorized', 'payment.succeeded' or 'payment.failed'
+        // Returns { rawBody, headers } ready for verifyWebhook()
+        simulateWebhook(type, paymentId, amount){
+            const rawBody = Buffer.from(JSON.stringify({
+                id: randomId('fake_evt'),
+                type: type,
+                paymentId: paymentId,
+                amount: amount,
+                message: type === 'payment.failed' ? 'The card was declined' : '',
+            }));
+            return { rawBody: rawBody, headers: { 'x-fake-signature': sign(rawBody) } };
+        },
+    };
+}
+
+// 't=1674567890,v1=<hex>,v1=<hex>' (Stripe-Signature)
+function verifySignature(header, rawBody, secret){
+    const parts = String(header || '').split(',').map(part => part.split('='));
+    const timestamp = Number((parts.find(([key]) => key === 't') || [])[1]);
+    const signatures = parts.filter(([key]) => key === 'v1').map(([, value]) => value);
+    if (!timestamp || signatures.length == 0) {
+        throw new BadRequestError('The webhook signature is missing', 'INVALID_SIGNATURE');
+    }
+    if (Math.abs(Date.now() / 1000 - timestamp) > WEBHOOK_TOLERANCE_SECONDS) {
+        throw new BadRequestError('The webhook signature has expired', 'INVALID_SIGNATURE');
+    }
+    const expected = hmac(secret, `${timestamp}.${rawBody.toString()}`);
+    if (!signatures.some(signature => safeEqual(signature, expected))) {
+        throw new BadRequestError('The webhook signature is invalid', 'INVALID_SIGNATURE');
+    }
+}
+
+// Stripe events and the event types used by helpers/payments.js
+const STRIPE_EVENTS = {
+    'payment_intent.amount_capturable_updated': 'payment.authorized',
+    'payment_intent.succeeded': 'payment.succeeded',
+    'payment_intent.payment_failed': 'payment.failed',
+    'payment_intent.canceled': 'payment.cancelled',
+    'charge.refunded': 'payment.refunded',
+};
+
+// Stripe amounts are in the smallest unit of the currency (cents); this assumes a currency with cents
+function toCents(amount){
+    return Math.round(amount * 100);
+}
+
+function fromCents(cents){
+    return cents / 100;
+}
+
+function createStripePaymentProvider(options){
+    if (!options.secretKey || !options.webhookSecret) {
+        throw new Error('STRIPE_SECRET_KEY and STRIPE_WEBHOOK_SECRET are required when PAYMENT_PROVIDER=stripe');
+    }
+    const apiUrl = (options.apiUrl || 'https://api.stripe.com/v1').replace(/\/+$/, '');
+
+    // params are sent form encoded, e.g. { 'metadata[order]': '...' }
+    async function request(path, params, idempotencyKey){
+        const headers = {
+            'Authorization': `Bearer ${options.secretKey}`,
+            'Content-Type': 'application/x-www-form-urlencoded',
+        };
+        if (idempotencyKey) headers['Idempotency-Key'] = idempotencyKey;
+        let response;
+        try {
+            response = await fetch(`${apiUrl}${path}`, { method: 'POST', headers: headers, body: new URLSearchParams(params || {}) });
+        } catch (err) {
+            throw new PaymentProviderError(`Unable to reach Stripe: ${err.message}`);
+        }
+        const body = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new PaymentProviderError(body.error && body.error.message ? body.error.message : `Stripe responded with ${response.status}`);
+        }
+        return body;
+    }
+
+    return {
+        name: 'stripe',
+        async createIntent({ amount, currency, capture, metadata, idempotencyKey }){
+            const params = {
+                'amount': toCents(amount),
+                'currency': currency,
+                'capture_method': capture === 'manual' ? 'manual' : 'automatic',
+                'automatic_payment_methods[enabled]': 'true',
+            };
+            Object.entries(metadata || {}).forEach(([key, value]) => { params[`metadata[${key}]`] = String(value); });
+            const intent = await request('/payment_intents', params, idempotencyKey);
+            return { id: intent.id, status: 'requires_payment', clientSecret: intent.client_secret };
+        },
+        async capture(id, amount){
+            const intent = await request(`/payment_intents/${encodeURIComponent(id)}/capture`, { 'amount_to_capture': toCents(amount) });
+            return { amountCaptured: fromCents(intent.amount_received) };
+        },
+        async cancel(id){
+            await request(`/payment_intents/${encodeURIComponent(id)}/cancel`);
+        },
+        async refund(id, amount, { reason, idempotencyKey }){
+            const refund = await request('/refunds', {
+                'payment_intent': id,
+                'amount': toCents(amount),
+                'metadata[reason]': reason || '',
+            }, idempotencyKey);
+            return { id: refund.id, amount: fromCents(refund.amount), status: refund.status };
+        },
+        verifyWebhook(rawBody, headers){
+            verifySignature(headers['stripe-signature'], rawBody, options.webhookSecret);
+            const event = JSON.parse(rawBody.toString());
+            const object = (event.data && event.data.object) || {};
+            const type = STRIPE_EVENTS[event.type] || null;
+            const amounts = {
+                'payment.authorized': object.amount_capturable,
+                'payment.succeeded': object.amount_received,
+                'payment.refunded': object.amount_refunded,
+            };
+            return {
+                id: event.id,
+                type: type,
+                paymentId: event.type === 'charge.refunded' ? object.payment_intent : object.id,
+                amount: amounts[type] != null ? fromCents(amounts[type]) : null,
+                message: object.last_payment_error ? object.last_payment_error.message : '',
+            };
+        },
+    };
+}
+
+function createPaymentProviderFromEnv(env){
+    if (env.PAYMENT_PROVIDER === 'stripe') {
+        return createStripePaymentProvider({
+            secretKey: env.STRIPE_SECRET_KEY,
+            webhookSecret: env.STRIPE_WEBHOOK_SECRET,
+            apiUrl: env.STRIPE_API_URL,
+        });
+    }
+    if (env.PAYMENT_PROVIDER && env.PAYMENT_PROVIDER !== 'fake') {
+        throw new Error(`Unknown PAYMENT_PROVIDER: ${env.PAYMENT_PROVIDER}`);
+    }
+    // Anyone who knows the webhook secret of the fake provider can mark their own orders paid
+    if (env.NODE === 'production') {
+        throw new Error('PAYMENT_PROVIDER must be set in production; the fake payment provider takes no money');
+    }
+    // Without a secret, a random one per process: only this server's own fake-confirm can sign webhooks
+    return createFakePaymentProvider(env.FAKE_PAYMENT_WEBHOOK_SECRET || crypto.randomBytes(32).toString('hex'));
+}
+
+let provider = createPaymentProviderFromEnv(process.env);
+
+// Replace the payment provider (see the top of this file)
+function setPaymentProvider(newProvider){
+    provider = newProvider;
+}
+
+function getPaymentProvider(){
+    return provider;
+}
+
+exports.PaymentProviderError = PaymentProviderError;
+exports.createFakePaymentProvider = createFakePaymentProvider;
+exports.createStripePaymentProvider = createStripePaymentProvider;
+exports.createPaymentProviderFromEnv = createPaymentProviderFromEnv;
+exports.setPaymentProvider = setPaymentProvider;
+exports.getPaymentProvider = getPaymentProvider;
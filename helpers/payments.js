@@ -0,0 +1,363 @@
+// Payments
+// A customer pays a pending order in three steps:
+// 1. POST /payments { order } starts a payment: a Payment record and a payment intent with the
+//    provider (see helpers/paymentProviders.js) for the order total. The response has the
+//    'clientSecret' the browser needs to pay with the provider, e.g. with Stripe Elements.
+// 2. The customer pays on the provider's side. A declined card only sets 'failureMessage'; the
+//    customer can try again with the same payment.
+// 3. The provider calls POST /payments/webhook and handleWebhook() moves the payment and the order
+//    along: when the payment succeeds the order becomes 'Paid'.
+//
+// With PAYMENT_CAPTURE=manual the payment is only authorized in step 3 and the order stays 'Pending'
+// until staff capture it with POST /payments/:id/capture. Refunds (POST /payments/:id/refund, or of
+// a return, see helpers/returns.js) can be partial and are recorded in the order's 'refunds'; once
+// the whole amount is refunded the order becomes 'Refunded'. Cancelling an order cancels its payment,
+// or refunds it when it was already taken (voidPayment()), and so does a payment that succeeds
+// after its order was cancelled.
+// PAYMENT_CURRENCY sets the currency of the payments (default 'usd').
+//
+// Webhooks can be delivered more than once and in any order. Every event is recorded in PaymentEvent
+// and a repeated delivery is skipped, and every change only applies to a payment in the status it
+// expects, so a late event (e.g. 'authorized' after 'succeeded') changes nothing.
+//
+// Payment statuses:
+//   pending -> requires_payment -> (authorized -> capturing ->) succeeded -> refunded
+//                    |                   |
+//                    +-------------------+--> cancelled
+
+const mongoose = require('mongoose');
+const { Order } = require('../models/Order');
+const { Payment } = require('../models/Payment');
+const { PaymentEvent } = require('../models/PaymentEvent');
+const { getPaymentProvider } = require('./paymentProviders');
+const { ORDER_STATUS, canTransition } = require('./orderStatus');
+const { OrderError, updateOrderStatus } = require('./orderService');
+const { roundMoney } = require('./money');
+const { AppError, BadRequestError } = require('./errors');
+
+// Thrown for payments that cannot be started, captured or refunded; 'status' is the HTTP status code to respond with
+class PaymentError extends AppError {}
+
+const PAYMENT_STATUS = {
+    PENDING: 'pending',  // saved, the provider has not been asked yet
+    REQUIRES_PAYMENT: 'requires_payment',
+    AUTHORIZED: 'authorized',
+    CAPTURING: 'capturing',
+    SUCCEEDED: 'succeeded',
+    REFUNDED: 'refunded',
+    CANCELLED: 'cancelled',
+};
+
+// A 'pending' payment older than this was left behind by a server that stopped while starting it
+const STALE_PENDING_MINUTES = 5;
+
+function paymentSettings(){
+    return {
+        currency: (process.env.PAYMENT_CURRENCY || 'usd').toLowerCase(),
+        capture: process.env.PAYMENT_CAPTURE === 'manual' ? 'manual' : 'automatic',
+    };
+}
+
+// The provider of a payment; payments made with another provider cannot be changed here
+function providerFor(payment){
+    const provider = getPaymentProvider();
+    if (payment.provider !== provider.name) {
+        throw new PaymentError(`This payment was made with the '${payment.provider}' payment provider`, 409, 'WRONG_PROVIDER');
+    }
+    return provider;
+}
+
+// Change a payment, but only while it is in one of the statuses in 'from'
+// Returns the updated payment, or null when it was not in one of them
+function movePayment(id, from, changes){
+    return Payment.findOneAndUpdate(
+        { _id: id, status: { $in: from } },
+        { $set: { ...changes, dateUpdated: new Date() } },
+        { new: true }
+    );
+}
+
+// Move the order of a payment to 'to', when its status allows it
+// Anything else is only logged, e.g. a payment that succeeded for an order that was cancelled in the meantime is refunded by markOrderPaid()
+async function moveOrder(payment, to, changedBy, note){
+    const order = await Order.findById(payment.order).select('status');
+    if (!order || !canTransition(order.status, to)) {
+        if (order && order.status !== to) {
+            console.warn(`Payment ${payment._id} is ${payment.status} but order ${order._id} is '${order.status}'`);
+        }
+        return;
+    }
+    try {
+        await updateOrderStatus(order._id, to, changedBy, note);
+    } catch (err) {
+        // The order was changed at the same time, e.g. cancelled by the customer
+        if (!(err instanceof OrderError && err.status === 409)) throw err;
+    }
+}
+
+async function markOrderPaid(payment){
+    if (payment.status !== PAYMENT_STATUS.SUCCEEDED) return;
+    const order = await Order.findById(payment.order).select('status');
+    // e.g. the customer cancelled the order while paying for it
+    if (order && order.status === ORDER_STATUS.CANCELLED) {
+        await refundPayment(payment._id, { reason: 'The order was cancelled' }, null);
+        return;
+    }
+    await moveOrder(payment, ORDER_STATUS.PAID, null, `Paid with payment ${payment._id}`);
+}
+
+// Start paying a pending order, or return the payment already started for it
+async function startPayment(order){
+    if (order.status !== ORDER_STATUS.PENDING) {
+        throw new PaymentError(`Only pending orders can be paid; this order is '${order.status}'`, 409, 'ORDER_NOT_PAYABLE');
+    }
+    if (!(order.totalPrice > 0)) {
+        throw new PaymentError('This order has nothing to pay', 409, 'ORDER_NOT_PAYABLE');
+    }
+
+    const provider = getPaymentProvider();
+    const { currency, capture } = paymentSettings();
+    const payment = new Payment({
+        order: order._id,
+        user: order.user,
+        provider: provider.name,
+        amount: order.totalPrice,
+        currency: currency,
+        captureMethod: capture,
+    });
+    try {
+        // The unique index on active payments allows one payment per order
+        await payment.save();
+    } catch (err) {
+        if (err.code !== 11000) throw err;
+        const existing = await Payment.findOne({ order: order._id, active: true });
+        // Started before, e.g. the customer reloaded the checkout page
+        if (existing && existing.status === PAYMENT_STATUS.REQUIRES_PAYMENT && existing.provider === provider.name) {
+            return existing;
+        }
+        if (existing && existing.status === PAYMENT_STATUS.PENDING
+            && existing.dateCreated < Date.now() - STALE_PENDING_MINUTES * 60 * 1000) {
+            const { deletedCount } = await Payment.deleteOne({ _id: existing._id, status: PAYMENT_STATUS.PENDING });
+            if (deletedCount == 1) return startPayment(order);
+        }
+        throw new PaymentError('This order already has a payment', 409, 'PAYMENT_EXISTS');
+    }
+
+    let intent;
+    try {
+        intent = await provider.createIntent({
+            amount: payment.amount,
+            currency: currency,
+            capture: capture,
+            metadata: { order: order._id.toString(), payment: payment._id.toString() },
+            idempotencyKey: payment._id.toString(),
+        });
+    } catch (err) {
+        await Payment.deleteOne({ _id: payment._id });
+        throw err;
+    }
+    return movePayment(payment._id, [PAYMENT_STATUS.PENDING], {
+        status: PAYMENT_STATUS.REQUIRES_PAYMENT,
+        providerPaymentId: intent.id,
+        clientSecret: intent.clientSecret,
+    });
+}
+
+// Take an authorized payment (PAYMENT_CAPTURE=manual), all of it or 'amount'
+// Returns the updated payment, or null when there is no payment with this id
+async function capturePayment(id, amount){
+    const payment = await Payment.findById(id);
+    if (!payment) return null;
+    if (payment.status !== PAYMENT_STATUS.AUTHORIZED) {
+        throw new PaymentError(`Only authorized payments can be captured; this payment is '${payment.status}'`, 409, 'NOT_CAPTURABLE');
+    }
+    const toCapture = amount == null ? payment.amount : roundMoney(amount);
+    if (toCapture > payment.amount) {
+        throw new PaymentError(`At most ${payment.amount} ${payment.currency.toUpperCase()} can be captured`, 400, 'AMOUNT_TOO_LARGE');
+    }
+    const provider = providerFor(payment);
+
+    // 'capturing' keeps a second capture at the same time out
+    const claimed = await movePayment(payment._id, [PAYMENT_STATUS.AUTHORIZED], { status: PAYMENT_STATUS.CAPTURING });
+    if (!claimed) {
+        throw new PaymentError('This payment was changed by another request, please try again', 409, 'CONCURRENT_UPDATE');
+    }
+    let result;
+    try {
+        result = await provider.capture(payment.providerPaymentId, toCapture);
+    } catch (err) {
+        await movePayment(payment._id, [PAYMENT_STATUS.CAPTURING], { status: PAYMENT_STATUS.AUTHORIZED });
+        throw err;
+    }
+    // The webhook of the capture may have arrived first
+    const captured = await movePayment(payment._id, [PAYMENT_STATUS.CAPTURING],
+        { status: PAYMENT_STATUS.SUCCEEDED, amountCaptured: result.amountCaptured });
+    const updated = captured || await Payment.findById(payment._id);
+    await markOrderPaid(updated);
+    return updated;
+}
+
+// Refund a payment that succeeded, all that is left of it or 'amount'
+// The refund is added to the order's 'refunds', with 'returnRequest' for the refund of a return.
+// Refunding the whole amount marks the order 'Refunded'
+// Returns the updated payment, or null when there is no payment with this id
+async function refundPayment(id, { amount, reason, returnRequest }, refundedBy){
+    const payment = await Payment.findById(id);
+    if (!payment) return null;
+    if (payment.status !== PAYMENT_STATUS.SUCCEEDED) {
+        throw new PaymentError(`Only payments that succeeded can be refunded; this payment is '${payment.status}'`, 409, 'NOT_REFUNDABLE');
+    }
+    const remaining = roundMoney(payment.amountCaptured - payment.amountRefunded);
+    const toRefund = amount == null ? remaining : roundMoney(amount);
+    if (toRefund <= 0 || toRefund > remaining) {
+        throw new PaymentError(`At most ${remaining} ${payment.currency.toUpperCase()} can be refunded`, 409, 'AMOUNT_TOO_LARGE');
+    }
+    const provider = providerFor(payment);
+
+    // Count the amount as refunded first, so two refunds at the same time cannot refund more than was paid
+    const reserved = await Payment.findOneAndUpdate(
+        { _id: payment._id, status: PAYMENT_STATUS.SUCCEEDED, amountRefunded: { $lte: roundMoney(payment.amountCaptured - toRefund) } },
+        [{ $set: { amountRefunded: { $round: [{ $add: ['$amountRefunded', toRefund] }, 2] }, dateUpdated: new Date() } }],
+        { new: true }
+    );
+    if (!reserved) {
+        throw new PaymentError('This payment was changed by another request, please try again', 409, 'CONCURRENT_UPDATE');
+    }
+
+    const refundId = new mongoose.Types.ObjectId();
+    let refund;
+    try {
+        refund = await provider.refund(payment.providerPaymentId, toRefund, { reason: reason, idempotencyKey: refundId.toString() });
+    } catch (err) {
+        await Payment.updateOne({ _id: payment._id },
+            [{ $set: { amountRefunded: { $round: [{ $subtract: ['$amountRefunded', toRefund] }, 2] } } }]);
+        throw err;
+    }
+
+    let updated = await Payment.findByIdAndUpdate(payment._id, {
+        $push: { refunds: { _id: refundId, providerRefundId: refund.id, amount: toRefund, reason: reason || '', refundedBy: refundedBy || null } },
+        $set: { dateUpdated: new Date() },
+    }, { new: true });
+    await Order.updateOne({ _id: payment.order }, { $push: { refunds: {
+        payment: payment._id, amount: toRefund, reason: reason || '', returnRequest: returnRequest || null, refundedBy: refundedBy || null,
+    } } });
+    if (updated.amountRefunded >= updated.amountCaptured) {
+        const refunded = await movePayment(payment._id, [PAYMENT_STATUS.SUCCEEDED], { status: PAYMENT_STATUS.REFUNDED });
+        if (refunded) {
+            updated = refunded;
+            await moveOrder(refunded, ORDER_STATUS.REFUNDED, refundedBy, `Payment ${payment._id} refunded`);
+        }
+    }
+    return updated;
+}
+
+// Give the money of a cancelled order back: cancel its payment with the provider, or refund it in full
+// when it was already taken. Payments being captured right now are refunded by markOrderPaid() when
+// their capture completes. Returns the updated payment
+async function voidPayment(payment, reason, changedBy){
+    if (payment.status === PAYMENT_STATUS.SUCCEEDED) {
+        return refundPayment(payment._id, { reason: reason }, changedBy);
+    }
+    const open = [PAYMENT_STATUS.PENDING, PAYMENT_STATUS.REQUIRES_PAYMENT, PAYMENT_STATUS.AUTHORIZED];
+    if (!open.includes(payment.status)) return payment;
+    if (payment.providerPaymentId) {
+        await providerFor(payment).cancel(payment.providerPaymentId);
+    }
+    return (await movePayment(payment._id, open, { status: PAYMENT_STATUS.CANCELLED, active: false }))
+        || Payment.findById(payment._id);
+}
+
+// Apply a webhook event to the payment it is about (see the top of this file)
+async function applyEvent(payment, event){
+    switch (event.type) {
+    case 'payment.authorized':
+        await movePayment(payment._id, [PAYMENT_STATUS.REQUIRES_PAYMENT], { status: PAYMENT_STATUS.AUTHORIZED });
+        break;
+    case 'payment.succeeded': {
+        const succeeded = await movePayment(payment._id,
+            [PAYMENT_STATUS.REQUIRES_PAYMENT, PAYMENT_STATUS.AUTHORIZED, PAYMENT_STATUS.CAPTURING],
+            { status: PAYMENT_STATUS.SUCCEEDED, amountCaptured: event.amount != null ? event.amount : payment.amount, failureMessage: '' });
+        if (succeeded) await markOrderPaid(succeeded);
+        break;
+    }
+    case 'payment.failed':
+        await movePayment(payment._id, [PAYMENT_STATUS.REQUIRES_PAYMENT], { failureMessage: event.message || 'The payment failed' });
+        break;
+    case 'payment.cancelled':
+        await movePayment(payment._id, [PAYMENT_STATUS.PENDING, PAYMENT_STATUS.REQUIRES_PAYMENT, PAYMENT_STATUS.AUTHORIZED],
+            { status: PAYMENT_STATUS.CANCELLED, active: false });
+        break;
+    case 'payment.refunded': {
+        // 'amount' is the total refunded so far, including refunds made at the provider
+        const synced = await Payment.findOneAndUpdate(
+            { _id: payment._id, status: PAYMENT_STATUS.SUCCEEDED },
+            { $max: { amountRefunded: event.amount || 0 }, $set: { dateUpdated: new Date() } },
+            { new: true }
+        );
+        if (synced && synced.amountRefunded >= synced.amountCaptured) {
+            const refunded = await movePayment(payment._id, [PAYMENT_STATUS.SUCCEEDED], { status: PAYMENT_STATUS.REFUNDED });
+            if (refunded) await moveOrder(refunded, ORDER_STATUS.REFUNDED, null, `Payment ${payment._id} refunded`);
+        }
+        break;
+    }
+    }
+}
+
+// Handle a webhook call of the payment provider; rawBody is the request body as it was received
+// Returns { event, handled }, where handled is false for events that were skipped
+async function handleWebhook(rawBody, headers){
+    if (!rawBody || rawBody.length == 0) {
+        throw new BadRequestError('The webhook body is missing', 'INVALID_WEBHOOK');
+    }
+    const provider = getPaymentProvider();
+    const event = provider.verifyWebhook(rawBody, headers);
+    if (!event.type) return { event: event.id, handled: false };
+
+    const payment = event.paymentId
+        ? await Payment.findOne({ provider: provider.name, providerPaymentId: event.paymentId })
+        : null;
+
+    // Record the event first; the unique index makes a repeated delivery fail here
+    try {
+        await PaymentEvent.create({ provider: provider.name, eventId: event.id, type: event.type, payment: payment ? payment._id : null });
+    } catch (err) {
+        if (err.code === 11000) return { event: event.id, handled: false };
+        throw err;
+    }
+    // Payments not started here, e.g. made in the provider's dashboard
+    if (!payment) return { event: event.id, handled: false };
+
+    try {
+        await applyEvent(payment, event);
+    } catch (err) {
+        // Forget the event so the provider's next delivery is handled
+        await PaymentEvent.deleteOne({ provider: provider.name, eventId: event.id });
+        throw err;
+    }
+    return { event: event.id, handled: true };
+}
+
+// Complete a payment with the fake provider, as the customer would on the provider's page
+// outcome: 'succeeded' (authorized with PAYMENT_CAPTURE=manual) or 'failed'
+async function simulatePayment(payment, outcome){
+    const provider = providerFor(payment);
+    if (!provider.simulateWebhook) {
+        throw new PaymentError('Payments can only be confirmed here with the fake payment provider', 404, 'NOT_FOUND');
+    }
+    let type = 'payment.failed';
+    if (outcome === 'succeeded') {
+        type = payment.captureMethod === 'manual' ? 'payment.authorized' : 'payment.succeeded';
+    }
+    const { rawBody, headers } = provider.simulateWebhook(type, payment.providerPaymentId, payment.amount);
+    await handleWebhook(rawBody, headers);
+    return Payment.findById(payment._id);
+}
+
+exports.PaymentError = PaymentError;
+exports.PAYMENT_STATUS = PAYMENT_STATUS;
+exports.startPayment = startPayment;
+exports.capturePayment = capturePayment;
+exports.refundPayment = refundPayment;
+exports.voidPayment = voidPayment;
+exports.handleWebhook = handleWebhook;
+exports.simulatePayment = simulatePayment;
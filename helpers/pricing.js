@@ -0,0 +1,46 @@
+// Order pricing
+// The price breakdown stored on every order:
+// { subtotal: 100, discount: 15, shipping: 4.99, tax: 18.90, total: 108.89 }
+// subtotal: the items, i.e. the sum of quantity * product price (the variant price for variants)
+// discount: from coupons (helpers/coupons.js)
+// shipping and tax: from the shipping method and the tax rules (helpers/shipping.js)
+// total = subtotal - discount + shipping + tax
+
+const { calculateCouponDiscounts } = require('./coupons');
+const { chooseShippingMethod, calculateTax } = require('./shipping');
+const { roundMoney } = require('./money');
+
+// Price an order
+// lines: [{ product: <Product with price, category and weight>, quantity: 2 }]
+// (see loadPricedLines() in helpers/orderService.js for the price of variants)
+// options: { couponCodes: ['SAVE10'], userId, country, region, shippingMethod: 'express' }
+// Returns { priceBreakdown, appliedCoupons, shippingMethod, shippingOptions, taxRule } where
+// appliedCoupons: [{ coupon: <Coupon>, code: 'SAVE10', discount: 5 }]
+// shippingMethod: the chosen <ShippingMethod>, or null when no shipping methods are set up
+// shippingOptions: [{ code, name, cost, estimatedDays }] for every method available to the country
+async function priceOrder(lines, options){
+
+    const subtotal = roundMoney(lines.reduce((total, line) => total + line.quantity * line.product.price, 0));
+    const appliedCoupons = await calculateCouponDiscounts(lines, options.couponCodes || [], options.userId);
+    const discount = roundMoney(appliedCoupons.reduce((total, applied) => total + applied.discount, 0));
+    const discountedSubtotal = roundMoney(subtotal - discount);
+
+    const shipping = await chooseShippingMethod(options.shippingMethod, options.country, lines, discountedSubtotal);
+    const { tax, taxRule } = await calculateTax(options.country, options.region, discountedSubtotal, shipping.cost);
+
+    return {
+        priceBreakdown: {
+            subtotal: subtotal,
+            discount: discount,
+            shipping: shipping.cost,
+            tax: tax,
+            total: roundMoney(discountedSubtotal + shipping.cost + tax),
+        },
+        appliedCoupons: appliedCoupons,
+        shippingMethod: shipping.method,
+        shippingOptions: shipping.options,
+        taxRule: taxRule,
+    };
+}
+
+exports.priceOrder = priceOrder;
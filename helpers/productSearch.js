@@ -0,0 +1,223 @@
+// Product search with faceted filtering
+//
+// Query parameters (all optional):
+// q=red car                text search over name, description, richDescription and brand
+// categories=<id>,<id>     only products in these categories or their subcategories
+// brands=Toyota,Honda      only products of these brands
+// minPrice=10&maxPrice=50  price range (inclusive)
+// isFeatured=true          only featured (or with false, only not featured) products
+// inStock=true             only products with countInStock > 0
+// minRating=4              only products rated 4 or higher
+// sort=relevance | price | -price | rating | -rating | name | -name | -dateCreated
+// page=1&limit=20
+//
+// Besides the matching products, the facet counts tell the client how many products
+// each category, brand and price range would have. As usual in faceted search, each facet
+// ignores its own filter, so selecting brand 'Toyota' still shows the counts of the other brands.
+
+const mongoose = require('mongoose');
+const { Product } = require('../models/Product');
+const { Category } = require('../models/Category');
+const { withSubcategories } = require('./categoryTree');
+const { BadRequestError } = require('./errors');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Price ranges for the price facet: 0-25, 25-50, ... and 1000 or more
+const PRICE_BOUNDARIES = [0, 25, 50, 100, 250, 500, 1000];
+
+const SORTS = {
+    'relevance': { score: -1 },
+    'price': { price: 1 },
+    '-price': { price: -1 },
+    'rating': { rating: 1 },
+    '-rating': { rating: -1 },
+    'name': { name: 1 },
+    '-name': { name: -1 },
+    '-dateCreated': { dateCreated: -1 },
+};
+
+// Thrown for invalid search query parameters
+class SearchError extends BadRequestError {
+    constructor(message){
+        super(message, 'INVALID_QUERY');
+    }
+}
+
+function parseNumber(value, name){
+    const number = Number(value);
+    if (value === '' || !Number.isFinite(number)) {
+        throw new SearchError(`'${name}' must be a number`);
+    }
+    return number;
+}
+
+function parseBoolean(value, name){
+    if (value === 'true') return true;
+    if (value === 'false') return false;
+    throw new SearchError(`'${name}' must be true or false`);
+}
+
+function parseList(value){
+    return String(value).split(',').map(item => item.trim()).filter(item => item);
+}
+
+// Turn the query parameters into the filters used by the aggregation pipeline
+// The aggregation pipeline does not cast values like find() does, so ids are converted here
+function parseSearchQuery(query){
+
+    const search = {
+        text: query.q ? String(query.q).trim() : '',
+        match: {},  // filters that apply to the results and to every facet
+        categories: null,
+        brands: null,
+        price: null,
+    };
+
+    if (query.isFeatured !== undefined) {
+        search.match.isFeatured = parseBoolean(query.isFeatured, 'isFeatured');
+    }
+    if (query.inStock !== undefined && parseBoolean(query.inStock, 'inStock')) {
+        search.match.countInStock = { $gt: 0 };
+    }
+    if (query.minRating !== undefined) {
+        search.match.rating = { $gte: parseNumber(query.minRating, 'minRating') };
+    }
+
+    if (query.categories) {
+        search.categories = parseList(query.categories).map(id=>{
+            if (!mongoose.isValidObjectId(id)) {
+                throw new SearchError(`'${id}' is not a valid category id`);
+            }
+            return new mongoose.Types.ObjectId(id);
+        });
+    }
+    if (query.brands) {
+        search.brands = parseList(query.brands);
+    }
+    if (query.minPrice !== undefined || query.maxPrice !== undefined) {
+        search.price = {};
+        if (query.minPrice !== undefined) search.price.$gte = parseNumber(query.minPrice, 'minPrice');
+        if (query.maxPrice !== undefined) search.price.$lte = parseNumber(query.maxPrice, 'maxPrice');
+    }
+
+    const sort = query.sort ? String(query.sort) : (search.text ? 'relevance' : 'name');
+    if (!SORTS[sort]) {
+        throw new SearchError(`Cannot sort by '${sort}'. Use one of: ${Object.keys(SORTS).join(', ')}`);
+    }
+    if (sort === 'relevance' && !search.text) {
+        throw new SearchError("Sorting by 'relevance' needs a search text 'q'");
+    }
+    search.sort = { ...SORTS[sort], _id: 1 };
+
+    search.limit = query.limit !== undefined ? parseNumber(query.limit, 'limit') : DEFAULT_LIMIT;
+    search.page = query.page !== undefined ? parseNumber(query.page, 'page') : 1;
+    if (!Number.isInteger(search.limit) || search.limit < 1 || search.limit > MAX_LIMIT) {
+        throw new SearchError(`'limit' must be a whole number from 1 to ${MAX_LIMIT}`);
+    }
+    if (!Number.isInteger(search.page) || search.page < 1) {
+        throw new SearchError("'page' must be a positive whole number");
+    }
+    return search;
+}
+
+// $match stage for the category, brand and price filters, leaving out the one named in 'except'
+function facetFilters(search, except){
+    const match = {};
+    if (search.categories && except !== 'categories') match.category = { $in: search.categories };
+    if (search.brands && except !== 'brands') match.brand = { $in: search.brands };
+    if (search.price && except !== 'price') match.price = search.price;
+    return { $match: match };
+}
+
+// Run the search and return { products, facets, pagination }
+// 'products' are populated with their category, the same shape as GET /products
+async function searchProducts(query){
+
+    const search = parseSearchQuery(query);
+    if (search.categories) {
+        search.categories = await withSubcategories(search.categories);
+    }
+
+    // $text must be in the first $match stage of the pipeline
+    // Archived products are left out (see helpers/deletePolicies.js)
+    const firstMatch = { ...search.match, archivedAt: null };
+    if (search.text) {
+        firstMatch.$text = { $search: search.text };
+    }
+
+    const [result] = await Product.aggregate([
+        { $match: firstMatch },
+        { $facet: {
+            results: [
+                facetFilters(search),
+                ...(search.text ? [{ $addFields: { score: { $meta: 'textScore' } } }] : []),
+                { $sort: search.sort },
+                { $skip: (search.page - 1) * search.limit },
+                { $limit: search.limit },
+                { $project: { score: 0 } },
+            ],
+            total: [
+                facetFilters(search),
+                { $count: 'count' },
+            ],
+            categories: [
+                facetFilters(search, 'categories'),
+                { $group: { _id: '$category', count: { $sum: 1 } } },
+                { $sort: { count: -1, _id: 1 } },
+            ],
+            brands: [
+                facetFilters(search, 'brands'),
+                { $match: { brand: { $nin: ['', null] } } },
+                { $group: { _id: '$brand', count: { $sum: 1 } } },
+                { $sort: { count: -1, _id: 1 } },
+            ],
+            priceRanges: [
+                facetFilters(search, 'price'),
+                { $bucket: {
+                    groupBy: '$price',
+                    boundaries: PRICE_BOUNDARIES,
+                    default: 'other',  // prices of 1000 or more
+                    output: { count: { $sum: 1 } },
+                }},
+            ],
+        }},
+    ]);
+
+    // Turn the plain aggregation results back into Product documents and populate
+    // the category so the products look the same as in GET /products
+    const products = await Product.populate(result.results.map(doc => Product.hydrate(doc)), { path: 'category' });
+
+    // Add the category names to the category facet
+    const categories = await Category.find({ _id: { $in: result.categories.map(facet => facet._id) } }).select('name');
+    const total = result.total.length > 0 ? result.total[0].count : 0;
+
+    return {
+        products: products,
+        facets: {
+            categories: result.categories.map(facet=>{
+                const category = categories.find(c => c._id.equals(facet._id));
+                return { category: facet._id, name: category ? category.name : null, count: facet.count };
+            }),
+            brands: result.brands.map(facet => ({ brand: facet._id, count: facet.count })),
+            priceRanges: result.priceRanges.map(facet=>{
+                if (facet._id === 'other') {
+                    return { min: PRICE_BOUNDARIES[PRICE_BOUNDARIES.length - 1], max: null, count: facet.count };
+                }
+                const index = PRICE_BOUNDARIES.indexOf(facet._id);
+                return { min: facet._id, max: PRICE_BOUNDARIES[index + 1], count: facet.count };
+            }),
+        },
+        pagination: {
+            total: total,
+            limit: search.limit,
+            page: search.page,
+            pages: Math.ceil(total / search.limit),
+            hasNextPage: search.page * search.limit < total,
+        },
+    };
+}
+
+exports.SearchError = SearchError;
+exports.searchProducts = searchProducts;
@@ -0,0 +1,215 @@
+// Rate limiting and login brute-force protection
+//
+// rateLimit() is a middleware that allows 'max' requests per client IP in every window of
+// 'windowMs' milliseconds and rejects the rest with 429 Too Many Requests. Every response has
+// the RateLimit-Limit, RateLimit-Remaining and RateLimit-Reset (seconds) headers, and rejected
+// requests also have Retry-After. index.js uses it for the public GET /products and /categories
+// routes: PUBLIC_RATE_LIMIT requests per minute (default 300).
+//
+// POST /users/login counts the failed logins of each email address and of each IP address.
+// After LOGIN_LIMITS.accountFailures failures in a row for an email (or ipFailures from an IP)
+// it is locked for lockoutMinutes, and every further failure doubles the lockout, up to
+// maxLockoutMinutes. A successful login clears the failures of the email, not of the IP.
+// Emails that are not registered are counted and locked the same way, so a lockout does not
+// tell whether an email exists.
+//
+// Behind a reverse proxy set TRUST_PROXY to the number of proxies, or every request will have
+// the IP of the proxy (see index.js). Private, loopback and unknown addresses, which is what a proxy
+// in front of the app usually has, all share one limit and one login lockout, so a missing TRUST_PROXY
+// makes the limits stricter rather than switching them off. A warning is logged when requests come
+// with X-Forwarded-For and TRUST_PROXY is not set. RATE_LIMIT_PRIVATE_IPS=off leaves those addresses
+// out of the IP limits instead, e.g. for a private network where every client has a private address.
+//
+// The counters are kept in a rate limit store. The default store keeps them in memory, so they
+// are lost on restart and not shared between server processes; it holds at most
+// MEMORY_STORE_MAX_ENTRIES counters and forgets the oldest ones beyond that. Another backend
+// (e.g. Redis) can be plugged in with setRateLimitStore().
+
+const net = require('net');
+const { TooManyRequestsError } = require('./errors');
+
+const LOGIN_LIMITS = {
+    accountFailures: 5,
+    ipFailures: 20,
+    lockoutMinutes: 1,
+    maxLockoutMinutes: 60,
+    forgetAfterHours: 24,  // failures are forgotten this long after the first one
+};
+
+const MEMORY_STORE_MAX_ENTRIES = Number(process.env.MEMORY_STORE_MAX_ENTRIES) || 100000;
+
+// Rate limit store that keeps the counters in memory
+// Every store has the same async methods:
+// increment(key, windowMs): add 1 to the counter and return { count, resetAt }; a new counter
+//                           starts at 1 and expires at resetAt (a time in milliseconds)
+// get(key) / set(key, value, ttlMs) / delete(key): values that expire after ttlMs
+function createMemoryRateLimitStore(maxEntries = MEMORY_STORE_MAX_ENTRIES){
+    const entries = new Map();
+
+    function removeExpired(){
+        const now = Date.now();
+        entries.forEach((entry, key)=>{
+            if (entry.expiresAt <= now) entries.delete(key);
+        });
+    }
+
+    // Keeps memory bounded when someone submits endless new emails or addresses
+    // Expired entries go first, then the oldest ones (a Map keeps the order they were added in)
+    function add(key, entry){
+        entries.delete(key);
+        if (entries.size >= maxEntries) removeExpired();
+        for (const oldest of entries.keys()) {
+            if (entries.size < maxEntries) break;
+            entries.delete(oldest);
+        }
+        entries.set(key, entry);
+    }
+
+    function find(key){
+        const entry = entries.get(key);
+        if (entry && entry.expiresAt <= Date.now()) {
+            entries.delete(key);
+            return null;
+        }
+        return entry || null;
+    }
+
+    // Remove the expired entries once a minute; unref() lets the process exit anyway
+    setInterval(removeExpired, 60 * 1000).unref();
+
+    return {
+        async increment(key, windowMs){
+            let entry = find(key);
+            if (!entry) {
+                entry = { value: 0, expiresAt: Date.now() + windowMs };
+                add(key, entry);
+            }
+            entry.value += 1;
+            return { count: entry.value, resetAt: entry.expiresAt };
+        },
+        async get(key){
+            const entry = find(key);
+            return entry ? entry.value : null;
+        },
+        async set(key, value, ttlMs){
+            add(key, { value: value, expiresAt: Date.now() + ttlMs });
+        },
+        async delete(key){
+            entries.delete(key);
+        },
+        size(){
+            return entries.size;
+        },
+    };
+}
+
+let store = createMemoryRateLimitStore();
+
+function setRateLimitStore(newStore){
+    store = newStore;
+}
+
+// Addresses that are not one client on the internet, e.g. a proxy, a load balancer or localhost
+const PRIVATE_ADDRESSES = new net.BlockList();
+[['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.168.0.0', 16]]
+.forEach(([address, prefix]) => PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10]]
+.forEach(([address, prefix]) => PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+// What an IP is limited by: a public address by itself, every private, loopback or unknown address
+// together under 'private', or null (not limited) for those with RATE_LIMIT_PRIVATE_IPS=off
+function ipKey(ip){
+    const address = String(ip || '').replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/, '');
+    const type = net.isIPv4(address) ? 'ipv4' : net.isIPv6(address) ? 'ipv6' : null;
+    if (type && !PRIVATE_ADDRESSES.check(address, type)) return address;
+    return process.env.RATE_LIMIT_PRIVATE_IPS === 'off' ? null : 'private';
+}
+
+let warnedAboutProxy = false;
+
+// The requests come through a proxy but req.ip is the proxy's IP (see index.js)
+function warnAboutProxy(req){
+    if (warnedAboutProxy || !req.headers['x-forwarded-for'] || req.app.get('trust proxy')) return;
+    warnedAboutProxy = true;
+    console.warn('Requests have X-Forwarded-For but TRUST_PROXY is not set; all clients share one rate limit and login lockout');
+}
+
+function secondsUntil(time){
+    return Math.max(1, Math.ceil((time - Date.now()) / 1000));
+}
+
+// name: keeps the counters of different limiters apart
+// key:  what to count by; the client IP by default (see ipKey()). Requests with a null key are not limited.
+function rateLimit({ name, windowMs, max, key }){
+    const keyOf = key || (req=> ipKey(req.ip));
+    return async (req, res, next)=>{
+        try {
+            warnAboutProxy(req);
+            const requestKey = keyOf(req);
+            if (requestKey == null) return next();
+            const { count, resetAt } = await store.increment(`rate:${name}:${requestKey}`, windowMs);
+            res.set('RateLimit-Limit', String(max));
+            res.set('RateLimit-Remaining', String(Math.max(0, max - count)));
+            res.set('RateLimit-Reset', String(secondsUntil(resetAt)));
+            if (count > max) {
+                return next(new TooManyRequestsError('Too many requests, please try again later', secondsUntil(resetAt)));
+            }
+            next();
+        } catch (err) {
+            next(err);
+        }
+    };
+}
+
+// Requests per minute for each IP on the public catalog routes
+const publicRateLimit = rateLimit({
+    name: 'public',
+    windowMs: 60 * 1000,
+    max: Number(process.env.PUBLIC_RATE_LIMIT) || 300,
+});
+
+function loginKeys(email, ip){
+    const keys = [{ key: `login:account:${String(email).toLowerCase()}`, maxFailures: LOGIN_LIMITS.accountFailures }];
+    const clientIp = ipKey(ip);
+    if (clientIp) keys.push({ key: `login:ip:${clientIp}`, maxFailures: LOGIN_LIMITS.ipFailures });
+    return keys;
+}
+
+// Throws a TooManyRequestsError while the email or the IP is locked
+async function checkLoginAllowed(email, ip){
+    for (const { key } of loginKeys(email, ip)) {
+        const lockedUntil = await store.get(`${key}:locked`);
+        if (lockedUntil && lockedUntil > Date.now()) {
+            throw new TooManyRequestsError('Too many failed login attempts, please try again later',
+                secondsUntil(lockedUntil), 'LOGIN_LOCKED');
+        }
+    }
+}
+
+// Count a failed login; the lockout starts at lockoutMinutes and doubles with every further failure
+async function recordLoginFailure(email, ip){
+    for (const { key, maxFailures } of loginKeys(email, ip)) {
+        const { count } = await store.increment(`${key}:failures`, LOGIN_LIMITS.forgetAfterHours * 60 * 60 * 1000);
+        if (count >= maxFailures) {
+            const minutes = Math.min(LOGIN_LIMITS.lockoutMinutes * 2 ** (count - maxFailures), LOGIN_LIMITS.maxLockoutMinutes);
+            const lockedUntil = Date.now() + minutes * 60 * 1000;
+            await store.set(`${key}:locked`, lockedUntil, minutes * 60 * 1000);
+        }
+    }
+}
+
+async function recordLoginSuccess(email){
+    const [{ key }] = loginKeys(email);
+    await store.delete(`${key}:failures`);
+    await store.delete(`${key}:locked`);
+}
+
+exports.LOGIN_LIMITS = LOGIN_LIMITS;
+exports.createMemoryRateLimitStore = createMemoryRateLimitStore;
+exports.setRateLimitStore = setRateLimitStore;
+exports.ipKey = ipKey;
+exports.rateLimit = rateLimit;
+exports.publicRateLimit = publicRateLimit;
+exports.checkLoginAllowed = checkLoginAllowed;
+exports.recordLoginFailure = recordLoginFailure;
+exports.recordLoginSuccess = recordLoginSuccess;
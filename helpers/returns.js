@@ -0,0 +1,307 @@
+// Cancellations and returns
+// Cancelling (POST /orders/:id/cancel): customers can cancel their own orders until they are shipped.
+// The order becomes 'Cancelled', its stock and coupons are given back (see updateOrderStatus()) and
+// its payment is cancelled, or refunded when it was already taken (see voidPayment() in helpers/payments.js).
+//
+// Returns (routes/returns.js) can be requested for delivered orders, within RETURN_WINDOW_DAYS
+// (default 30) of the delivery:
+// 1. The customer requests a return of some of the order items, with a quantity and a reason for each.
+//    An item cannot be returned more often than it was bought: 'returnQuantity' on the order item
+//    counts the items in returns that were not rejected or cancelled.
+// 2. Staff approve or reject the return. The customer can cancel it until it has been received.
+// 3. Staff receive the parcel. The items are put back in stock, except those received with
+//    "restock": false (e.g. broken ones).
+// 4. Staff refund the return from the order's payment: by default the price the items were bought for
+//    (the 'unitPrice' of the order items, before coupons), or any other amount. The refund is recorded
+//    in the order's 'refunds'; once the whole payment is refunded the order becomes 'Refunded'.
+//
+// Return statuses:
+//   requested -> approved -> received -> refunded
+//       |           |
+//       +-----------+--> cancelled
+//       |
+//       +--> rejected
+
+const crypto = require('crypto');
+const { Order } = require('../models/Order');
+const { OrderItem } = require('../models/OrderItem');
+const { Payment } = require('../models/Payment');
+const { ReturnRequest } = require('../models/ReturnRequest');
+const { releaseStock } = require('./stock');
+const { ORDER_STATUS, canTransition } = require('./orderStatus');
+const { OrderError, updateOrderStatus } = require('./orderService');
+const { PAYMENT_STATUS, voidPayment, refundPayment } = require('./payments');
+const { roundMoney } = require('./money');
+const { AppError } = require('./errors');
+
+// Thrown for returns that cannot be requested or changed; 'status' is the HTTP status code to respond with
+// and 'errors' holds the per-item errors when items cannot be returned in the requested quantities
+class ReturnError extends AppError {}
+
+const RETURN_STATUS = {
+    REQUESTED: 'requested',
+    APPROVED: 'approved',
+    REJECTED: 'rejected',
+    RECEIVED: 'received',
+    REFUNDED: 'refunded',
+    CANCELLED: 'cancelled',
+};
+
+// For every status, the statuses a return can move to next
+const RETURN_TRANSITIONS = {
+    [RETURN_STATUS.REQUESTED]: [RETURN_STATUS.APPROVED, RETURN_STATUS.REJECTED, RETURN_STATUS.CANCELLED],
+    [RETURN_STATUS.APPROVED]: [RETURN_STATUS.RECEIVED, RETURN_STATUS.CANCELLED],
+    [RETURN_STATUS.RECEIVED]: [RETURN_STATUS.REFUNDED],
+    [RETURN_STATUS.REJECTED]: [],
+    [RETURN_STATUS.REFUNDED]: [],
+    [RETURN_STATUS.CANCELLED]: [],
+};
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function returnWindowDays(){
+    const days = Number(process.env.RETURN_WINDOW_DAYS);
+    return Number.isFinite(days) && days >= 0 ? days : 30;
+}
+
+// When the order was delivered, from its status history
+// Orders delivered before there was a status history count from the day they were placed
+function deliveredAt(order){
+    const delivered = (order.statusHistory || []).filter(change => change.status === ORDER_STATUS.DELIVERED).pop();
+    return delivered ? delivered.changedAt : order.dateOrdered;
+}
+
+// e.g. 'RMA-3F9A0C12D4'
+function newRmaNumber(){
+    return `RMA-${crypto.randomBytes(5).toString('hex').toUpperCase()}`;
+}
+
+// What the items of a return were bought for, before coupons
+function returnValue(returnRequest){
+    return roundMoney(returnRequest.items.reduce((total, item) => total + (item.unitPrice || 0) * item.quantity, 0));
+}
+
+// Give back the quantities counted by createReturn(), e.g. [{ orderItem: '...', quantity: 2 }]
+async function releaseReturnQuantities(items){
+    await Promise.all(items.map(item=>
+        OrderItem.updateOne({ _id: item.orderItem }, { $inc: { returnQuantity: -item.quantity } })
+    ));
+}
+
+// Request a return of some of the items of a delivered order
+// items: [{ orderItem: '...', quantity: 1, reason: 'damaged', note: '...' }]
+// Returns the new return request
+async function createReturn(order, items, requestedBy, note){
+    if (order.status !== ORDER_STATUS.DELIVERED) {
+        throw new ReturnError(`Only delivered orders can be returned; this order is '${order.status}'`, 409, 'NOT_RETURNABLE');
+    }
+    const days = returnWindowDays();
+    if (deliveredAt(order) < Date.now() - days * DAY) {
+        throw new ReturnError(`Orders can only be returned within ${days} days of delivery`, 409, 'RETURN_WINDOW_CLOSED');
+    }
+
+    const orderItems = await OrderItem.find({ _id: { $in: items.map(item => item.orderItem) } });
+    const lines = items.map(item=>{
+        const inOrder = order.orderItems.some(id => id.toString() === item.orderItem.toString());
+        const orderItem = inOrder ? orderItems.find(o => o._id.toString() === item.orderItem.toString()) : null;
+        if (!orderItem) {
+            throw new ReturnError(`Order item ${item.orderItem} is not part of this order`, 400, 'INVALID_ORDER_ITEM');
+        }
+        return { orderItem: orderItem, item: item };
+    });
+
+    // Count the quantities as returned first. Each update only matches while the order item has enough
+    // left to return, so two returns requested at the same time cannot return an item twice.
+    const counted = [];
+    const short = [];
+    await Promise.all(lines.map(async ({ orderItem, item })=>{
+        const updated = await OrderItem.findOneAndUpdate(
+            { _id: orderItem._id, $expr: { $lte: [{ $add: [{ $ifNull: ['$returnQuantity', 0] }, item.quantity] }, '$quantity'] } },
+            { $inc: { returnQuantity: item.quantity } }
+        );
+        if (updated) {
+            counted.push({ orderItem: orderItem._id, quantity: item.quantity });
+        } else {
+            short.push(item);
+        }
+    }));
+    if (short.length > 0) {
+        await releaseReturnQuantities(counted);
+        const current = await OrderItem.find({ _id: { $in: short.map(item => item.orderItem) } }).select('quantity returnQuantity');
+        throw new ReturnError('Some items cannot be returned in these quantities', 409, 'RETURN_QUANTITY_EXCEEDED',
+            short.map(item=>{
+                const orderItem = current.find(o => o._id.toString() === item.orderItem.toString());
+                return {
+                    orderItem: item.orderItem,
+                    quantity: item.quantity,
+                    returnable: orderItem ? Math.max(orderItem.quantity - (orderItem.returnQuantity || 0), 0) : 0,
+                };
+            }));
+    }
+
+    try {
+        return await ReturnRequest.create({
+            rmaNumber: newRmaNumber(),
+            order: order._id,
+            user: order.user,
+            items: lines.map(({ orderItem, item })=> ({
+                orderItem: orderItem._id,
+                product: orderItem.product,
+                variant: orderItem.variant,
+                name: orderItem.name,
+                sku: orderItem.sku,
+                unitPrice: orderItem.unitPrice,
+                quantity: item.quantity,
+                reason: item.reason,
+                note: item.note || '',
+            })),
+            history: [{ status: RETURN_STATUS.REQUESTED, changedBy: requestedBy, note: note || '' }],
+        });
+    } catch (err) {
+        await releaseReturnQuantities(counted);
+        throw err;
+    }
+}
+
+// Load a return that is about to move to 'to'
+// Returns null when there is no return with this id
+async function findReturnFor(id, to){
+    const returnRequest = await ReturnRequest.findById(id);
+    if (!returnRequest) return null;
+    if (!RETURN_TRANSITIONS[returnRequest.status].includes(to)) {
+        throw new ReturnError(`A return cannot change from '${returnRequest.status}' to '${to}'`, 409, 'INVALID_STATUS_TRANSITION');
+    }
+    return returnRequest;
+}
+
+// Move a return to 'to' and record the change in its history
+// The update only matches when the status is still the one that was loaded, so two requests
+// changing the same return at the same time cannot both succeed; the second gets a 409
+async function moveReturn(returnRequest, to, changedBy, note, changes){
+    const moved = await ReturnRequest.findOneAndUpdate(
+        { _id: returnRequest._id, status: returnRequest.status },
+        {
+            $set: { ...changes, status: to, dateUpdated: new Date() },
+            $push: { history: { status: to, changedBy: changedBy, note: note || '' } },
+        },
+        { new: true }
+    );
+    if (!moved) {
+        throw new ReturnError('This return was changed by someone else, please try again', 409, 'CONCURRENT_UPDATE');
+    }
+    return moved;
+}
+
+// Approve a requested return; the customer can send the items back
+async function approveReturn(id, changedBy, note){
+    const returnRequest = await findReturnFor(id, RETURN_STATUS.APPROVED);
+    if (!returnRequest) return null;
+    return moveReturn(returnRequest, RETURN_STATUS.APPROVED, changedBy, note);
+}
+
+// Reject or cancel a return; its items can be returned again
+async function closeReturn(id, to, changedBy, note){
+    const returnRequest = await findReturnFor(id, to);
+    if (!returnRequest) return null;
+    const closed = await moveReturn(returnRequest, to, changedBy, note);
+    await releaseReturnQuantities(closed.items);
+    return closed;
+}
+
+function rejectReturn(id, changedBy, note){
+    return closeReturn(id, RETURN_STATUS.REJECTED, changedBy, note);
+}
+
+function cancelReturn(id, changedBy, note){
+    return closeReturn(id, RETURN_STATUS.CANCELLED, changedBy, note);
+}
+
+// Receive the items of an approved return and put them back in stock
+// items: [{ orderItem: '...', restock: false }] for the items that must not be restocked; every other item is
+async function receiveReturn(id, changedBy, { items, note }){
+    const returnRequest = await findReturnFor(id, RETURN_STATUS.RECEIVED);
+    if (!returnRequest) return null;
+    const notRestocked = (items || []).filter(item => item.restock === false).map(item => item.orderItem.toString());
+    const unknown = notRestocked.find(orderItem => !returnRequest.items.some(item => item.orderItem.toString() === orderItem));
+    if (unknown) {
+        throw new ReturnError(`Order item ${unknown} is not part of this return`, 400, 'INVALID_ORDER_ITEM');
+    }
+
+    const receivedItems = returnRequest.items.map(item=> ({
+        ...item.toObject(),
+        // Items of a deleted product cannot be restocked
+        restocked: Boolean(item.product) && !notRestocked.includes(item.orderItem.toString()),
+    }));
+    // Restock after the status has changed, so receiving the same return twice only restocks once
+    const received = await moveReturn(returnRequest, RETURN_STATUS.RECEIVED, changedBy, note, { items: receivedItems });
+    await releaseStock(receivedItems.filter(item => item.restocked));
+    return received;
+}
+
+// Refund a received return from the order's payment, 'amount' or what its items were bought for
+async function refundReturn(id, changedBy, { amount, note }){
+    const returnRequest = await findReturnFor(id, RETURN_STATUS.REFUNDED);
+    if (!returnRequest) return null;
+    const payment = await Payment.findOne({ order: returnRequest.order, status: PAYMENT_STATUS.SUCCEEDED });
+    if (!payment) {
+        throw new ReturnError('This order has no payment that can be refunded', 409, 'NOT_REFUNDABLE');
+    }
+    // With coupons the order cost less than its items, so the default is capped at what is left of the payment
+    const remaining = roundMoney(payment.amountCaptured - payment.amountRefunded);
+    const toRefund = amount == null ? Math.min(returnValue(returnRequest), remaining) : roundMoney(amount);
+    if (!(toRefund > 0)) {
+        throw new ReturnError('Choose the amount to refund with "amount"', 400, 'AMOUNT_REQUIRED');
+    }
+
+    // Moving the return first keeps a second refund of the same return out
+    const refunded = await moveReturn(returnRequest, RETURN_STATUS.REFUNDED, changedBy, note,
+        { refundAmount: toRefund, payment: payment._id });
+    try {
+        await refundPayment(payment._id, { amount: toRefund, reason: `Return ${returnRequest.rmaNumber}`, returnRequest: returnRequest._id }, changedBy);
+    } catch (err) {
+        await ReturnRequest.updateOne(
+            { _id: returnRequest._id, status: RETURN_STATUS.REFUNDED },
+            { $set: { status: RETURN_STATUS.RECEIVED, refundAmount: 0, payment: null }, $pop: { history: 1 } }
+        );
+        throw err;
+    }
+    return refunded;
+}
+
+// Cancel an order that has not been shipped and give the money back
+// Cancelling a cancelled order again only retries giving the money back, e.g. when the payment
+// provider could not be reached the first time
+// Returns { order, payment }, where payment is null for orders that were never paid,
+// or null when there is no order with this id
+async function cancelOrder(id, cancelledBy, reason){
+    const order = await Order.findById(id).select('status');
+    if (!order) return null;
+    if (order.status !== ORDER_STATUS.CANCELLED) {
+        if (!canTransition(order.status, ORDER_STATUS.CANCELLED)) {
+            throw new OrderError(`Orders can only be cancelled until they are shipped; this order is '${order.status}'`, 409, 'NOT_CANCELLABLE');
+        }
+        if (!await updateOrderStatus(order._id, ORDER_STATUS.CANCELLED, cancelledBy, reason)) return null;
+    }
+    return voidOrderPayment(order._id, cancelledBy, reason);
+}
+
+// Give the money of a cancelled order back, for orders cancelled with updateOrderStatus()
+// Returns { order, payment } like cancelOrder()
+async function voidOrderPayment(orderId, cancelledBy, reason){
+    const payment = await Payment.findOne({ order: orderId, active: true });
+    const voided = payment ? await voidPayment(payment, reason || 'The order was cancelled', cancelledBy) : null;
+    // Refunding the payment has made the order 'Refunded'
+    return { order: await Order.findById(orderId), payment: voided };
+}
+
+exports.ReturnError = ReturnError;
+exports.RETURN_STATUS = RETURN_STATUS;
+exports.RETURN_TRANSITIONS = RETURN_TRANSITIONS;
+exports.createReturn = createReturn;
+exports.approveReturn = approveReturn;
+exports.rejectReturn = rejectReturn;
+exports.cancelReturn = cancelReturn;
+exports.receiveReturn = receiveReturn;
+exports.refundReturn = refundReturn;
+exports.cancelOrder = cancelOrder;
+exports.voidOrderPayment = voidOrderPayment;
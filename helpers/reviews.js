@@ -0,0 +1,34 @@
+// Product reviews
+// Product 'rating' and 'numReviews' are never set directly; they are recalculated
+// from the visible reviews every time a review is added, changed, moderated or deleted.
+
+const mongoose = require('mongoose');
+const { Review } = require('../models/Review');
+const { Product } = require('../models/Product');
+const { Order } = require('../models/Order');
+const { OrderItem } = require('../models/OrderItem');
+const { ORDER_STATUS } = require('./orderStatus');
+
+// Set the product 'rating' to the average of its visible reviews, rounded to one decimal,
+// and 'numReviews' to the number of visible reviews
+async function recalculateProductRating(productId){
+    const [stats] = await Review.aggregate([
+        { $match: { product: new mongoose.Types.ObjectId(productId.toString()), isHidden: false } },
+        { $group: { _id: '$product', average: { $avg: '$rating' }, count: { $sum: 1 } } },
+    ]);
+    const rating = stats ? Math.round(stats.average * 10) / 10 : 0;
+    const numReviews = stats ? stats.count : 0;
+    await Product.updateOne({ _id: productId }, { rating: rating, numReviews: numReviews });
+}
+
+// Only buyers can review a product: the user must have a delivered order containing it
+async function hasReceivedProduct(userId, productId){
+    const deliveredOrders = await Order.find({ user: userId, status: ORDER_STATUS.DELIVERED }).select('orderItems');
+    const orderItemIds = deliveredOrders.flatMap(order => order.orderItems);
+    if (orderItemIds.length == 0) return false;
+    const orderItem = await OrderItem.exists({ _id: { $in: orderItemIds }, product: productId });
+    return !!orderItem;
+}
+
+exports.recalculateProductRating = recalculateProductRating;
+exports.hasReceivedProduct = hasReceivedProduct;
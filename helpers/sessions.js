@@ -0,0 +1,221 @@
+// Login sessions, access tokens and refresh tokens
+//
+// Logging in creates a session and returns two tokens:
+// - an access token: a short-lived JWT (ACCESS_TOKEN_EXPIRES_IN, default 15 minutes) sent as
+//   'Bearer Token' with every request. It carries the session id as 'sessionId'.
+// - a refresh token: '<sessionId>.<random secret>', valid for REFRESH_TOKEN_DAYS (default 30).
+//   It is exchanged at POST /users/refresh for a new pair of tokens. Every refresh replaces the
+//   secret (rotation), so each refresh token can only be used once. Using an old refresh token
+//   again means it was copied, so the whole session is revoked.
+//
+// authJwt() calls isSessionActive() for every request, so logging out (revoking the session)
+// rejects its access token immediately instead of when it expires.
+//
+// Sessions are kept in a session store. The default store uses the Session collection;
+// set SESSION_STORE=memory to keep them in memory instead, e.g. for tests or a local
+// server without a database. The memory store is lost on restart and is not shared between
+// server processes. Another backend (e.g. Redis) can be plugged in with setSessionStore().
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { Session } = require('../models/Session');
+const { User } = require('../models/User');
+const { AppError } = require('./errors');
+
+// Thrown when a refresh token cannot be used; 'status' is the HTTP status code to respond with
+class SessionError extends AppError {
+    constructor(message, status){
+        super(message, status || 401, 'INVALID_SESSION');
+    }
+}
+
+function hashToken(secret){
+    return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+function refreshTokenExpiry(){
+    const days = Number(process.env.REFRESH_TOKEN_DAYS) || 30;
+    return new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+}
+
+// Session store backed by the Session collection
+// Every store has the same async methods and returns plain objects:
+// { id, user, refreshTokenHash, revokedAt, expiresAt }
+const mongoSessionStore = {
+    async create(fields){
+        const session = await Session.create(fields);
+        return toSession(session);
+    },
+    async find(id){
+        const session = await Session.findById(id);
+        return session ? toSession(session) : null;
+    },
+    // Replace the refresh token hash, but only if it is still the one that was checked
+    // Returns the updated session, or null when another request rotated it first
+    async rotate(id, oldHash, newHash, expiresAt){
+        const session = await Session.findOneAndUpdate(
+            { _id: id, refreshTokenHash: oldHash, revokedAt: null },
+            { $set: { refreshTokenHash: newHash, expiresAt: expiresAt, lastUsedAt: new Date() } },
+            { new: true }
+        );
+        return session ? toSession(session) : null;
+    },
+    async revoke(id){
+        await Session.updateOne({ _id: id, revokedAt: null }, { $set: { revokedAt: new Date() } });
+    },
+    async revokeAllForUser(userId, exceptSessionId){
+        const filter = { user: userId, revokedAt: null };
+        if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+        await Session.updateMany(filter, { $set: { revokedAt: new Date() } });
+    },
+};
+
+function toSession(doc){
+    return {
+        id: doc._id.toString(),
+        user: doc.user.toString(),
+        refreshTokenHash: doc.refreshTokenHash,
+        revokedAt: doc.revokedAt,
+        expiresAt: doc.expiresAt,
+    };
+}
+
+// Session store that keeps sessions in memory
+function createMemorySessionStore(){
+    const sessions = new Map();
+    return {
+        async create(fields){
+            const session = {
+                id: crypto.randomBytes(12).toString('hex'),
+                user: fields.user.toString(),
+                refreshTokenHash: fields.refreshTokenHash,
+                revokedAt: null,
+                expiresAt: fields.expiresAt,
+            };
+            sessions.set(session.id, session);
+            return { ...session };
+        },
+        async find(id){
+            const session = sessions.get(String(id));
+            return session ? { ...session } : null;
+        },
+        async rotate(id, oldHash, newHash, expiresAt){
+            const session = sessions.get(String(id));
+            if (!session || session.revokedAt || session.refreshTokenHash !== oldHash) return null;
+            session.refreshTokenHash = newHash;
+            session.expiresAt = expiresAt;
+            return { ...session };
+        },
+        async revoke(id){
+            const session = sessions.get(String(id));
+            if (session && !session.revokedAt) session.revokedAt = new Date();
+        },
+        async revokeAllForUser(userId, exceptSessionId){
+            for (const session of sessions.values()) {
+                if (session.user !== userId.toString() || session.revokedAt || session.id === exceptSessionId) continue;
+                session.revokedAt = new Date();
+            }
+        },
+    };
+}
+
+let store = process.env.SESSION_STORE === 'memory' ? createMemorySessionStore() : mongoSessionStore;
+
+// Replace the session store; it must have the same methods as mongoSessionStore
+function setSessionStore(newStore){
+    store = newStore;
+}
+
+function signAccessToken(user, sessionId){
+    // 'userRole' is checked by authorize() in helpers/authorize.js
+    return jwt.sign(
+        { userId: user._id, userIsAdmin: user.isAdmin, userRole: user.role, sessionId: sessionId },
+        process.env.SECRET,
+        { expiresIn: process.env.ACCESS_TOKEN_EXPIRES_IN || '15m' }
+    );
+}
+
+function isUsable(session){
+    return session && !session.revokedAt && session.expiresAt > new Date();
+}
+
+// Start a new session for a user who has just logged in
+// req is used to remember which device the session belongs to
+// Returns { accessToken, refreshToken }
+async function createSession(user, req){
+    const secret = crypto.randomBytes(32).toString('hex');
+    const session = await store.create({
+        user: user._id,
+        refreshTokenHash: hashToken(secret),
+        userAgent: req ? req.get('User-Agent') || '' : '',
+        ip: req ? req.ip || '' : '',
+        expiresAt: refreshTokenExpiry(),
+    });
+    return {
+        accessToken: signAccessToken(user, session.id),
+        refreshToken: `${session.id}.${secret}`,
+    };
+}
+
+// Exchange a refresh token for a new access token and a new refresh token
+// The user is loaded again so a changed role is picked up by the new access token.
+// Returns { accessToken, refreshToken }
+async function refreshSession(refreshToken){
+
+    const [sessionId, secret] = String(refreshToken || '').split('.');
+    if (!sessionId || !secret || !/^[0-9a-f]{24}$/.test(sessionId)) {
+        throw new SessionError('Invalid refresh token');
+    }
+
+    const session = await store.find(sessionId);
+    if (!isUsable(session)) {
+        throw new SessionError('This session has expired or has been logged out');
+    }
+
+    const oldHash = hashToken(secret);
+    const newSecret = crypto.randomBytes(32).toString('hex');
+    // rotate() fails when the secret is not the current one, i.e. an already used
+    // refresh token was sent again. Revoke the session so neither copy can be used.
+    const rotated = session.refreshTokenHash === oldHash
+        && await store.rotate(sessionId, oldHash, hashToken(newSecret), refreshTokenExpiry());
+    if (!rotated) {
+        await store.revoke(sessionId);
+        throw new SessionError('This refresh token has already been used, please log in again');
+    }
+
+    const user = await User.findById(session.user);
+    if (!user || !user.isActive) {
+        await store.revoke(sessionId);
+        throw new SessionError('User of this session not found or deactivated');
+    }
+    return {
+        accessToken: signAccessToken(user, sessionId),
+        refreshToken: `${sessionId}.${newSecret}`,
+    };
+}
+
+// Log out one session
+async function revokeSession(sessionId){
+    await store.revoke(sessionId);
+}
+
+// Log out every session of a user ("log out everywhere")
+// Pass exceptSessionId to keep the current session logged in, e.g. after changing the password
+async function revokeAllSessions(userId, exceptSessionId){
+    await store.revokeAllForUser(userId, exceptSessionId);
+}
+
+// Check whether the session of an access token can still be used
+async function isSessionActive(sessionId){
+    if (!sessionId) return false;
+    return isUsable(await store.find(sessionId));
+}
+
+exports.SessionError = SessionError;
+exports.createMemorySessionStore = createMemorySessionStore;
+exports.setSessionStore = setSessionStore;
+exports.createSession = createSession;
+exports.refreshSession = refreshSession;
+exports.revokeSession = revokeSession;
+exports.revokeAllSessions = revokeAllSessions;
+exports.isSessionActive = isSessionActive;
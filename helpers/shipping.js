@@ -0,0 +1,105 @@
+// Shipping cost and tax calculation
+//
+// Shipping method types (see models/ShippingMethod.js):
+// flat:     cost = rate
+// weight:   cost = rate + perUnit * total weight in kg (Product.weight)
+// quantity: cost = rate + perUnit * number of items
+// Any method is free when the order total after discounts reaches 'freeOver'.
+//
+// Tax (see models/TaxRule.js) is looked up by the order country and region. A rule for the
+// region wins over the rule for the whole country; without any rule there is no tax.
+// Tax is charged on the order total after discounts, plus shipping when 'includeShipping' is set.
+
+const { ShippingMethod } = require('../models/ShippingMethod');
+const { TaxRule } = require('../models/TaxRule');
+const { roundMoney } = require('./money');
+const { AppError } = require('./errors');
+
+// Thrown when the order cannot be shipped; 'status' is the HTTP status code to respond with
+class ShippingError extends AppError {
+    constructor(message, status){
+        super(message, status || 400, 'SHIPPING_UNAVAILABLE');
+    }
+}
+
+function sameName(a, b){
+    return String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+}
+
+// Work out the shipping cost of a method
+// lines: [{ product: <Product with weight>, quantity: 2 }]
+// discountedSubtotal: order subtotal minus coupon discounts
+function shippingCost(method, lines, discountedSubtotal){
+    if (method.freeOver !== null && discountedSubtotal >= method.freeOver) return 0;
+    if (method.type === 'weight') {
+        const weight = lines.reduce((total, line) => total + line.quantity * (line.product.weight || 0), 0);
+        return roundMoney(method.rate + method.perUnit * weight);
+    }
+    if (method.type === 'quantity') {
+        const quantity = lines.reduce((total, line) => total + line.quantity, 0);
+        return roundMoney(method.rate + method.perUnit * quantity);
+    }
+    return roundMoney(method.rate);
+}
+
+// Work out the shipping cost of every active method that ships to the country,
+// cheapest first, and pick the one with this code (or the cheapest when no code is given)
+// Returns { method: <ShippingMethod or null>, cost, options: [{ code, name, cost, estimatedDays }] }
+// When no shipping methods are set up at all, shipping is free and method is null.
+async function chooseShippingMethod(code, country, lines, discountedSubtotal){
+
+    const methods = await ShippingMethod.find({ isActive: true });
+    if (methods.length == 0) {
+        return { method: null, cost: 0, options: [] };
+    }
+
+    const options = methods
+    .filter(method => method.countries.length == 0 || method.countries.some(c => sameName(c, country)))
+    .map(method => ({ method: method, cost: shippingCost(method, lines, discountedSubtotal) }))
+    .sort((a, b) => a.cost - b.cost);
+    if (options.length == 0) {
+        throw new ShippingError(`We do not ship to ${country || 'this country'}`);
+    }
+
+    let chosen = options[0];
+    if (code) {
+        chosen = options.find(option => option.method.code === String(code).trim().toLowerCase());
+        if (!chosen) {
+            throw new ShippingError(`Shipping method '${code}' is not available for ${country || 'this country'}`);
+        }
+    }
+
+    return {
+        method: chosen.method,
+        cost: chosen.cost,
+        options: options.map(option=>
+            ({ code: option.method.code, name: option.method.name, cost: option.cost, estimatedDays: option.method.estimatedDays })),
+    };
+}
+
+// Find the tax rule for a country and region; returns null when there is none
+async function findTaxRule(country, region){
+    if (!country) return null;
+    const rules = await TaxRule.find({ country: String(country).trim() }).collation({ locale: 'en', strength: 2 });
+    return rules.find(rule => rule.region && sameName(rule.region, region))
+        || rules.find(rule => !rule.region)
+        || null;
+}
+
+// Work out the tax of an order; returns { tax, taxRule: { name, rate, includeShipping } or null }
+async function calculateTax(country, region, discountedSubtotal, shipping){
+    const rule = await findTaxRule(country, region);
+    if (!rule) {
+        return { tax: 0, taxRule: null };
+    }
+    const taxable = discountedSubtotal + (rule.includeShipping ? shipping : 0);
+    return {
+        tax: roundMoney(taxable * rule.rate / 100),
+        taxRule: { name: rule.name, rate: rule.rate, includeShipping: rule.includeShipping },
+    };
+}
+
+exports.ShippingError = ShippingError;
+exports.shippingCost = shippingCost;
+exports.chooseShippingMethod = chooseShippingMethod;
+exports.calculateTax = calculateTax;
@@ -0,0 +1,162 @@
+// Stock reservation for orders
+// Product.countInStock is decremented when an order is placed and
+// incremented again when the order is cancelled or deleted.
+// Lines for a product with variants name the variant in 'variant'; its countInStock is changed
+// together with the product countInStock (the total of the variants) in the same update.
+
+const mongoose = require('mongoose');
+const { Product } = require('../models/Product');
+const { Order } = require('../models/Order');
+const { OrderItem } = require('../models/OrderItem');
+const { ORDER_STATUS, canTransition } = require('./orderStatus');
+
+// Combine order lines for the same product (and variant) so a product listed twice
+// is checked against its total quantity, e.g.
+// [{product: A, quantity: 1}, {product: A, quantity: 2}, {product: B, variant: V, quantity: 1}]
+// => Map { 'A' => { product: 'A', variant: null, quantity: 3 }, 'B:V' => { product: 'B', variant: 'V', quantity: 1 } }
+function totalQuantityByProduct(orderItems){
+    const totals = new Map();
+    orderItems.forEach(item=>{
+        const key = stockKey(item);
+        const total = totals.get(key) || { product: item.product.toString(), variant: item.variant ? item.variant.toString() : null, quantity: 0 };
+        total.quantity += item.quantity;
+        totals.set(key, total);
+    });
+    return totals;
+}
+
+function stockKey(item){
+    return item.variant ? `${item.product}:${item.variant}` : item.product.toString();
+}
+
+// Take quantity units of a product or of one of its variants, only when there are enough
+// A product with variants cannot be ordered without choosing one
+function takeStock({ product, variant, quantity }){
+    if (variant) {
+        return Product.findOneAndUpdate(
+            { _id: product, variants: { $elemMatch: { _id: variant, countInStock: { $gte: quantity } } } },
+            { $inc: { 'variants.$.countInStock': -quantity, countInStock: -quantity } }
+        );
+    }
+    return Product.findOneAndUpdate(
+        { _id: product, countInStock: { $gte: quantity }, 'variants.0': { $exists: false } },
+        { $inc: { countInStock: -quantity } }
+    );
+}
+
+// The opposite of takeStock(); a variant that has been deleted in the meantime is not restocked
+function putBackStock({ product, variant, quantity }){
+    if (variant) {
+        return Product.updateOne(
+            { _id: product, 'variants._id': variant },
+            { $inc: { 'variants.$.countInStock': quantity, countInStock: quantity } }
+        );
+    }
+    return Product.updateOne({ _id: product }, { $inc: { countInStock: quantity } });
+}
+
+// Why a line could not be reserved, and how many units are available
+function shortage(product, variantId){
+    if (!product) return { available: 0, error: 'Product not found' };
+    const hasVariants = product.variants && product.variants.length > 0;
+    if (!variantId) {
+        return hasVariants
+            ? { available: product.countInStock, error: 'Please choose a variant of this product' }
+            : { available: product.countInStock, error: 'Insufficient stock' };
+    }
+    const variant = hasVariants ? product.variants.find(v => v._id.toString() === variantId.toString()) : null;
+    return variant
+        ? { available: variant.countInStock, error: 'Insufficient stock' }
+        : { available: 0, error: 'Variant not found' };
+}
+
+// Check and decrement stock for every order line
+// Each decrement is a single findOneAndUpdate() that only matches when there is enough stock,
+// so two concurrent checkouts can never both take the last unit of a product.
+// If any line cannot be fulfilled, the decrements that already succeeded are put back
+// and nothing is reserved.
+// Returns an array of per-line errors; an empty array means all stock has been reserved.
+// Each error looks like: { line: 0, product: '...', variant: null, quantity: 3, available: 1, error: 'Insufficient stock' }
+async function reserveStock(orderItems){
+
+    // Reject malformed lines before touching any stock
+    const lineErrors = [];
+    orderItems.forEach((item, index)=>{
+        if (!item || !mongoose.isValidObjectId(item.product)) {
+            lineErrors.push({line: index, product: item ? item.product : null, quantity: item ? item.quantity : null, available: null, error: 'Invalid product id'});
+        } else if (item.variant && !mongoose.isValidObjectId(item.variant)) {
+            lineErrors.push({line: index, product: item.product, variant: item.variant, quantity: item.quantity, available: null, error: 'Invalid variant id'});
+        } else if (!Number.isInteger(item.quantity) || item.quantity < 1) {
+            lineErrors.push({line: index, product: item.product, quantity: item.quantity, available: null, error: 'Quantity must be a positive whole number'});
+        }
+    });
+    if (lineErrors.length > 0) return lineErrors;
+
+    const totals = totalQuantityByProduct(orderItems);
+    const reserved = [];
+    const shortKeys = [];
+
+    await Promise.all([...totals].map(async ([key, total])=>{
+        const product = await takeStock(total);
+        if (product) {
+            reserved.push(total);
+        } else {
+            shortKeys.push(key);
+        }
+    }));
+
+    if (shortKeys.length == 0) return [];
+
+    // Put back what was taken so a rejected order does not hold any stock
+    await releaseStock(reserved);
+
+    // Report every short line with the quantity that is currently available
+    const shortProductIds = shortKeys.map(key => totals.get(key).product);
+    const products = await Product.find({ _id: { $in: shortProductIds } }).select('countInStock variants');
+    orderItems.forEach((item, index)=>{
+        if (!shortKeys.includes(stockKey(item))) return;
+        const product = products.find(p => p._id.toString() === item.product.toString());
+        lineErrors.push({
+            line: index,
+            product: item.product.toString(),
+            variant: item.variant ? item.variant.toString() : null,
+            quantity: item.quantity,
+            ...shortage(product, item.variant),
+        });
+    });
+    return lineErrors;
+}
+
+// Increment stock for every order line, e.g. [{ product: '...', variant: '...', quantity: 3 }]
+async function releaseStock(orderItems){
+    const totals = totalQuantityByProduct(orderItems);
+    await Promise.all([...totals.values()].map(putBackStock));
+}
+
+// Return the stock held by an order, at most once per order
+// The 'stockReleased' flag is flipped atomically, so cancelling an order twice
+// or cancelling and deleting it at the same time only restocks once.
+async function releaseOrderStock(order){
+    const claimed = await Order.findOneAndUpdate(
+        { _id: order._id, stockReleased: { $ne: true } },
+        { stockReleased: true }
+    );
+    if (!claimed) return false;
+    const orderItems = await OrderItem.find({ _id: { $in: claimed.orderItems } });
+    await releaseStock(orderItems);
+    return true;
+}
+
+// How many units of a product, ordered without a variant, are held by orders that can still be
+// cancelled; cancelling them puts the units back on the product itself (see POST /products/:id/variants)
+async function heldProductStock(productId){
+    const openStatuses = Object.values(ORDER_STATUS).filter(status => canTransition(status, ORDER_STATUS.CANCELLED));
+    const openOrderItems = await Order.distinct('orderItems', { status: { $in: openStatuses }, stockReleased: { $ne: true } });
+    const orderItems = await OrderItem.find({ _id: { $in: openOrderItems }, product: productId, variant: null }).select('quantity');
+    return orderItems.reduce((total, item) => total + item.quantity, 0);
+}
+
+exports.reserveStock = reserveStock;
+exports.releaseStock = releaseStock;
+exports.releaseOrderStock = releaseOrderStock;
+exports.heldProductStock = heldProductStock;
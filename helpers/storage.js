@@ -0,0 +1,186 @@
+// Storage for uploaded files
+// The driver that keeps the files is chosen with STORAGE_DRIVER:
+// local (default): files in public/uploads, served by index.js at /public/uploads
+// s3:              files in an S3 bucket, or any S3 compatible storage such as MinIO
+//
+// Files are saved under a key (their file name, e.g. 'red-car-1674567890123-9f2c4e1a.jpeg') and
+// the url saved in the database is STORAGE_PUBLIC_URL + '/' + key. Set STORAGE_PUBLIC_URL to
+// the address clients reach the files at, e.g. 'https://shop.example.com/public/uploads' behind
+// a proxy or 'https://cdn.example.com' in front of a bucket. When it is not set:
+// local: http://localhost:<PORT>/public/uploads, only outside production (NODE=production requires STORAGE_PUBLIC_URL)
+// s3:    <S3_ENDPOINT>/<S3_BUCKET> when S3_ENDPOINT is set, otherwise https://<S3_BUCKET>.s3.<S3_REGION>.amazonaws.com
+//
+// The s3 driver reads:
+// S3_BUCKET (required), S3_REGION (default 'us-east-1'), S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY,
+// S3_ENDPOINT (e.g. 'http://localhost:9000' for MinIO) and S3_PREFIX (e.g. 'uploads/', put in front of the keys)
+// S3_FORCE_PATH_STYLE=true is needed by MinIO and is the default when S3_ENDPOINT is set.
+// Without S3_ACCESS_KEY_ID the usual AWS credentials (environment, ~/.aws, instance role) are used.
+// The bucket must allow public reads of the files, e.g. with a bucket policy.
+//
+// Another driver can be plugged in with setStorage(). A driver is an object with:
+// baseUrl, async put(key, body, contentType), async delete(key) and
+// async list() (returns every file as { key, lastModified })
+
+const fs = require('fs/promises');
+const path = require('path');
+
+const LOCAL_UPLOAD_DIR = path.join(__dirname, '..', 'public', 'uploads');
+
+function trimSlashes(url){
+    return String(url).replace(/\/+$/, '');
+}
+
+function createLocalStorage(dir, baseUrl){
+    return {
+        baseUrl: trimSlashes(baseUrl),
+        async put(key, body){
+            await fs.mkdir(dir, { recursive: true });
+            await fs.writeFile(path.join(dir, path.basename(key)), body);
+        },
+        async delete(key){
+            await fs.rm(path.join(dir, path.basename(key)), { force: true });
+        },
+        async list(){
+            const entries = await fs.readdir(dir, { withFileTypes: true }).catch(err=>{
+                if (err.code === 'ENOENT') return [];
+                throw err;
+            });
+            const files = [];
+            for (const entry of entries.filter(entry => entry.isFile())) {
+                const stats = await fs.stat(path.join(dir, entry.name));
+                files.push({ key: entry.name, lastModified: stats.mtime });
+            }
+            return files;
+        },
+    };
+}
+
+// npm install @aws-sdk/client-s3 (only loaded when the s3 driver is used)
+function createS3Storage(options){
+    const { S3Client, PutObjectCommand, DeleteObjectCommand, ListObjectsV2Command } = require('@aws-sdk/client-s3');
+    if (!options.bucket) {
+        throw new Error('S3_BUCKET is required when STORAGE_DRIVER=s3');
+    }
+    const client = new S3Client({
+        region: options.region || 'us-east-1',
+        endpoint: options.endpoint || undefined,
+        forcePathStyle: options.forcePathStyle,
+        credentials: options.accessKeyId
+            ? { accessKeyId: options.accessKeyId, secretAccessKey: options.secretAccessKey }
+            : undefined,
+    });
+    const prefix = options.prefix || '';
+    const defaultUrl = options.endpoint
+        ? `${trimSlashes(options.endpoint)}/${options.bucket}`
+        : `https://${options.bucket}.s3.${options.region || 'us-east-1'}.amazonaws.com`;
+
+    return {
+        baseUrl: trimSlashes(options.baseUrl || `${defaultUrl}/${prefix}`),
+        async put(key, body, contentType){
+            await client.send(new PutObjectCommand({
+                Bucket: options.bucket,
+                Key: prefix + key,
+                Body: body,
+                ContentType: contentType,
+                // The names are never reused, so the files can be cached for good
+                CacheControl: 'public, max-age=31536000, immutable',
+            }));
+        },
+        async delete(key){
+            await client.send(new DeleteObjectCommand({ Bucket: options.bucket, Key: prefix + key }));
+        },
+        async list(){
+            const files = [];
+            let continuationToken;
+            do {
+                const page = await client.send(new ListObjectsV2Command({
+                    Bucket: options.bucket, Prefix: prefix, ContinuationToken: continuationToken,
+                }));
+                (page.Contents || []).forEach(object=>{
+                    files.push({ key: object.Key.slice(prefix.length), lastModified: object.LastModified });
+                });
+                continuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+            } while (continuationToken);
+            return files;
+        },
+    };
+}
+
+function createStorageFromEnv(env){
+    if (env.STORAGE_DRIVER === 's3') {
+        return createS3Storage({
+            bucket: env.S3_BUCKET,
+            region: env.S3_REGION,
+            endpoint: env.S3_ENDPOINT,
+            forcePathStyle: env.S3_FORCE_PATH_STYLE ? env.S3_FORCE_PATH_STYLE === 'true' : Boolean(env.S3_ENDPOINT),
+            accessKeyId: env.S3_ACCESS_KEY_ID,
+            secretAccessKey: env.S3_SECRET_ACCESS_KEY,
+            prefix: env.S3_PREFIX,
+            baseUrl: env.STORAGE_PUBLIC_URL,
+        });
+    }
+    if (env.STORAGE_DRIVER && env.STORAGE_DRIVER !== 'local') {
+        throw new Error(`Unknown STORAGE_DRIVER: ${env.STORAGE_DRIVER}`);
+    }
+    // A localhost url saved in production would break every image for the clients
+    if (!env.STORAGE_PUBLIC_URL && env.NODE === 'production') {
+        throw new Error("STORAGE_PUBLIC_URL is required in production, e.g. 'https://shop.example.com/public/uploads'");
+    }
+    return createLocalStorage(LOCAL_UPLOAD_DIR,
+        env.STORAGE_PUBLIC_URL || `http://localhost:${env.PORT || 3000}/public/uploads`);
+}
+
+// Whether the public url of the files was chosen, rather than the localhost default of the local driver
+function hasPublicUrl(env){
+    return Boolean(env.STORAGE_PUBLIC_URL) || env.STORAGE_DRIVER === 's3';
+}
+
+let storage = createStorageFromEnv(process.env);
+
+// Replace the storage driver (see the top of this file)
+function setStorage(newStorage){
+    storage = newStorage;
+}
+
+function getStorage(){
+    return storage;
+}
+
+// Save a file and return its public url
+async function putFile(key, body, contentType){
+    await storage.put(key, body, contentType);
+    return fileUrl(key);
+}
+
+async function deleteFile(key){
+    await storage.delete(key);
+}
+
+// Returns every file as { key, lastModified }
+async function listFiles(){
+    return storage.list();
+}
+
+function fileUrl(key){
+    return `${storage.baseUrl}/${key}`;
+}
+
+// The key of a url made by fileUrl(), or null when the url points somewhere else
+function fileKeyFromUrl(url){
+    const start = `${storage.baseUrl}/`;
+    if (typeof url !== 'string' || !url.startsWith(start)) return null;
+    return url.slice(start.length) || null;
+}
+
+exports.LOCAL_UPLOAD_DIR = LOCAL_UPLOAD_DIR;
+exports.createLocalStorage = createLocalStorage;
+exports.createS3Storage = createS3Storage;
+exports.createStorageFromEnv = createStorageFromEnv;
+exports.hasPublicUrl = hasPublicUrl;
+exports.setStorage = setStorage;
+exports.getStorage = getStorage;
+exports.putFile = putFile;
+exports.deleteFile = deleteFile;
+exports.listFiles = listFiles;
+exports.fileUrl = fileUrl;
+exports.fileKeyFromUrl = fileKeyFromUrl;
@@ -0,0 +1,87 @@
+// Email verification and password reset
+// Both flows email the user a random token that can be used once before it expires:
+// verify-email:   24 hours, confirmed at POST /users/verify-email/confirm
+// reset-password: 1 hour, confirmed at POST /users/password-reset/confirm
+// Asking for a new token makes the older unused tokens of the same purpose invalid.
+// The links in the emails point to the client app at CLIENT_URL, which sends the token to the api.
+
+const crypto = require('crypto');
+const { UserToken } = require('../models/UserToken');
+const { sendMail } = require('./mailer');
+const { AppError } = require('./errors');
+
+const TOKEN_PURPOSE = {
+    VERIFY_EMAIL: 'verify-email',
+    RESET_PASSWORD: 'reset-password',
+};
+
+const TOKEN_LIFETIME_MINUTES = {
+    'verify-email': 24 * 60,
+    'reset-password': 60,
+};
+
+// Thrown when a token cannot be used; 'status' is the HTTP status code to respond with
+class UserTokenError extends AppError {
+    constructor(message, status){
+        super(message, status || 400, 'INVALID_TOKEN');
+    }
+}
+
+function hashToken(token){
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Create a token for a user and return it; only its hash is saved
+async function createUserToken(userId, purpose){
+    await UserToken.updateMany({ user: userId, purpose: purpose, usedAt: null }, { $set: { usedAt: new Date() } });
+    const token = crypto.randomBytes(32).toString('hex');
+    await UserToken.create({
+        user: userId,
+        purpose: purpose,
+        tokenHash: hashToken(token),
+        expiresAt: new Date(Date.now() + TOKEN_LIFETIME_MINUTES[purpose] * 60 * 1000),
+    });
+    return token;
+}
+
+// Use a token; marking it as used and checking it happen in one update,
+// so the same token cannot be used twice even by two requests at the same time
+// Returns the id of the user the token belongs to
+async function consumeUserToken(token, purpose){
+    if (!token || typeof token !== 'string') {
+        throw new UserTokenError('A token is required');
+    }
+    const userToken = await UserToken.findOneAndUpdate(
+        { tokenHash: hashToken(token), purpose: purpose, usedAt: null, expiresAt: { $gt: new Date() } },
+        { $set: { usedAt: new Date() } }
+    );
+    if (!userToken) {
+        throw new UserTokenError('This link is invalid or has expired, please ask for a new one');
+    }
+    return userToken.user;
+}
+
+function clientLink(route, token){
+    return `${process.env.CLIENT_URL || 'http://localhost:3000'}/${route}?token=${token}`;
+}
+
+async function sendVerificationEmail(user){
+    const token = await createUserToken(user._id, TOKEN_PURPOSE.VERIFY_EMAIL);
+    await sendMail(user.email, 'Please verify your email address',
+        `Hi ${user.name},\n\nPlease verify your email address by opening this link within 24 hours:\n`
+        + `${clientLink('verify-email', token)}\n`);
+}
+
+async function sendPasswordResetEmail(user){
+    const token = await createUserToken(user._id, TOKEN_PURPOSE.RESET_PASSWORD);
+    await sendMail(user.email, 'Reset your password',
+        `Hi ${user.name},\n\nYou can choose a new password by opening this link within 1 hour:\n`
+        + `${clientLink('reset-password', token)}\n\nIf you did not ask to reset your password, you can ignore this email.\n`);
+}
+
+exports.TOKEN_PURPOSE = TOKEN_PURPOSE;
+exports.UserTokenError = UserTokenError;
+exports.createUserToken = createUserToken;
+exports.consumeUserToken = consumeUserToken;
+exports.sendVerificationEmail = sendVerificationEmail;
+exports.sendPasswordResetEmail = sendPasswordResetEmail;
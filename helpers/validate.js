@@ -0,0 +1,59 @@
+// Request validation
+// npm install joi for describing what a valid request looks like
+// Each route declares the schemas of the parts of the request it accepts, for example:
+// router.post('/', authorize('catalog:write'), validate({ body: createCategory }), async (req,res)=>{ ... });
+// The schemas are in the validators/ folder, one file per router.
+//
+// body:   unknown fields are removed and values are converted to their types ("12" -> 12, which
+//         multipart forms need), then req.body is replaced with the result
+// query:  unknown parameters are allowed and the values are left as strings, because
+//         helpers/paginate.js and helpers/productSearch.js parse them themselves
+// params: route parameters such as ':id'
+//
+// An invalid request is rejected with a ValidationError (400) listing one error per field:
+// { success: false, error: 'Validation Error', code: 'VALIDATION_ERROR',
+//   errors: [{ field: 'email', message: "'email' must be a valid email" }], data: null }
+
+const { ValidationError } = require('./errors');
+
+const JOI_OPTIONS = {
+    abortEarly: false,  // report every invalid field, not only the first one
+    errors: { wrap: { label: "'" } },
+};
+
+function joiErrors(error){
+    return error.details.map(detail=> ({ field: detail.path.join('.'), message: detail.message }));
+}
+
+// Field errors of a Mongoose ValidationError, in the same format as validate()
+function mongooseErrors(err){
+    return Object.values(err.errors).map(error=> ({ field: error.path, message: error.message }));
+}
+
+function validate(schemas){
+    return (req, res, next)=>{
+        const errors = [];
+
+        if (schemas.params) {
+            const { error } = schemas.params.validate(req.params, JOI_OPTIONS);
+            if (error) errors.push(...joiErrors(error));
+        }
+        if (schemas.query) {
+            const { error } = schemas.query.validate(req.query, { ...JOI_OPTIONS, allowUnknown: true });
+            if (error) errors.push(...joiErrors(error));
+        }
+        if (schemas.body) {
+            const { error, value } = schemas.body.validate(req.body || {}, { ...JOI_OPTIONS, stripUnknown: true });
+            if (error) errors.push(...joiErrors(error));
+            else req.body = value;
+        }
+
+        if (errors.length > 0) {
+            return next(new ValidationError(errors));
+        }
+        next();
+    };
+}
+
+exports.validate = validate;
+exports.mongooseErrors = mongooseErrors;
@@ -0,0 +1,120 @@
+// Product variants
+// A product sold in several sizes, colors, etc. has one variant per combination, e.g.
+// { sku: 'TSHIRT-RED-M', attributes: { color: 'Red', size: 'M' }, price: 19.99, countInStock: 12,
+//   images: ['<url of a gallery image>'] }
+// - every variant of a product has the same attribute names, and no two have the same values
+// - 'price' is optional; a variant without one costs the product price
+// - 'images' are chosen from the gallery of the product ('images'), e.g. the photos of the red one
+// - the product countInStock is the total of its variants and is updated with every change, so
+//   the product lists, sorting and the 'inStock' search filter keep working
+// Products without variants keep using their own price and countInStock.
+
+const { BadRequestError, ConflictError } = require('./errors');
+
+// The attributes of a variant as a plain object; they are a Map on a Mongoose document
+function attributesOf(variant){
+    const attributes = variant.attributes || {};
+    return attributes instanceof Map ? Object.fromEntries(attributes) : { ...attributes };
+}
+
+function findVariant(product, variantId){
+    if (!variantId) return null;
+    return (product.variants || []).find(variant => variant._id.toString() === variantId.toString()) || null;
+}
+
+function variantPrice(product, variant){
+    return variant && variant.price != null ? variant.price : product.price;
+}
+
+// Check a new or changed variant against the other variants of the product
+// data: the variant as it will be saved; variantId: the variant being changed, if any
+function checkVariant(product, data, variantId){
+    const others = (product.variants || []).filter(variant => !variantId || variant._id.toString() !== variantId.toString());
+    const attributes = attributesOf(data);
+    const names = Object.keys(attributes).sort();
+
+    if (others.length > 0) {
+        const expected = Object.keys(attributesOf(others[0])).sort();
+        if (names.join('\n') !== expected.join('\n')) {
+            throw new BadRequestError(`Every variant of this product must have the attributes: ${expected.join(', ')}`);
+        }
+    }
+    const sameAttributes = others.find(variant=> names.every(name => attributesOf(variant)[name] === attributes[name]));
+    if (sameAttributes) {
+        throw new ConflictError(`Variant ${sameAttributes.sku} already has these attributes`, 'DUPLICATE');
+    }
+    if (others.some(variant => variant.sku === data.sku)) {
+        throw new ConflictError(`This product already has a variant with sku ${data.sku}`, 'DUPLICATE');
+    }
+    const notInGallery = (data.images || []).filter(url => !(product.images || []).includes(url));
+    if (notInGallery.length > 0) {
+        throw new BadRequestError(`Variant images must be gallery images of this product: ${notInGallery.join(', ')}`);
+    }
+}
+
+// The variant matrix of a product, e.g. for a product page with size and color pickers:
+// attributes:   [{ name: 'color', values: ['Red', 'Blue'] }, { name: 'size', values: ['S', 'M'] }]
+// variants:     every variant with its price and whether it is in stock
+// matrix:       the variants by attribute value, in the order of 'attributes', e.g. matrix.Red.M;
+//               null for combinations that are not sold
+// availability: { countInStock, inStock, priceRange: { min, max },
+//                 byAttribute: { color: { Red: 12, Blue: 0 }, size: { S: 4, M: 8 } } }
+function describeVariants(product){
+    const variants = (product.variants || []).map(variant=> ({
+        _id: variant._id,
+        sku: variant.sku,
+        attributes: attributesOf(variant),
+        price: variantPrice(product, variant),
+        countInStock: variant.countInStock,
+        inStock: variant.countInStock > 0,
+        images: variant.images || [],
+    }));
+
+    const attributes = [];
+    variants.forEach(variant=>{
+        Object.entries(variant.attributes).forEach(([name, value])=>{
+            let attribute = attributes.find(a => a.name === name);
+            if (!attribute) {
+                attribute = { name: name, values: [] };
+                attributes.push(attribute);
+            }
+            if (!attribute.values.includes(value)) attribute.values.push(value);
+        });
+    });
+
+    function buildMatrix(depth, chosen){
+        if (depth == attributes.length) {
+            const variant = variants.find(v => attributes.every(a => v.attributes[a.name] === chosen[a.name]));
+            return variant ? { _id: variant._id, sku: variant.sku, price: variant.price, countInStock: variant.countInStock } : null;
+        }
+        const { name, values } = attributes[depth];
+        return Object.fromEntries(values.map(value => [value, buildMatrix(depth + 1, { ...chosen, [name]: value })]));
+    }
+
+    const byAttribute = Object.fromEntries(attributes.map(({ name, values })=> [name,
+        Object.fromEntries(values.map(value=> [value, variants
+        .filter(variant => variant.attributes[name] === value)
+        .reduce((total, variant) => total + variant.countInStock, 0)]))]));
+    const countInStock = variants.length > 0
+        ? variants.reduce((total, variant) => total + variant.countInStock, 0)
+        : product.countInStock;
+    const prices = variants.length > 0 ? variants.map(variant => variant.price) : [product.price];
+
+    return {
+        attributes: attributes,
+        variants: variants,
+        matrix: variants.length > 0 ? buildMatrix(0, {}) : null,
+        availability: {
+            countInStock: countInStock,
+            inStock: countInStock > 0,
+            priceRange: { min: Math.min(...prices), max: Math.max(...prices) },
+            byAttribute: byAttribute,
+        },
+    };
+}
+
+exports.attributesOf = attributesOf;
+exports.findVariant = findVariant;
+exports.variantPrice = variantPrice;
+exports.checkVariant = checkVariant;
+exports.describeVariants = describeVariants;
@@ -1,17 +1,24 @@
 if (process.env.NODE !== 'production') require('dotenv').config();
 const express = require('express');
 const app = express();
-const mongoose = require('mongoose');
 const cors = require('cors'); // npm install cors
 const morgan = require('morgan');
 const authJwt = require('./helpers/authJwt');
 const errorHandler = require('./helpers/errorHandler');
+const { publicRateLimit } = require('./helpers/rateLimit');
+const connectDatabase = require('./helpers/db');
 
 // Import Routers
 const categoriesRouter = require('./routes/categories');
 const productsRouter = require('./routes/products');
 const ordersRouter = require('./routes/orders');
 const usersRouter = require('./routes/users');
+const reviewsRouter = require('./routes/reviews');
+const cartRouter = require('./routes/cart');
+const couponsRouter = require('./routes/coupons');
+const shippingRouter = require('./routes/shipping');
+const paymentsRouter = require('./routes/payments');
+const returnsRouter = require('./routes/returns');
 
 // Enable Cross-Origin Resource Sharing 
 // CORS goes hand in hand with APIs. A good use case of CORS is
@@ -40,16 +47,22 @@ app.options('*', cors); // Allow OPTIONS requests from all origins
 // we define '/public/uploads' in Jwt path to exclude from authentication. 
 // Also need the __dirname or it won't show the images
 // Use browser to test: http://localhost:3000/public/uploads/car1.jpeg
+// The files are only here with the local storage driver (see helpers/storage.js)
+// Behind a reverse proxy (e.g. nginx or a load balancer) set TRUST_PROXY to the number of
+// proxies so req.ip is the IP of the client, which the rate limits and sessions rely on.
+// Without it every client shares the rate limit of the proxy's (private) IP (see helpers/rateLimit.js)
+if (process.env.TRUST_PROXY) app.set('trust proxy', Number(process.env.TRUST_PROXY));
 app.use(morgan('tiny'));
-app.use(express.json());  
+// The body is also kept as it was received in req.rawBody, because the signature of payment
+// webhooks is checked against the exact bytes (see routes/payments.js)
+app.use(express.json({ verify: (req, res, buffer)=>{ req.rawBody = buffer; } }));
+// Limit the requests each IP can make to the public catalog (see helpers/rateLimit.js)
+app.get([`${process.env.API_VERSION}/products*`, `${process.env.API_VERSION}/categories*`], publicRateLimit);
 app.use(authJwt());
-app.use(errorHandler);
 app.use('/public/uploads', express.static(__dirname + '/public/uploads'));
 
 // Database Connection
-mongoose.set('strictQuery', false);
-mongoose.connect(process.env.MONGODB_URL, 
-                {useNewUrlParser: true, useUnifiedTopology: true, dbName: 'estore-database'})
+connectDatabase()
 .then(()=>{
     console.log('Database connected...')
 })
@@ -62,6 +75,17 @@ app.use(`${process.env.API_VERSION}/categories`, categoriesRouter);
 app.use(`${process.env.API_VERSION}/products`, productsRouter);
 app.use(`${process.env.API_VERSION}/orders`, ordersRouter);
 app.use(`${process.env.API_VERSION}/users`, usersRouter);
+app.use(`${process.env.API_VERSION}/reviews`, reviewsRouter);
+app.use(`${process.env.API_VERSION}/cart`, cartRouter);
+app.use(`${process.env.API_VERSION}/coupons`, couponsRouter);
+app.use(`${process.env.API_VERSION}/shipping`, shippingRouter);
+app.use(`${process.env.API_VERSION}/payments`, paymentsRouter);
+app.use(`${process.env.API_VERSION}/returns`, returnsRouter);
+
+// Error Handler
+// Must be registered after the routers so it receives the errors they pass to next()
+app.use(errorHandler.notFound);
+app.use(errorHandler);
 
 // Server
 app.listen( process.env.PORT || 3000, ()=>{
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+const CartItemSchema = new mongoose.Schema({
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true,
+    },
+    variant: { // the _id of one of the product variants, for products that have them
+        type: mongoose.Schema.Types.ObjectId,
+        default: null,
+    },
+    quantity: {
+        type: Number,
+        required: true,
+        min: 1,
+    },
+    dateAdded: {
+        type: Date,
+        default: Date.now,
+    }
+});
+
+// A cart belongs either to a logged in user or to a guest.
+// Guests get a random 'guestToken' that they send back in the 'X-Cart-Token' header.
+const CartSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+    },
+    guestToken: {
+        type: String,
+    },
+    items: [CartItemSchema],
+    dateUpdated: {
+        type: Date,
+        default: Date.now,
+    },
+    expiresAt: { // only set for guest carts, which MongoDB deletes once this date has passed
+        type: Date,
+    }
+});
+
+// Sparse so that carts without a user (or without a guest token) do not clash
+CartSchema.index({ user: 1 }, { unique: true, sparse: true });
+CartSchema.index({ guestToken: 1 }, { unique: true, sparse: true });
+CartSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+exports.Cart = mongoose.model('Cart', CartSchema);
@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const { PATTERNS } = require('../validators/common');
+// Categories form a tree, e.g. Vehicles > Cars > Electric cars (see helpers/categoryTree.js)
+// Run 'npm run rebuild:categories' once on a database with categories saved before the tree existed
 const CategorySchema = new mongoose.Schema({
     name: {
         type: String,
@@ -6,11 +9,48 @@ const CategorySchema = new mongoose.Schema({
     },
     color: { // this could be a hex color #000 for black
         type: String,
+        match: [PATTERNS.hexColor, 'Color must be a hex color like #ff9900'],
     },
     icon: { // this could be a google material icon svg
         type: String,
-    }
+    },
+    slug: { // used in urls, e.g. 'electric-cars'
+        type: String,
+        required: true,
+        lowercase: true,
+        trim: true,
+        match: [PATTERNS.slug, 'Slug must be lowercase letters, digits and dashes like electric-cars'],
+    },
+    parent: { // null for a top level category
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Category',
+        default: null,
+    },
+    sortOrder: { // order among the categories with the same parent, lowest first
+        type: Number,
+        default: 0,
+    },
+    // The ids from the top level category down to this one, e.g. ',<vehicles id>,<cars id>,<electric cars id>,'
+    // The category and all its subcategories are the categories whose path starts with its path.
+    // Kept up to date by helpers/categoryTree.js, never set by a request.
+    path: {
+        type: String,
+        required: true,
+    },
+    depth: { // 0 for a top level category
+        type: Number,
+        default: 0,
+    },
+    archivedAt: { // set instead of deleting the category (see helpers/deletePolicies.js)
+        type: Date,
+        default: null,
+    },
 });
 
+// Partial, so the index can be built before 'npm run rebuild:categories' has given old categories a slug
+CategorySchema.index({ slug: 1 }, { unique: true, partialFilterExpression: { slug: { $type: 'string' } } });
+CategorySchema.index({ path: 1 });
+CategorySchema.index({ parent: 1, sortOrder: 1, name: 1 });
+
 // Export category as an object
-exports.Category = mongoose.model('Category', CategorySchema);
\ No newline at end of file
+exports.Category = mongoose.model('Category', CategorySchema);
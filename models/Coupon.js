@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+const CouponSchema = new mongoose.Schema({
+    code: { // customers enter this code at checkout, e.g. 'SUMMER10'
+        type: String,
+        required: true,
+        unique: true,
+        uppercase: true,
+        trim: true,
+    },
+    description: {
+        type: String,
+        default: '',
+    },
+    type: { // 'percentage': value is a percentage off, 'fixed': value is an amount off
+        type: String,
+        required: true,
+        enum: ['percentage', 'fixed'],
+    },
+    value: {
+        type: Number,
+        required: true,
+        min: 0,
+    },
+    minOrderValue: { // the order subtotal must be at least this much
+        type: Number,
+        default: 0,
+        min: 0,
+    },
+    products: [{ // when set, the discount only applies to these products
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+    }],
+    categories: [{ // when set, the discount only applies to products in these categories
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Category',
+    }],
+    maxUses: { // total number of orders that can use this coupon; null means unlimited
+        type: Number,
+        default: null,
+        min: 0,
+    },
+    maxUsesPerUser: { // number of orders each user can use this coupon for; null means unlimited
+        type: Number,
+        default: null,
+        min: 0,
+    },
+    usedCount: {
+        type: Number,
+        default: 0,
+    },
+    startsAt: {
+        type: Date,
+        default: Date.now,
+    },
+    expiresAt: { // null means the coupon never expires
+        type: Date,
+        default: null,
+    },
+    isActive: {
+        type: Boolean,
+        default: true,
+    },
+    dateCreated: {
+        type: Date,
+        default: Date.now,
+    }
+});
+
+exports.Coupon = mongoose.model('Coupon', CouponSchema);
+
+/**
+Coupon Example:
+
+{
+    "code": "CARS15",
+    "description": "15% off all cars, once per customer",
+    "type": "percentage",
+    "value": 15,
+    "minOrderValue": 50,
+    "categories": ["63ceed5ab00556b8c16ec547"],
+    "maxUses": 1000,
+    "maxUsesPerUser": 1,
+    "expiresAt": "2026-12-31T23:59:59Z"
+}
+
+*/
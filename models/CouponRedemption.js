@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// One document for every order that used a coupon, used to enforce Coupon.maxUsesPerUser
+const CouponRedemptionSchema = new mongoose.Schema({
+    coupon: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Coupon',
+        required: true,
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order',
+        required: true,
+    },
+    dateRedeemed: {
+        type: Date,
+        default: Date.now,
+    }
+});
+
+CouponRedemptionSchema.index({ coupon: 1, user: 1 });
+CouponRedemptionSchema.index({ order: 1 });
+
+exports.CouponRedemption = mongoose.model('CouponRedemption', CouponRedemptionSchema);
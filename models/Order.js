@@ -1,4 +1,57 @@
 const mongoose = require('mongoose');
+
+// One entry is added to 'statusHistory' every time the status changes
+const StatusChangeSchema = new mongoose.Schema({
+    status: {
+        type: String,
+        required: true,
+    },
+    changedBy: { // the user who placed the order or changed its status
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+    },
+    note: {
+        type: String,
+        default: '',
+    },
+    changedAt: {
+        type: Date,
+        default: Date.now,
+    }
+});
+
+// One entry for every refund of the order's payment made through the API (see helpers/payments.js)
+// Refunds made in the payment provider's dashboard only show on the Payment
+const OrderRefundSchema = new mongoose.Schema({
+    payment: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Payment',
+        required: true,
+    },
+    amount: {
+        type: Number,
+        required: true,
+    },
+    reason: {
+        type: String,
+        default: '',
+    },
+    returnRequest: { // set for the refund of a return (see helpers/returns.js)
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ReturnRequest',
+        default: null,
+    },
+    refundedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null,
+    },
+    dateCreated: {
+        type: Date,
+        default: Date.now,
+    }
+});
+
 const OrderSchema = new mongoose.Schema({
     orderItems: [{
         type: mongoose.Schema.Types.ObjectId,
@@ -25,18 +78,52 @@ const OrderSchema = new mongoose.Schema({
         type: String,
         required: true,
     },
+    region: { // state or province, used to find the tax rule
+        type: String,
+        default: '',
+    },
     phone: {
         type: String,
         required: true,
     },
-    status: {
+    status: { // see the order status lifecycle in helpers/orderStatus.js
         type: String,
         required: true,
+        enum: ['Pending', 'Paid', 'Processing', 'Shipped', 'Delivered', 'Cancelled', 'Refunded'],
         default: 'Pending',
     },
-    totalPrice: {
+    statusHistory: [StatusChangeSchema],
+    totalPrice: { // same as priceBreakdown.total
         type: Number,
     },
+    priceBreakdown: { // see helpers/pricing.js
+        subtotal: { type: Number, default: 0 },
+        discount: { type: Number, default: 0 },
+        shipping: { type: Number, default: 0 },
+        tax: { type: Number, default: 0 },
+        total: { type: Number, default: 0 },
+    },
+    shippingMethod: { // copied from the ShippingMethod so the order still shows it if the method changes
+        method: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'ShippingMethod',
+        },
+        code: String,
+        name: String,
+    },
+    appliedCoupons: [{
+        coupon: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Coupon',
+        },
+        code: String,
+        discount: Number,
+    }],
+    refunds: [OrderRefundSchema],
+    stockReleased: { // true once the stock of the order items has been put back (see helpers/stock.js)
+        type: Boolean,
+        default: false,
+    },
     user: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User',
@@ -68,8 +155,11 @@ Order Example:
     "city": "Prague",
     "zip": "00000",
     "country": "Czech Republic",
+    "region": "",
     "phone": "+420702241333",
-    "user": "5fd51bc7e39ba856244a3b44"
+    "user": "5fd51bc7e39ba856244a3b44",
+    "couponCodes": ["SUMMER10"],
+    "shippingMethod": "standard"
 }
 
 */
\ No newline at end of file
@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+// 'name', 'image', 'sku', 'unitPrice' and 'lineTotal' are copied from the product when the order is placed,
+// so the order shows what was bought at the price it was bought for, even after the product is changed or deleted.
+// Run 'npm run backfill:order-items' once on a database with order items saved before they had these fields
 const OrderItemSchema = new mongoose.Schema({
     quantity: {
         type: Number,
@@ -7,7 +10,38 @@ const OrderItemSchema = new mongoose.Schema({
     product: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'Product',
-    }
+    },
+    variant: { // the _id of one of the product variants, for products that have them
+        type: mongoose.Schema.Types.ObjectId,
+        default: null,
+    },
+    sku: { // copied from the variant so the order still shows it if the variant changes
+        type: String,
+        default: '',
+    },
+    name: {
+        type: String,
+        default: '',
+    },
+    image: { // the main image of the product, or the first image of the variant
+        type: String,
+        default: '',
+    },
+    unitPrice: { // the product or variant price, before coupons
+        type: Number,
+        default: null,
+        min: 0,
+    },
+    lineTotal: { // quantity * unitPrice
+        type: Number,
+        default: null,
+        min: 0,
+    },
+    returnQuantity: { // how many are in returns that were not rejected or cancelled (see helpers/returns.js)
+        type: Number,
+        default: 0,
+        min: 0,
+    },
 });
 
 exports.OrderItem = mongoose.model('OrderItem', OrderItemSchema);
\ No newline at end of file
@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+
+// A payment of an order with the payment provider (see helpers/payments.js)
+// An order has at most one active payment at a time; a cancelled payment is kept and a new one can be started.
+const RefundSchema = new mongoose.Schema({
+    providerRefundId: {
+        type: String,
+        default: '',
+    },
+    amount: {
+        type: Number,
+        required: true,
+        min: 0,
+    },
+    reason: {
+        type: String,
+        default: '',
+    },
+    refundedBy: { // null for refunds made at the provider, e.g. in the Stripe dashboard
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null,
+    },
+    dateCreated: {
+        type: Date,
+        default: Date.now,
+    }
+});
+
+const PaymentSchema = new mongoose.Schema({
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order',
+        required: true,
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+    },
+    provider: { // see helpers/paymentProviders.js
+        type: String,
+        required: true,
+    },
+    providerPaymentId: { // e.g. the id of the Stripe PaymentIntent
+        type: String,
+        default: null,
+    },
+    clientSecret: { // given to the customer's browser to complete the payment with the provider
+        type: String,
+        default: '',
+    },
+    status: { // see PAYMENT_STATUS in helpers/payments.js
+        type: String,
+        required: true,
+        enum: ['pending', 'requires_payment', 'authorized', 'capturing', 'succeeded', 'refunded', 'cancelled'],
+        default: 'pending',
+    },
+    active: { // false once the payment was cancelled
+        type: Boolean,
+        default: true,
+    },
+    captureMethod: { // 'manual' only authorizes the amount; it is taken with POST /payments/:id/capture
+        type: String,
+        enum: ['automatic', 'manual'],
+        default: 'automatic',
+    },
+    amount: {
+        type: Number,
+        required: true,
+        min: 0,
+    },
+    currency: {
+        type: String,
+        required: true,
+    },
+    amountCaptured: {
+        type: Number,
+        default: 0,
+    },
+    amountRefunded: {
+        type: Number,
+        default: 0,
+    },
+    refunds: [RefundSchema],
+    failureMessage: { // why the last attempt to pay failed, e.g. 'Your card was declined'
+        type: String,
+        default: '',
+    },
+    dateCreated: {
+        type: Date,
+        default: Date.now,
+    },
+    dateUpdated: {
+        type: Date,
+        default: Date.now,
+    }
+});
+
+PaymentSchema.index({ order: 1 }, { unique: true, partialFilterExpression: { active: true } });
+PaymentSchema.index({ order: 1, dateCreated: -1 });
+PaymentSchema.index({ provider: 1, providerPaymentId: 1 }, { unique: true, partialFilterExpression: { providerPaymentId: { $type: 'string' } } });
+
+exports.Payment = mongoose.model('Payment', PaymentSchema);
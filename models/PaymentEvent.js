@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// Every webhook event of the payment provider that has been handled (see helpers/payments.js)
+// Providers deliver an event again when they get no answer, so an event that is already
+// here is skipped. MongoDB deletes the records after 30 days; providers stop retrying well before.
+const PaymentEventSchema = new mongoose.Schema({
+    provider: {
+        type: String,
+        required: true,
+    },
+    eventId: {
+        type: String,
+        required: true,
+    },
+    type: {
+        type: String,
+        required: true,
+    },
+    payment: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Payment',
+        default: null,
+    },
+    dateReceived: {
+        type: Date,
+        default: Date.now,
+    }
+});
+
+PaymentEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+PaymentEventSchema.index({ dateReceived: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+exports.PaymentEvent = mongoose.model('PaymentEvent', PaymentEventSchema);
@@ -1,4 +1,52 @@
 const mongoose = require('mongoose');
+
+// Urls of the resized copies of an image, in its own format and as WebP (see helpers/images.js)
+const ImageSizeSchema = new mongoose.Schema({
+    url: String,
+    webp: String,
+}, { _id: false });
+
+const ImageVariantsSchema = new mongoose.Schema({
+    thumb: ImageSizeSchema,
+    medium: ImageSizeSchema,
+    large: ImageSizeSchema,
+}, { _id: false });
+
+// The variants of a gallery image; 'image' is its url in 'images'
+const GalleryVariantsSchema = new mongoose.Schema({
+    image: String,
+    thumb: ImageSizeSchema,
+    medium: ImageSizeSchema,
+    large: ImageSizeSchema,
+}, { _id: false });
+
+// A size, color, etc. of a product with its own stock (see helpers/variants.js)
+const VariantSchema = new mongoose.Schema({
+    sku: {
+        type: String,
+        required: true,
+        trim: true,
+    },
+    attributes: { // e.g. { color: 'Red', size: 'M' }
+        type: Map,
+        of: String,
+        default: {},
+    },
+    price: { // null means the product price
+        type: Number,
+        default: null,
+        min: 0,
+    },
+    countInStock: {
+        type: Number,
+        required: true,
+        min: 0,
+    },
+    images: [{ // urls from the gallery of the product
+        type: String
+    }],
+});
+
 const ProductSchema = new mongoose.Schema({
     name: {
         type: String,
@@ -16,28 +64,41 @@ const ProductSchema = new mongoose.Schema({
         type: String,
         default: '',
     },
+    imageVariants: { // resized copies of 'image'; not set for images uploaded before they were made
+        type: ImageVariantsSchema,
+        default: null,
+    },
     images: [{ // this is an array of gallery photos
         type: String
     }],
+    galleryVariants: [{ // resized copies of the gallery photos, found by their 'image' url
+        type: GalleryVariantsSchema,
+    }],
     brand: {
         type: String,
         default: '',
     },
     price: {
         type: Number,
-        default: 0
+        default: 0,
+        min: 0,
     },
     category: { // this field contains an ObjectId
         type: mongoose.Schema.Types.ObjectId,
         ref: 'Category',
         required: true,
     },
-    countInStock: {
+    weight: { // in kg, used by weight based shipping methods (see helpers/shipping.js)
+        type: Number,
+        default: 0,
+        min: 0,
+    },
+    countInStock: { // the total of the variants when the product has variants
         type: Number,
         required: true,
         min: 0,
-        max: 255,
     },
+    variants: [VariantSchema],
     rating: {
         type: Number,
         default: 0,
@@ -65,8 +126,24 @@ const ProductSchema = new mongoose.Schema({
     dateCreated: {
         type: Date,
         default: Date.now,  // this is a JavaScript function
-    }
+    },
+    // Set instead of deleting a product that is in orders, so the orders still show it
+    // Archived products are hidden from the lists and cannot be ordered (see helpers/deletePolicies.js)
+    archivedAt: {
+        type: Date,
+        default: null,
+    },
 });
 
+// Text index used by GET /products/search (see helpers/productSearch.js)
+// Matches in the name count the most, then the brand, then the descriptions
+ProductSchema.index(
+    { name: 'text', brand: 'text', description: 'text', richDescription: 'text' },
+    { name: 'ProductTextIndex', weights: { name: 10, brand: 5, description: 2, richDescription: 1 } }
+);
+
+// No two variants of any products can have the same sku
+ProductSchema.index({ 'variants.sku': 1 }, { unique: true, sparse: true });
+
 // Export product as an object
 exports.Product = mongoose.model('Product', ProductSchema);
\ No newline at end of file
@@ -0,0 +1,118 @@
+const mongoose = require('mongoose');
+
+// A return merchandise authorization (RMA): a customer asks to send back some of the items
+// of a delivered order (see helpers/returns.js for the whole flow)
+const ReturnItemSchema = new mongoose.Schema({
+    orderItem: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'OrderItem',
+        required: true,
+    },
+    // 'product', 'variant', 'name', 'sku' and 'unitPrice' are copied from the order item
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+    },
+    variant: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null,
+    },
+    name: {
+        type: String,
+        default: '',
+    },
+    sku: {
+        type: String,
+        default: '',
+    },
+    unitPrice: {
+        type: Number,
+        default: null,
+    },
+    quantity: {
+        type: Number,
+        required: true,
+        min: 1,
+    },
+    reason: {
+        type: String,
+        enum: ['damaged', 'defective', 'wrong_item', 'not_as_described', 'no_longer_needed', 'other'],
+        required: true,
+    },
+    note: { // the customer's own words, e.g. 'The screen is cracked'
+        type: String,
+        default: '',
+    },
+    restocked: { // set when the return is received and the item is put back in stock
+        type: Boolean,
+        default: false,
+    },
+});
+
+// One entry is added to 'history' every time the status changes, like the status history of orders
+const ReturnStatusChangeSchema = new mongoose.Schema({
+    status: {
+        type: String,
+        required: true,
+    },
+    changedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+    },
+    note: {
+        type: String,
+        default: '',
+    },
+    changedAt: {
+        type: Date,
+        default: Date.now,
+    }
+});
+
+const ReturnRequestSchema = new mongoose.Schema({
+    rmaNumber: { // e.g. 'RMA-3F9A0C12', for the customer to write on the parcel
+        type: String,
+        required: true,
+    },
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order',
+        required: true,
+    },
+    user: { // the owner of the order
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+    },
+    status: {
+        type: String,
+        enum: ['requested', 'approved', 'rejected', 'received', 'refunded', 'cancelled'],
+        default: 'requested',
+    },
+    items: [ReturnItemSchema],
+    refundAmount: { // set when the return is refunded
+        type: Number,
+        default: 0,
+        min: 0,
+    },
+    payment: { // the payment the refund was made from
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Payment',
+        default: null,
+    },
+    history: [ReturnStatusChangeSchema],
+    dateCreated: {
+        type: Date,
+        default: Date.now,
+    },
+    dateUpdated: {
+        type: Date,
+        default: Date.now,
+    },
+});
+
+ReturnRequestSchema.index({ rmaNumber: 1 }, { unique: true });
+ReturnRequestSchema.index({ order: 1, dateCreated: -1 });
+ReturnRequestSchema.index({ user: 1, dateCreated: -1 });
+ReturnRequestSchema.index({ status: 1, dateCreated: -1 });
+
+exports.ReturnRequest = mongoose.model('ReturnRequest', ReturnRequestSchema);
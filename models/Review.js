@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+const ReviewSchema = new mongoose.Schema({
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true,
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+    rating: { // 1 to 5 stars
+        type: Number,
+        required: true,
+        min: 1,
+        max: 5,
+    },
+    comment: {
+        type: String,
+        default: '',
+    },
+    isHidden: { // hidden reviews are not shown and do not count towards the product rating
+        type: Boolean,
+        default: false,
+    },
+    isFlagged: { // flagged for a moderator to look at
+        type: Boolean,
+        default: false,
+    },
+    moderationNote: {
+        type: String,
+        default: '',
+    },
+    dateCreated: {
+        type: Date,
+        default: Date.now,
+    },
+    dateUpdated: {
+        type: Date,
+        default: Date.now,
+    }
+});
+
+// A user can only review a product once
+ReviewSchema.index({ product: 1, user: 1 }, { unique: true });
+
+exports.Review = mongoose.model('Review', ReviewSchema);
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// A login session (see helpers/sessions.js)
+// Every access token carries the id of its session, so revoking the session on logout
+// rejects the access token straight away. Only a hash of the refresh token is stored.
+const SessionSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+    refreshTokenHash: { // changes every time the refresh token is used (rotation)
+        type: String,
+        required: true,
+    },
+    userAgent: {
+        type: String,
+        default: '',
+    },
+    ip: {
+        type: String,
+        default: '',
+    },
+    revokedAt: { // set on logout; a revoked session cannot be used again
+        type: Date,
+        default: null,
+    },
+    expiresAt: { // MongoDB deletes the session once this date has passed
+        type: Date,
+        required: true,
+    },
+    lastUsedAt: {
+        type: Date,
+        default: Date.now,
+    },
+    dateCreated: {
+        type: Date,
+        default: Date.now,
+    }
+});
+
+SessionSchema.index({ user: 1 });
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+exports.Session = mongoose.model('Session', SessionSchema);
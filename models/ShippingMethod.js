@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+const ShippingMethodSchema = new mongoose.Schema({
+    code: { // customers choose a shipping method by its code, e.g. 'standard' or 'express'
+        type: String,
+        required: true,
+        unique: true,
+        lowercase: true,
+        trim: true,
+    },
+    name: {
+        type: String,
+        required: true,
+    },
+    type: { // how the cost is calculated, see helpers/shipping.js
+        type: String,
+        required: true,
+        enum: ['flat', 'weight', 'quantity'],
+    },
+    rate: { // flat: the cost; weight and quantity: the base cost
+        type: Number,
+        required: true,
+        min: 0,
+    },
+    perUnit: { // weight: cost per kg; quantity: cost per item
+        type: Number,
+        default: 0,
+        min: 0,
+    },
+    freeOver: { // shipping is free when the order total after discounts is at least this much; null means never
+        type: Number,
+        default: null,
+        min: 0,
+    },
+    countries: [{ // countries this method ships to; empty means every country
+        type: String,
+        trim: true,
+    }],
+    estimatedDays: {
+        type: Number,
+        default: null,
+    },
+    isActive: {
+        type: Boolean,
+        default: true,
+    }
+});
+
+exports.ShippingMethod = mongoose.model('ShippingMethod', ShippingMethodSchema);
+
+/**
+Shipping Method Examples:
+
+{ "code": "standard", "name": "Standard", "type": "weight", "rate": 4.99, "perUnit": 1.5, "freeOver": 100 }
+{ "code": "express", "name": "Express", "type": "flat", "rate": 19.99, "countries": ["Czech Republic", "Germany"] }
+
+*/
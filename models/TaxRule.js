@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+const TaxRuleSchema = new mongoose.Schema({
+    country: { // same spelling as Order.country, compared case insensitively
+        type: String,
+        required: true,
+        trim: true,
+    },
+    region: { // state or province; '' means the rule applies to the whole country
+        type: String,
+        default: '',
+        trim: true,
+    },
+    name: { // shown to customers, e.g. 'VAT'
+        type: String,
+        default: 'Tax',
+    },
+    rate: { // percentage, e.g. 21 for 21%
+        type: Number,
+        required: true,
+        min: 0,
+        max: 100,
+    },
+    includeShipping: { // whether shipping is taxed too
+        type: Boolean,
+        default: false,
+    }
+});
+
+// Only one rule for every country and region
+TaxRuleSchema.index(
+    { country: 1, region: 1 },
+    { unique: true, collation: { locale: 'en', strength: 2 } }
+);
+
+exports.TaxRule = mongoose.model('TaxRule', TaxRuleSchema);
+
+/**
+Tax Rule Examples:
+
+{ "country": "Czech Republic", "name": "VAT", "rate": 21, "includeShipping": true }
+{ "country": "United States", "region": "California", "name": "Sales Tax", "rate": 7.25 }
+
+*/
@@ -1,12 +1,19 @@
 const mongoose = require('mongoose');
+const { PATTERNS } = require('../validators/common');
 const UserSchema = new mongoose.Schema({
     name: {
         type: String,
         required: true,
     },
+    // unique; emails are stored in lower case so 'Jane@x.com' and 'jane@x.com' are the same user
+    // Run 'npm run normalize:emails' once on a database with users saved before the index existed
     email: {
         type: String,
         required: true,
+        unique: true,
+        lowercase: true,
+        trim: true,
+        match: [PATTERNS.email, 'Invalid email address'],
     },
     passwordHash: {
         type: String,
@@ -15,11 +22,30 @@ const UserSchema = new mongoose.Schema({
     phone: {
         type: String,
         required: true,
+        trim: true,
+        match: [PATTERNS.phone, 'Invalid phone number'],
     },
     isAdmin: {
         type: Boolean,
         default: false,
     },
+    isVerified: { // set once the user has confirmed their email address (see helpers/userTokens.js)
+        type: Boolean,
+        default: false,
+    },
+    isActive: { // deactivated users cannot log in; users are never deleted so their orders keep their owner
+        type: Boolean,
+        default: true,
+    },
+    deactivatedAt: {
+        type: Date,
+        default: null,
+    },
+    role: { // see ROLES in helpers/authorize.js; 'admin' is kept in sync with isAdmin
+        type: String,
+        enum: ['customer', 'staff', 'admin'],
+        default: 'customer',
+    },
     street: {
         type: String,
         default: '',
@@ -56,4 +82,13 @@ const UserSchema = new mongoose.Schema({
 //     virtuals: true
 // });
 
+// The password hash never leaves the server, whichever route returns a user document
+// (queries with .lean() are not documents; keep using .select('-passwordHash') for those)
+UserSchema.set('toJSON', {
+    transform: (doc, ret)=>{
+        delete ret.passwordHash;
+        return ret;
+    },
+});
+
 exports.User = mongoose.model('User', UserSchema);
\ No newline at end of file
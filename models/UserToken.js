@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+// Single-use token sent by email to verify an email address or to reset a password
+// (see helpers/userTokens.js). Only a hash of the token is stored.
+const UserTokenSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+    purpose: {
+        type: String,
+        enum: ['verify-email', 'reset-password'],
+        required: true,
+    },
+    tokenHash: {
+        type: String,
+        required: true,
+    },
+    usedAt: { // set when the token is used; a used token cannot be used again
+        type: Date,
+        default: null,
+    },
+    expiresAt: { // MongoDB deletes the token once this date has passed
+        type: Date,
+        required: true,
+    },
+    dateCreated: {
+        type: Date,
+        default: Date.now,
+    }
+});
+
+UserTokenSchema.index({ tokenHash: 1 }, { unique: true });
+UserTokenSchema.index({ user: 1, purpose: 1 });
+UserTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+exports.UserToken = mongoose.model('UserToken', UserTokenSchema);
@@ -0,0 +1,177 @@
+const express = require('express');
+const router = express.Router();
+const { Product } = require('../models/Product');
+const { optionalAuthJwt } = require('../helpers/authJwt');
+const { findCart, findOrCreateCart, findCartItem, stockAndPrice, saveCart, describeCart, claimCartItems, restoreCartItems } = require('../helpers/cart');
+const { createOrder } = require('../helpers/orderService');
+const { validate } = require('../helpers/validate');
+const { BadRequestError, ConflictError, NotFoundError, UnauthorizedError } = require('../helpers/errors');
+const schemas = require('../validators/cart');
+
+// The cart works for guests and for logged in users, so these routes are excluded from
+// authentication in helpers/authJwt.js and the token is read here when there is one.
+// Guests: send back the 'cartToken' from the first response in the 'X-Cart-Token' header.
+router.use(optionalAuthJwt());
+
+// Get the Cart with live prices and stock
+// Postman GET Request: http://localhost:3000/api/v1/cart
+router.get('/', async (req,res,next)=>{
+
+    try {
+        const cart = await findCart(req);
+        const data = await describeCart(cart);
+        return res.status(200).json({success: true, message: data.items.length==0? 'Cart is empty': 'Cart found', data: data});
+    } catch (err){
+        return next(err);
+    }
+});
+
+// Add a Product to the Cart
+// Adding a product that is already in the cart adds to its quantity
+// For products with variants, "variant" is the _id of the chosen variant (see GET /products/:id/variants)
+// Postman POST Request: http://localhost:3000/api/v1/cart/items with 'Body' -> 'Raw' -> 'JSON'
+// { "product": "63cf1b67a72e858ebc611fd3", "quantity": 2 }
+router.post('/items', validate({ body: schemas.addItem }), async (req,res,next)=>{
+
+    try {
+        // The quantity defaults to 1 (see validators/cart.js)
+        const quantity = req.body.quantity;
+        // Archived products cannot be added (see helpers/deletePolicies.js)
+        const product = await Product.findOne({ _id: req.body.product, archivedAt: null }).select('price countInStock variants');
+        if (!product) {
+            return next(new NotFoundError('Unable to find this product'));
+        }
+        if (product.variants.length > 0 && !req.body.variant) {
+            return next(new BadRequestError('Please choose a variant of this product'));
+        }
+        const stock = stockAndPrice(product, req.body.variant);
+        if (!stock) {
+            return next(new NotFoundError('Unable to find this variant of the product'));
+        }
+
+        const cart = await findOrCreateCart(req);
+        const item = findCartItem(cart, product._id, req.body.variant);
+        const newQuantity = (item ? item.quantity : 0) + quantity;
+        if (newQuantity > stock.countInStock) {
+            return next(new ConflictError(`Only ${stock.countInStock} left in stock`));
+        }
+        if (item) {
+            item.quantity = newQuantity;
+        } else {
+            cart.items.push({ product: product._id, variant: req.body.variant || null, quantity: quantity });
+        }
+        await saveCart(cart);
+        return res.status(200).json({success: true, message: 'This product has been added to the cart', data: await describeCart(cart)});
+    } catch (err) {
+        return next(err);
+    }
+});
+
+// Change the Quantity of a Product in the Cart
+// A quantity of 0 removes the product from the cart
+// Add '?variant=<id>' for a variant of a product
+// Postman PATCH Request: http://localhost:3000/api/v1/cart/items/63cf1b67a72e858ebc611fd3
+// { "quantity": 3 }
+router.patch('/items/:productId', validate({ params: schemas.itemParams, query: schemas.itemQuery, body: schemas.updateItem }), async (req,res,next)=>{
+
+    try {
+        const cart = await findCart(req);
+        const item = cart ? findCartItem(cart, req.params.productId, req.query.variant) : null;
+        if (!item) {
+            return next(new NotFoundError('This product is not in the cart'));
+        }
+
+        if (req.body.quantity == 0) {
+            cart.items.pull(item._id);
+        } else {
+            const product = await Product.findOne({ _id: item.product, archivedAt: null }).select('price countInStock variants');
+            const stock = product ? stockAndPrice(product, item.variant) : null;
+            if (!stock) {
+                return next(new NotFoundError('This product is no longer available'));
+            }
+            if (req.body.quantity > stock.countInStock) {
+                return next(new ConflictError(`Only ${stock.countInStock} left in stock`));
+            }
+            item.quantity = req.body.quantity;
+        }
+        await saveCart(cart);
+        return res.status(200).json({success: true, message: 'The cart has been updated', data: await describeCart(cart)});
+    } catch (err) {
+        return next(err);
+    }
+});
+
+// Remove a Product from the Cart
+// Add '?variant=<id>' for a variant of a product
+// Postman DELETE Request: http://localhost:3000/api/v1/cart/items/63cf1b67a72e858ebc611fd3
+router.delete('/items/:productId', validate({ params: schemas.itemParams, query: schemas.itemQuery }), async (req,res,next)=>{
+
+    try {
+        const cart = await findCart(req);
+        const item = cart ? findCartItem(cart, req.params.productId, req.query.variant) : null;
+        if (!item) {
+            return next(new NotFoundError('This product is not in the cart'));
+        }
+        cart.items.pull(item._id);
+        await saveCart(cart);
+        return res.status(200).json({success: true, message: 'This product has been removed from the cart', data: await describeCart(cart)});
+    } catch (err) {
+        return next(err);
+    }
+});
+
+// Empty the Cart
+// Postman DELETE Request: http://localhost:3000/api/v1/cart
+router.delete('/', async (req,res,next)=>{
+
+    try {
+        const cart = await findCart(req);
+        if (cart) {
+            cart.items = [];
+            await saveCart(cart);
+        }
+        return res.status(200).json({success: true, message: 'The cart has been emptied', data: await describeCart(cart)});
+    } catch (err) {
+        return next(err);
+    }
+});
+
+// Checkout: turn the Cart into an Order
+// Only for logged in users; guests log in first with their cart token to merge their cart.
+// The order is created with createOrder(), the same as POST /orders, so stock is reserved
+// and prices are taken from the products at this moment. The cart is emptied first, so two checkouts
+// at the same time cannot both order it, and its items are put back when the order fails.
+// Postman POST Request: http://localhost:3000/api/v1/cart/checkout with 'Body' -> 'Raw' -> 'JSON'
+// { "shippingAddress1": "Flowers Street , 45", "shippingAddress2": "1-B", "city": "Prague",
+//   "zip": "00000", "country": "Czech Republic", "phone": "+420702241333" }
+router.post('/checkout', validate({ body: schemas.checkout }), async (req,res,next)=>{
+
+    try {
+        if (!req.auth) {
+            return next(new UnauthorizedError('Please log in to check out'));
+        }
+        const cart = await findCart(req);
+        const items = cart ? await claimCartItems(cart) : null;
+        if (!items) {
+            return next(new BadRequestError('The cart is empty'));
+        }
+
+        let order;
+        try {
+            order = await createOrder({
+                ...req.body,
+                orderItems: items.map(item => ({ product: item.product, variant: item.variant, quantity: item.quantity })),
+                user: req.auth.userId,
+            }, req.auth.userId);
+        } catch (err) {
+            await restoreCartItems(cart, items);
+            throw err;
+        }
+        return res.status(201).json({success: true, message: 'This order has been posted', data: order});
+    } catch (err) {
+        return next(err);
+    }
+});
+
+
+module.exports = router;
@@ -1,83 +1,124 @@
 const express = require('express');
 const router = express.Router();
 const { Category } = require('../models/Category');
+const { authorize } = require('../helpers/authorize');
+const { paginate } = require('../helpers/paginate');
+const { createCategory, updateCategory, getTree } = require('../helpers/categoryTree');
+const { deleteCategoryWithPolicy } = require('../helpers/deletePolicies');
+const { validate } = require('../helpers/validate');
+const { BadRequestError, NotFoundError } = require('../helpers/errors');
+const { idParams } = require('../validators/common');
+const schemas = require('../validators/categories');
 
 // Get all Categories
 // Postman GET Request: http://localhost:3000/api/v1/categories/
-router.get('/', async (req,res)=>{
+// Supports page, limit, cursor, sort and fields query parameters (see helpers/paginate.js)
+// Postman GET Request: http://localhost:3000/api/v1/categories?page=2&limit=10&sort=-name&fields=name,color
+// Only the subcategories of a category, or only the top level categories with parent=root
+// Postman GET Request: http://localhost:3000/api/v1/categories?parent=63ceed5ab00556b8c16ec547&sort=sortOrder,name
+router.get('/', validate({ query: schemas.listCategories }), async (req,res,next)=>{
 
     try {
-        // Return result in ascending category name order
-        const allCategories = await Category.find().sort({'name': 1});  
-        if (!allCategories) {
-            return res.status(500).json({success: false, error: 'Unable to get categories', data: null});
+        // Archived categories are left out (see helpers/deletePolicies.js)
+        let filter = { archivedAt: null };
+        if (req.query.parent){
+            filter.parent = req.query.parent == 'root' ? null : req.query.parent;
         }
-        return res.status(200).json({success: true, message: allCategories.length==0? 'No categories': 'Categories found', data: allCategories});
+        // Return result in ascending category name order unless another sort is requested
+        const { items: allCategories, pagination } = await paginate(Category, filter, req.query, {
+            sortable: ['name', 'sortOrder', 'depth'],
+            selectable: ['name', 'color', 'icon', 'slug', 'parent', 'sortOrder', 'path', 'depth'],
+            defaultSort: 'name',
+        });
+        return res.status(200).json({success: true, message: allCategories.length==0? 'No categories': 'Categories found', data: allCategories, pagination: pagination});
     } catch (err){
-        return res.status(500).json({success: false, error: err, data: null})
+        return next(err);
+    }
+});
+
+// Get the Category Tree
+// Every category with its subcategories in 'children', sorted by sortOrder and name (see helpers/categoryTree.js)
+// Must be registered before '/:id' or 'tree' would be cast as a category id
+// Postman GET Request: http://localhost:3000/api/v1/categories/tree
+// Only one category and its subcategories:
+// Postman GET Request: http://localhost:3000/api/v1/categories/tree?root=63ceed5ab00556b8c16ec547
+router.get('/tree', validate({ query: schemas.categoryTree }), async (req,res,next)=>{
+
+    try {
+        const tree = await getTree(req.query.root);
+        return res.status(200).json({success: true, message: tree.length==0? 'No categories': 'Category tree found', data: tree});
+    } catch (err){
+        return next(err);
     }
 });
 
 // Get an Existing Category by id
 // Postman GET Request: http://localhost:3000/api/v1/categories/63ceed5ab00556b8c16ec547
-router.get('/:id', async (req,res)=>{
+router.get('/:id', validate({ params: idParams }), async (req,res,next)=>{
 
     try {
         const category = await Category.findById(req.params.id);
         if (!category) {
-            return res.status(500).json({success: false, error: 'Unable to get category with this id', data: null});
+            return next(new NotFoundError('Unable to get category with this id'));
         }
         return res.status(200).json({success: true, message: 'Category with this id has been found', data: category});
     } catch (err){
-        return res.status(500).json({success: false, error: err, data: null})
+        return next(err);
     }
 });
 
 // Post a new Category
 // Postman POST Request: http://localhost:3000/api/v1/categories with 'Body' -> 'Raw' -> 'JSON'
 // All JSON field names ("name", "color", "icon") must be quoted or Postman will return Syntax Error
-router.post('/', async (req,res)=>{
+// Add "parent": "<category id>" for a subcategory; "slug" is made from the name when left out
+router.post('/', authorize('catalog:write'), validate({ body: schemas.createCategory }), async (req,res,next)=>{
 
     try {
-        const category = new Category(req.body);
-        const savedCategory = await category.save();
+        const savedCategory = await createCategory(req.body);
         if (!savedCategory){
-            return res.status(400).json({success: false, error: 'Unable to post this category', data: null});
+            return next(new BadRequestError('Unable to post this category'));
         }
         return res.status(201).json({success: true, message: 'This category has been posted', data: savedCategory})
     } catch (err) {
-        return res.status(500).json({success: false, error: err, data: null})
+        return next(err);
     }
 });
 
 // Update an Existing Category by id
 // Postman PUT Request: http://localhost:3000/api/v1/categories/63ceed5ab00556b8c16ec547
-router.put('/:id', async (req,res)=>{
+// A new "parent" moves the category with all its subcategories ("parent": null for the top level)
+router.put('/:id', authorize('catalog:write'), validate({ params: idParams, body: schemas.updateCategory }), async (req,res,next)=>{
 
     try {
-        // Must use {new: true} to return the updated category to the 'category' variable
-        const category = await Category.findByIdAndUpdate(req.params.id, req.body, {new: true});
+        const category = await updateCategory(req.params.id, req.body);
         if (!category){
-            return res.status(400).json({success: false, error: 'Unable to update this category', data: null});
+            return next(new NotFoundError('Unable to update this category'));
         }
         return res.status(200).json({success: true, message: 'This category has been updated', data: category});
     } catch (err) {
-        return res.status(500).json({success: false, error: err, data: null});
+        return next(err);
     }
 });
 
 // Delete an Existing Category by id
 // Postman DELETE Request: http://localhost:3000/api/v1/categories/63cef1da50d4634d3972c443
-router.delete('/:id', async (req,res)=>{
+// Its subcategories are moved up to the parent of the deleted category
+// A category with products is only deleted with a policy for the products (see helpers/deletePolicies.js):
+// Postman DELETE Request: http://localhost:3000/api/v1/categories/63cef1da50d4634d3972c443?policy=reassign&to=63ceed5ab00556b8c16ec547
+// Postman DELETE Request: http://localhost:3000/api/v1/categories/63cef1da50d4634d3972c443?policy=archive
+router.delete('/:id', authorize('catalog:write'), validate({ params: idParams, query: schemas.deleteCategory }), async (req,res,next)=>{
 
     try {
-        const category = await Category.findByIdAndRemove(req.params.id);
-        if (!category){
-            return res.status(404).json({success: false, error: 'Unable to find and delete this category', data: null});
+        const result = await deleteCategoryWithPolicy(req.params.id, { policy: req.query.policy, to: req.query.to });
+        if (!result){
+            return next(new NotFoundError('Unable to find and delete this category'));
         }
-        return res.status(200).json({success: true, message: 'This category has been deleted', data: category});
+        const message = result.action == 'archived'
+            ? `This category and its ${result.products} product(s) have been archived`
+            : `This category has been deleted${result.products > 0 ? ` and its ${result.products} product(s) moved` : ''}`;
+        return res.status(200).json({success: true, message: message, data: result.category});
     } catch (err) {
-        return res.status(500).json({success: false, error: err, data: null});
+        return next(err);
     }
 });
 
@@ -86,24 +127,16 @@ router.delete('/:id', async (req,res)=>{
 // The route must be '/get/count', not '/getcount' or MongoDB will return an ObjectId Cast Error
 // because it is trying to cast what is after '/categories' as an ObjectId that is needed when getting
 // a single category by providing an id params.
-router.get('/get/count', async (req,res)=>{
+router.get('/get/count', async (req,res,next)=>{
     
     try {
-        const count = await Category.countDocuments(); 
-        if (!count) {
-            return res.status(500).json({success: false, error: 'Unable to get count of categories', data: null});
-        }
+        const count = await Category.countDocuments({ archivedAt: null });
         return res.status(200).json({success: true, message: 'Count of categories has been generated', data: {count: count}});
     } catch (err){
-        return res.status(500).json({success: false, error: err, data: null})
+        return next(err);
     }
 });
 
-// Error Handler
-router.use((err, req, res, next) => {
-    // console.error(err.stack);
-    return res.status(500).send({success: false, error: err});
-});
 
 // Export as a module
 module.exports = router;
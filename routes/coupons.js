@@ -0,0 +1,104 @@
+const express = require('express');
+const router = express.Router();
+const { Coupon } = require('../models/Coupon');
+const { authorize } = require('../helpers/authorize');
+const { paginate } = require('../helpers/paginate');
+const { validate } = require('../helpers/validate');
+const { ConflictError, NotFoundError } = require('../helpers/errors');
+const { idParams } = require('../validators/common');
+const schemas = require('../validators/coupons');
+
+// Coupons are managed by Admin only. Customers use a coupon by sending its code
+// as "couponCodes" when posting an order (see helpers/coupons.js).
+router.use(authorize('coupons:manage'));
+
+// Get all Coupons
+// Supports page, limit, cursor, sort and fields query parameters (see helpers/paginate.js)
+// Postman GET Request: http://localhost:3000/api/v1/coupons?sort=-dateCreated
+router.get('/', validate({ query: schemas.listCoupons }), async (req,res,next)=>{
+
+    try {
+        const { items: coupons, pagination } = await paginate(Coupon, {}, req.query, {
+            sortable: ['code', 'expiresAt', 'usedCount', 'dateCreated'],
+            selectable: ['code', 'description', 'type', 'value', 'minOrderValue', 'products', 'categories',
+                'maxUses', 'maxUsesPerUser', 'usedCount', 'startsAt', 'expiresAt', 'isActive', 'dateCreated'],
+            defaultSort: 'code',
+        });
+        return res.status(200).json({success: true, message: coupons.length==0? 'No coupons': 'Coupons found', data: coupons, pagination: pagination});
+    } catch (err){
+        return next(err);
+    }
+});
+
+// Get an Existing Coupon by id
+// Postman GET Request: http://localhost:3000/api/v1/coupons/63e0c1f2a1b2c3d4e5f60718
+router.get('/:id', validate({ params: idParams }), async (req,res,next)=>{
+
+    try {
+        const coupon = await Coupon.findById(req.params.id);
+        if (!coupon) {
+            return next(new NotFoundError('Unable to get coupon with this id'));
+        }
+        return res.status(200).json({success: true, message: 'Coupon with this id has been found', data: coupon});
+    } catch (err){
+        return next(err);
+    }
+});
+
+// Post a new Coupon
+// See the Coupon Example at the bottom of models/Coupon.js
+// Postman POST Request: http://localhost:3000/api/v1/coupons with 'Body' -> 'Raw' -> 'JSON'
+router.post('/', validate({ body: schemas.createCoupon }), async (req,res,next)=>{
+
+    try {
+        // 'usedCount' is only changed when orders use the coupon
+        const { usedCount, ...fields } = req.body;
+        const coupon = new Coupon(fields);
+        const savedCoupon = await coupon.save();
+        return res.status(201).json({success: true, message: 'This coupon has been posted', data: savedCoupon})
+    } catch (err) {
+        if (err.code === 11000) {
+            return next(new ConflictError('A coupon with this code already exists'));
+        }
+        return next(err);
+    }
+});
+
+// Update an Existing Coupon by id
+// Postman PUT Request: http://localhost:3000/api/v1/coupons/63e0c1f2a1b2c3d4e5f60718
+router.put('/:id', validate({ params: idParams, body: schemas.updateCoupon }), async (req,res,next)=>{
+
+    try {
+        const { usedCount, ...fields } = req.body;
+        // Must use {new: true} to return the updated coupon to the 'coupon' variable
+        const coupon = await Coupon.findByIdAndUpdate(req.params.id, fields, {new: true, runValidators: true});
+        if (!coupon){
+            return next(new NotFoundError('Unable to find and update this coupon'));
+        }
+        return res.status(200).json({success: true, message: 'This coupon has been updated', data: coupon});
+    } catch (err) {
+        if (err.code === 11000) {
+            return next(new ConflictError('A coupon with this code already exists'));
+        }
+        return next(err);
+    }
+});
+
+// Delete an Existing Coupon by id
+// Orders that used the coupon keep its code and discount in 'appliedCoupons'
+// Postman DELETE Request: http://localhost:3000/api/v1/coupons/63e0c1f2a1b2c3d4e5f60718
+router.delete('/:id', validate({ params: idParams }), async (req,res,next)=>{
+
+    try {
+        const coupon = await Coupon.findByIdAndRemove(req.params.id);
+        if (!coupon){
+            return next(new NotFoundError('Unable to find and delete this coupon'));
+        }
+        return res.status(200).json({success: true, message: 'This coupon has been deleted', data: coupon});
+    } catch (err) {
+        return next(err);
+    }
+});
+
+
+module.exports = router;
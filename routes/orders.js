@@ -1,125 +1,94 @@
 const express = require('express');
 const router = express.Router();
 const { Order} = require('../models/Order');
-const { OrderItem } = require('../models/OrderItem');
+const { Payment } = require('../models/Payment');
+const { authorize, can, canAccessOwn } = require('../helpers/authorize');
+const { createOrder, quoteOrder, deleteOrder, updateOrderStatus } = require('../helpers/orderService');
+const { cancelOrder, voidOrderPayment } = require('../helpers/returns');
+const { ORDER_STATUS } = require('../helpers/orderStatus');
+const { paginate } = require('../helpers/paginate');
+const { validate } = require('../helpers/validate');
+const { ForbiddenError, NotFoundError } = require('../helpers/errors');
+const { idParams } = require('../validators/common');
+const schemas = require('../validators/orders');
 
 // Get all Orders
 // Postman GET Request: http://localhost:3000/api/v1/orders/
 
-// How to populate orderItems to include products?
-// Method 1: Use .populate('orderItems') to show detailed order itmes like this:
-// "orderItems": [
-// {
-//     "_id": "63d1991553a295e76896c164",
-//     "quantity": 2,
-//     "product": "63cf1b67a72e858ebc611fd3",
-//     "__v": 0
-// },
-// {
-//     "_id": "63d1991553a295e76896c165",
-//     "quantity": 2,
-//     "product": "63cf1dc8e6c232737a0903e2",
-//     "__v": 0
-// }
-// ]
-
-// Method 2: Use .populate({  
-//     path: 'orderItems', populate: { path: 'product', model: 'Product', select: { '_id': 1, 'name': 1, 'description': 1}, 
-//     populate: { path: 'category', model: 'Category', select: { '_id': 1, 'name': 1}}}
-// }) to show selected field from Product and Category tables
+// Order items are returned with .populate('orderItems'). Every order item keeps a copy of the
+// product name, image and price from when the order was placed (see models/OrderItem.js), so the
+// products themselves are not populated: a product changed or deleted since then does not change the order.
 // "orderItems": [
 //     {
 //         "_id": "63d1991553a295e76896c164",
 //         "quantity": 2,
-//         "product": {
-//             "_id": "63cf1b67a72e858ebc611fd3",
-//             "name": "Product 1",
-//             "description": "Product 1 Description",
-//             "category": {
-//                 "_id": "63ceed5ab00556b8c16ec547",
-//                 "name": "Category 10 Updated"
-//             }
-//         },
-//         "__v": 0
-//     },
-//     {
-//         "_id": "63d1991553a295e76896c165",
-//         "quantity": 2,
-//         "product": {
-//             "_id": "63cf1dc8e6c232737a0903e2",
-//             "name": "Product 2",
-//             "description": "Product 2 Description",
-//             "category": {
-//                 "_id": "63ceeeccba4e09ac7d7ff5b5",
-//                 "name": "Category 20 Updated*"
-//             }
-//         },
+//         "product": "63cf1b67a72e858ebc611fd3",
+//         "variant": null,
+//         "sku": "",
+//         "name": "Product 1",
+//         "image": "http://localhost:3000/public/uploads/product-1-1674567890123-9f2c4e1a.jpeg",
+//         "unitPrice": 19.99,
+//         "lineTotal": 39.98,
 //         "__v": 0
 //     }
 // ]
 
 // Get all Orders
 // Postman GET Request: http://localhost:3000/api/v1/orders
-router.get('/', async (req,res)=>{
+// Supports page, limit, cursor, sort and fields query parameters (see helpers/paginate.js)
+// Postman GET Request: http://localhost:3000/api/v1/orders?page=1&limit=20&sort=-totalPrice&fields=status,totalPrice,user
+router.get('/', authorize('orders:read-all'), validate({ query: schemas.listOrders }), async (req,res,next)=>{
 
     try {
-        const allOrders = await Order.find()
-        .select('-shippingAddress1 -shippingAddress2 -city -zip -country') // Exclude fields from Order table
-        .populate('user', 'name') // Only populate the 'name' of the user
-        .populate({   // Populate 'orderItems with selected fields from Product & Category tables
-            path: 'orderItems',
-            populate: { 
-            path: 'product', 
-            model: 'Product', 
-            select: { '_id': 1, 'name': 1, 'description': 1}, 
-            populate: { path: 'category', model: 'Category', select: { '_id': 1, 'name': 1}}}
-        })
-        .sort({'dateOrdered': -1});  // Sort by descending 'dateOrdered'
-
-        if (!allOrders) {
-            return res.status(500).json({success: false, error: 'Unable to get orders', data: null});
-        }
-        return res.status(200).json({success: true, message: allOrders.length==0? 'No orders': 'Orders found', data: allOrders});
+        const { items: allOrders, pagination } = await paginate(Order, {}, req.query, {
+            sortable: ['dateOrdered', 'totalPrice', 'status'],
+            selectable: ['orderItems', 'shippingAddress1', 'shippingAddress2', 'city', 'zip', 'country',
+                'phone', 'status', 'totalPrice', 'user', 'dateOrdered'],
+            defaultSort: '-dateOrdered', // Sort by descending 'dateOrdered'
+            defaultSelect: '-shippingAddress1 -shippingAddress2 -city -zip -country -statusHistory', // Exclude fields from Order table
+            populate: [
+                ['user', 'name'], // Only populate the 'name' of the user
+                'orderItems',     // with the copy of the products taken when the order was placed
+            ],
+        });
+        return res.status(200).json({success: true, message: allOrders.length==0? 'No orders': 'Orders found', data: allOrders, pagination: pagination});
     } catch (err){
-        return res.status(500).json({success: false, error: err, data: null})
+        return next(err);
     }
 });
 
 // Get an Existing Order by id
 // Postman GET Request: http://localhost:3000/api/v1/orders/63d1aa207f128e73e0d6b629
-router.get('/:id', async (req,res)=>{
+router.get('/:id', validate({ params: idParams }), async (req,res,next)=>{
 
     try {
-        // Populate selected fields from Product & Category tables
+        // Populate the order items, which have the product name, image and price from when the order was placed
         // Populate only 'name' field from User table 
         // ( I used Studio 3T to insert a new user 'user 1' into User table before I have a chance
         // to work on the Users routes. )
         // No need to sort by 'dateOrdered' because we are getting only the order that matches the id
         const order = await Order.findById(req.params.id)
         .populate('user', 'name')
-        .populate({  
-            path: 'orderItems',
-            populate: { 
-            path: 'product', 
-            model: 'Product', 
-            select: { '_id': 1, 'name': 1, 'description': 1}, 
-            populate: { path: 'category', model: 'Category', select: { '_id': 1, 'name': 1}}}
-        });
-    
+        .populate('orderItems');
+
 
         if (!order) {
-            return res.status(500).json({success: false, error: 'Unable to get order with this id', data: null});
+            return next(new NotFoundError('Unable to get order with this id'));
+        }
+        // Customers can only see their own orders
+        if (!canAccessOwn(req.auth, order.user, 'orders:read-all')) {
+            return next(new ForbiddenError('You do not have permission to view this order'));
         }
         return res.status(200).json({success: true, message: 'Order with this id has been found', data: order});
     } catch (err){
-        return res.status(500).json({success: false, error: err, data: null})
+        return next(err);
     }
 });
 
 // Post a new Order
 // Postman POST Request: http://localhost:3000/api/v1/orders with 'Body' -> 'Raw' -> 'JSON'
 // All JSON field names must be quoted or Postman will return Syntax Error
-router.post('/', async (req,res)=>{
+router.post('/', authorize('orders:create'), validate({ body: schemas.createOrder }), async (req,res,next)=>{
 
     try {
         // Table Structure:
@@ -127,16 +96,6 @@ router.post('/', async (req,res)=>{
         // Every OrderItem has 'quantity' and 'product' properties. The 'product' is an ObjectId
         // that links to Product table.
 
-        // Posting a new Order involves 2 steps:
-        // Adding every order item to OrderItem table first to get the saved order item ids 
-        // then add these saved order item ids to Order table. So upon successful saving
-        // of a new Order, the 'orderItems' array will consists of an array of ObjectIds
-        // that link to OrderItem table.
-      
-        // By referencing the req.body.orderItems, we have access to the array of objects
-        // that is passed from Postman. Looping through this array to add each order item 
-        // to OrderItem table.
-
         // So the Order JSON POSTed from Postman should look like this:
         // {
         //     "orderItems" : [
@@ -149,105 +108,149 @@ router.post('/', async (req,res)=>{
         //     "zip": "00000",
         //     "country": "Czech Republic",
         //     "phone": "+420702241333",
-        //     "user": "5fd51bc7e39ba856244a3b44"
+        //     "user": "5fd51bc7e39ba856244a3b44",
+        //     "couponCodes": ["SUMMER10"],
+        //     "shippingMethod": "standard"
         // }
+        // The saved order has "priceBreakdown": { "subtotal", "discount", "shipping", "tax", "total" }
+        // and the "appliedCoupons". Without "shippingMethod" the cheapest available method is used.
 
-        // Use await Promise.all() to return an array of savedOrderItem._id
-        // The .map() is a higher-order function that takes another function as an argument
-        // The 'orderItem' is an object of { quantity, ??, product: <ObjectId> }
-        const orderItemsIds = await Promise.all(req.body.orderItems.map(async (orderItem)=>{
-            const newOrderItem = new OrderItem({
-                quantity: orderItem.quantity,
-                product: orderItem.product,
-            });
-            const savedOrderItem = await newOrderItem.save();
-            return savedOrderItem._id;
-        }));
-  
-        // Console Debug: orderItemsIds: [ new ObjectId("..."), new ObjectId("...") ]
- 
-        // Calculate Total Price by looping through orderItemsIds to look up product price
-        const subtotals = await Promise.all(
-            orderItemsIds.map(async (id)=>{
-
-                // Console Debug: item:
-                // { _id: new ObjectId("63d0aef0bfd810f63c9cf98e"),
-                //   quantity: 2, 
-                //   product: { _id: new ObjectId("63cf1b67a72e858ebc611fd3"), price: 10 }, __v: 0 }
-
-                let subtotal = 0;
-                const item = await OrderItem.findById(id).populate('product', 'price');  // only need the price
-                if (item){
-                    subtotal = item.quantity * item.product.price;
-                    return subtotal;
-                }
-             }) // do not add a semi-colon here or get error and is difficult to see
-        );
- 
-        // Calculate total price by summing up subtotals
-        const totalPrice = subtotals.reduce((a,b) => a + b, 0);
-
-        // Add Order with orderItemsIds ( an array of ObjectIds ) for 'orderItems' and totalPrice
-        const order = new Order({
-            "orderItems": orderItemsIds,
-            "shippingAddress1": req.body.shippingAddress1,
-            "shippingAddress2": req.body.shippingAddress2,
-            "city": req.body.city,
-            "zip": req.body.zip,
-            "country": req.body.country,
-            "phone": req.body.phone,
-            "status": req.body.status,
-            "totalPrice": totalPrice,
-            "user": req.body.user,
-        });
+        // The order always belongs to the logged in user. Only staff and admin can
+        // place an order on behalf of another user by passing "user" in the body.
+        const orderUser = can(req.auth, 'orders:create-for-others') && req.body.user ? req.body.user : req.auth.userId;
 
-        // Upon successful order.save(), 'orderItems' should look like: "orderItems": [ "...", "..." ],
-        const savedOrder = await order.save();
-        if (!savedOrder){
-            return res.status(400).json({success: false, error: 'Unable to post this order', data: null});
-        }
+        // createOrder() reserves stock, saves the order items and then the order.
+        // If any step fails, the steps already done are undone so nothing is left behind.
+        // Upon successful saving, 'orderItems' should look like: "orderItems": [ "...", "..." ],
+        const savedOrder = await createOrder({ ...req.body, user: orderUser }, req.auth.userId);
         return res.status(201).json({success: true, message: 'This order has been posted', data: savedOrder})
     } catch (err) {
-        return res.status(500).json({success: false, error: err, data: null})
+        return next(err);
+    }
+});
+
+// Get a Price Quote for an Order before Checkout
+// Takes the same body as POST /orders and returns the price breakdown (items, discount, shipping, tax, total)
+// and the cost of every shipping method available to the country, without placing the order
+// Postman POST Request: http://localhost:3000/api/v1/orders/quote with 'Body' -> 'Raw' -> 'JSON'
+// { "orderItems": [{ "quantity": 3, "product": "5fcfc406ae79b0a6a90d2585" }],
+//   "country": "Czech Republic", "couponCodes": ["SUMMER10"], "shippingMethod": "express" }
+router.post('/quote', authorize('orders:create'), validate({ body: schemas.quoteOrder }), async (req,res,next)=>{
+
+    try {
+        const quote = await quoteOrder({ ...req.body, user: req.auth.userId });
+        return res.status(200).json({success: true, message: 'Quote for this order has been generated', data: quote});
+    } catch (err) {
+        return next(err);
     }
 });
 
 // Update Status of an Existing Order by id 
-// Useful for Admin to update order status from 'Pending' to 'Shipped' or 'Delivered'
+// Useful for Admin to update order status from 'Pending' to 'Paid', 'Shipped' or 'Delivered'
+// Only the transitions in helpers/orderStatus.js are allowed, e.g. 'Delivered' -> 'Pending' returns 400
+// Every change is recorded in the order's 'statusHistory' with the user who made it
+// Cancelling also cancels or refunds the payment, like POST /orders/:id/cancel (which also retries a failed refund)
 // Postman PUT Request: http://localhost:3000/api/v1/orders/63d1aa207f128e73e0d6b629
-router.put('/:id', async (req,res)=>{
+// with 'Body' -> 'Raw' -> 'JSON': { "status": "Shipped", "note": "Tracking number 1Z999" }
+router.put('/:id', authorize('orders:update'), validate({ params: idParams, body: schemas.updateOrderStatus }), async (req,res,next)=>{
 
     try {
-        // Must use {new: true} to return the updated order to the 'order' variable
-        const order = await Order.findByIdAndUpdate(req.params.id, { 'status': req.body.status }, {new: true});
+        let order = await updateOrderStatus(req.params.id, req.body.status, req.auth.userId, req.body.note);
         if (!order){
-             return res.status(400).json({success: false, error: 'Unable to update status for this order', data: null});
+             return next(new NotFoundError('Unable to find this order'));
+        }
+        if (order.status === ORDER_STATUS.CANCELLED) {
+            order = (await voidOrderPayment(order._id, req.auth.userId, req.body.note)).order;
         }
         return res.status(200).json({success: true, message: 'The status for this order has been updated', data: order});
     } catch (err) {
-        return res.status(500).json({success: false, error: err, data: null});
+        return next(err);
+    }
+});
+
+// Cancel an Existing Order by id
+// Customers can cancel their own orders until they are shipped; the stock is put back and the payment
+// is cancelled, or refunded in full when it was already taken (see helpers/returns.js).
+// Shipped and delivered orders are returned instead (see routes/returns.js)
+// Postman POST Request: http://localhost:3000/api/v1/orders/63d1aa207f128e73e0d6b629/cancel
+// { "reason": "Ordered the wrong size" }
+router.post('/:id/cancel', validate({ params: idParams, body: schemas.cancelOrder }), async (req,res,next)=>{
+
+    try {
+        const existing = await Order.findById(req.params.id).select('user');
+        if (!existing) {
+            return next(new NotFoundError('Unable to find this order'));
+        }
+        if (!canAccessOwn(req.auth, existing.user, 'orders:update')) {
+            return next(new ForbiddenError('You do not have permission to cancel this order'));
+        }
+        const result = await cancelOrder(existing._id, req.auth.userId, req.body.reason);
+        if (!result) {
+            return next(new NotFoundError('Unable to find this order'));
+        }
+        return res.status(200).json({success: true, message: 'This order has been cancelled', data: result});
+    } catch (err) {
+        return next(err);
+    }
+});
+
+// Get the Status History of an Existing Order by id
+// Customers can only see the history of their own orders
+// Postman GET Request: http://localhost:3000/api/v1/orders/63d1aa207f128e73e0d6b629/history
+router.get('/:id/history', validate({ params: idParams }), async (req,res,next)=>{
+
+    try {
+        const order = await Order.findById(req.params.id)
+        .select('status statusHistory user')
+        .populate('statusHistory.changedBy', 'name');
+        if (!order) {
+            return next(new NotFoundError('Unable to get order with this id'));
+        }
+        if (!canAccessOwn(req.auth, order.user, 'orders:read-all')) {
+            return next(new ForbiddenError('You do not have permission to view this order'));
+        }
+        return res.status(200).json({success: true, message: 'Status history for this order has been found', data: {status: order.status, history: order.statusHistory}});
+    } catch (err){
+        return next(err);
+    }
+});
+
+// Get the Payments of an Existing Order by id
+// Newest first; customers can only see the payments of their own orders (see routes/payments.js)
+// Postman GET Request: http://localhost:3000/api/v1/orders/63d1aa207f128e73e0d6b629/payments
+router.get('/:id/payments', validate({ params: idParams }), async (req,res,next)=>{
+
+    try {
+        const order = await Order.findById(req.params.id).select('user');
+        if (!order) {
+            return next(new NotFoundError('Unable to get order with this id'));
+        }
+        if (!canAccessOwn(req.auth, order.user, 'payments:manage')) {
+            return next(new ForbiddenError('You do not have permission to view the payments of this order'));
+        }
+        const payments = await Payment.find({ order: order._id }).sort('-dateCreated');
+        return res.status(200).json({success: true, message: payments.length==0? 'No payments': 'Payments found for this order', data: payments});
+    } catch (err){
+        return next(err);
     }
 });
 
 // Delete an Existing Order by id
-// Delete an existing order involves deleting order items for the order, then delete the order itself
+// Delete an existing order involves deleting the order, its order items and putting the stock back
+// (only for orders that have not shipped; shipped and delivered goods are not in the warehouse anymore)
+// deleteOrder() waits for every step and puts the order back if the order items cannot be deleted
 // Postman DELETE Request: http://localhost:3000/api/v1/orders/63d1aa207f128e73e0d6b629
-router.delete('/:id', async (req,res)=>{
+router.delete('/:id', authorize('orders:delete'), validate({ params: idParams }), async (req,res,next)=>{
 
     try {
-        const order = await Order.findByIdAndRemove(req.params.id);
+        const order = await deleteOrder(req.params.id);
         if (!order){
-            return res.status(404).json({success: false, error: 'Unable to find and delete this order', data: null});
-        } else {
-            // Delete order item by looping through orderItems array which is an array of ids
-            order.orderItems.map(async (id)=>{
-                await OrderItem.findByIdAndRemove(id);
-            });
-            // At this point all order items for the order have been deleted
-            return res.status(200).json({success: true, message: 'This order has been deleted', data: order});
+            return next(new NotFoundError('Unable to find and delete this order'));
         }
+        // At this point all order items for the order have been deleted
+        return res.status(200).json({success: true, message: 'This order has been deleted', data: order});
     } catch (err) {
-        return res.status(500).json({success: false, error: err, data: null});
+        return next(err);
     }
 });
 
@@ -256,22 +259,19 @@ router.delete('/:id', async (req,res)=>{
 // The route must be '/get/count', not '/getcount' or MongoDB will return an ObjectId Cast Error
 // because it is trying to cast what is after '/orders' as an ObjectId that is needed when getting
 // a single order by providing an id params.
-router.get('/get/count', async (req,res)=>{
+router.get('/get/count', authorize('reports:read'), async (req,res,next)=>{
     
     try {
         const count = await Order.countDocuments(); 
-        if (!count) {
-            return res.status(500).json({success: false, error: 'Unable to get count of orders', data: null});
-        }
         return res.status(200).json({success: true, message: 'Count of orders has been generated', data: {count: count}});
     } catch (err){
-        return res.status(500).json({success: false, error: err, data: null})
+        return next(err);
     }
 });
 
 // Get Total Sales of Orders
 // Postman GET Request: http://localhost:3000/api/v1/orders/get/totalsales
-router.get('/get/totalsales', async (req,res)=>{
+router.get('/get/totalsales', authorize('reports:read'), async (req,res,next)=>{
 
     try {
         // MongoDB aggregate takes an array of pipilines: db.collection.aggregate(pipeline, options);
@@ -281,9 +281,6 @@ router.get('/get/totalsales', async (req,res)=>{
         const totalsales= await Order.aggregate([
             {$group: { _id: 0, totalsales: {$sum: '$totalPrice'}}}
         ]);
-        if (!totalsales) {
-            return res.status(500).json({success: false, error: 'Unable to get totalsales of orders', data: null});
-        }
 
         // Console Debug: 'totalsales': [ { _id: 0, totalsales: 60 } ] is an array consisting only one object
         // Use array.pop() to get this object, then get the value of 'totalsales' property 
@@ -296,33 +293,30 @@ router.get('/get/totalsales', async (req,res)=>{
         //     }
         // }
 
-        return res.status(200).json({success: true, message: 'The totalsales of orders has been generated', data: {totalsales: totalsales.pop().totalsales}});
+        // There is no group at all when there are no orders yet
+        return res.status(200).json({success: true, message: 'The totalsales of orders has been generated', data: {totalsales: totalsales.length > 0 ? totalsales.pop().totalsales : 0}});
     } catch (err){
-        return res.status(500).json({success: false, error: err, data: null})
+        return next(err);
     }
 });
 
 // Get all the Orders for an User by user id
 // Use Order.find(<filter object>) to filter only orders for this user
 // Postman GET Request: http://localhost:3000/api/v1/orders/get/orders/63d1a89f5938f95a0677c1ef
-router.get('/get/orders/:userid',async (req, res)=>{
+// Customers can only get their own orders; staff and admin can get orders for any user
+router.get('/get/orders/:userid', validate({ params: schemas.userOrdersParams }), async (req, res, next)=>{
 
     try{
-        const orders = await Order.find({'user': req.params.userid});
-        if(!orders){
-            return res.status(400).json({success: false, error: 'Unable to get orders for this user', data: null})
+        if (!canAccessOwn(req.auth, req.params.userid, 'orders:read-all')) {
+            return next(new ForbiddenError('You do not have permission to view orders for this user'));
         }
+        const orders = await Order.find({'user': req.params.userid}).populate('orderItems');
         return res.status(200).json({success: true, message: 'Orders found for this user', data: orders});
     } catch (err) {
-        return res.status(500).json({success: false, error: err, data: null});
+        return next(err);
     }
 
 });
 
-// Error Handler
-router.use((err, req, res, next) => {
-    // console.error(err.stack);
-    return res.status(500).send({success: false, error: err});
-});
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,131 @@
+const express = require('express');
+const router = express.Router();
+const { Order } = require('../models/Order');
+const { Payment } = require('../models/Payment');
+const { authorize, canAccessOwn } = require('../helpers/authorize');
+const { startPayment, capturePayment, refundPayment, handleWebhook, simulatePayment } = require('../helpers/payments');
+const { validate } = require('../helpers/validate');
+const { ForbiddenError, NotFoundError } = require('../helpers/errors');
+const { idParams } = require('../validators/common');
+const schemas = require('../validators/payments');
+
+// Paying orders; see helpers/payments.js for the whole flow and helpers/paymentProviders.js for the providers
+// The payments of an order are listed by GET /orders/:id/payments
+
+// Receive the Webhook Events of the Payment Provider
+// Called by the provider, not by clients, so it is excluded from authentication (see helpers/authJwt.js).
+// The signature is checked against the body exactly as it was received (req.rawBody, see index.js).
+// Must be registered before '/:id' routes
+// Stripe: add an endpoint for http(s)://<your server>/api/v1/payments/webhook in the dashboard
+router.post('/webhook', async (req,res,next)=>{
+
+    try {
+        const result = await handleWebhook(req.rawBody, req.headers);
+        return res.status(200).json({success: true, message: result.handled ? 'Webhook handled' : 'Webhook skipped', data: result});
+    } catch (err) {
+        return next(err);
+    }
+});
+
+// Start Paying an Order
+// Customers can pay their own pending orders; calling it again returns the payment already started
+// The 'clientSecret' of the payment is used by the client to pay with the provider
+// Postman POST Request: http://localhost:3000/api/v1/payments with 'Body' -> 'Raw' -> 'JSON'
+// { "order": "63d1aa207f128e73e0d6b629" }
+router.post('/', validate({ body: schemas.startPayment }), async (req,res,next)=>{
+
+    try {
+        const order = await Order.findById(req.body.order).select('status totalPrice user');
+        if (!order) {
+            return next(new NotFoundError('Unable to find this order'));
+        }
+        if (!canAccessOwn(req.auth, order.user, 'payments:manage')) {
+            return next(new ForbiddenError('You do not have permission to pay this order'));
+        }
+        const payment = await startPayment(order);
+        return res.status(201).json({success: true, message: 'The payment has been started', data: payment});
+    } catch (err) {
+        return next(err);
+    }
+});
+
+// Get an Existing Payment by id
+// Postman GET Request: http://localhost:3000/api/v1/payments/63d1aa207f128e73e0d6b630
+router.get('/:id', validate({ params: idParams }), async (req,res,next)=>{
+
+    try {
+        const payment = await Payment.findById(req.params.id);
+        if (!payment) {
+            return next(new NotFoundError('Unable to get payment with this id'));
+        }
+        if (!canAccessOwn(req.auth, payment.user, 'payments:manage')) {
+            return next(new ForbiddenError('You do not have permission to view this payment'));
+        }
+        return res.status(200).json({success: true, message: 'Payment with this id has been found', data: payment});
+    } catch (err) {
+        return next(err);
+    }
+});
+
+// Capture an Authorized Payment (PAYMENT_CAPTURE=manual)
+// The order becomes 'Paid'. Leave out "amount" to capture the whole authorized amount.
+// Postman POST Request: http://localhost:3000/api/v1/payments/63d1aa207f128e73e0d6b630/capture
+// { "amount": 49.99 }
+router.post('/:id/capture', authorize('payments:manage'), validate({ params: idParams, body: schemas.capturePayment }), async (req,res,next)=>{
+
+    try {
+        const payment = await capturePayment(req.params.id, req.body.amount);
+        if (!payment) {
+            return next(new NotFoundError('Unable to find this payment'));
+        }
+        return res.status(200).json({success: true, message: 'The payment has been captured', data: payment});
+    } catch (err) {
+        return next(err);
+    }
+});
+
+// Refund a Payment
+// Leave out "amount" to refund everything that has not been refunded yet; the order becomes 'Refunded'
+// once the whole payment has been refunded
+// Postman POST Request: http://localhost:3000/api/v1/payments/63d1aa207f128e73e0d6b630/refund
+// { "amount": 10, "reason": "Damaged in transit" }
+router.post('/:id/refund', authorize('payments:manage'), validate({ params: idParams, body: schemas.refundPayment }), async (req,res,next)=>{
+
+    try {
+        const payment = await refundPayment(req.params.id, req.body, req.auth.userId);
+        if (!payment) {
+            return next(new NotFoundError('Unable to find this payment'));
+        }
+        return res.status(200).json({success: true, message: 'The payment has been refunded', data: payment});
+    } catch (err) {
+        return next(err);
+    }
+});
+
+// Complete a Payment with the Fake Provider
+// Stands in for the customer paying on the provider's page during development; not available in production
+// Postman POST Request: http://localhost:3000/api/v1/payments/63d1aa207f128e73e0d6b630/fake-confirm
+// { "outcome": "succeeded" } or { "outcome": "failed" }
+router.post('/:id/fake-confirm', validate({ params: idParams, body: schemas.fakeConfirm }), async (req,res,next)=>{
+
+    try {
+        // Answer like a route that does not exist
+        if (process.env.NODE === 'production') {
+            return next();
+        }
+        const payment = await Payment.findById(req.params.id);
+        if (!payment) {
+            return next(new NotFoundError('Unable to find this payment'));
+        }
+        if (!canAccessOwn(req.auth, payment.user, 'payments:manage')) {
+            return next(new ForbiddenError('You do not have permission to pay this order'));
+        }
+        const updatedPayment = await simulatePayment(payment, req.body.outcome);
+        return res.status(200).json({success: true, message: `The payment has ${req.body.outcome}`, data: updatedPayment});
+    } catch (err) {
+        return next(err);
+    }
+});
+
+
+module.exports = router;
@@ -3,109 +3,98 @@ const { default: mongoose } = require('mongoose');
 const router = express.Router();
 const { Category } = require('../models/Category');
 const { Product } = require('../models/Product');
-const multer = require('multer'); // for image upload 
-
-// Multer is a node.js middleware for handling multipart/form-data, 
-// which is primarily used for uploading files using a form. 
-// The disk storage engine gives you full control over the naming of the files
-// on the server to avoid files with the same names being overwritten.
-
-// There are two options available, destination and filename. 
-// They are both functions that determine where the file should be stored.
-
-// destination is used to determine within which folder the uploaded files 
-// should be stored. If no destination is given, the operating system's default 
-// directory for temporary files is used. You are responsible for creating the 
-// directory when providing destination as a function. 
-
-// filename is used to determine what the file should be named inside the folder. 
-// If no filename is given, each file will be given a random name that doesn't 
-// include any file extension. Multer will not append any file extension for you, 
-// your function should return a filename complete with an file extension.
-
-const MIME_TYPES = {
-    "image/jpeg": "jpeg",
-    "image/jpg": "jpg",
-    "image/png": "png"
-};
-
-const storage = multer.diskStorage({
-    destination: function (req, file, cb) {
-        let error = new Error('Invalid Image Type');
-        if (MIME_TYPES[file.mimetype]) error = null; 
-        // Must be 'public/uploads', not '/public/uploads' or get multor 4058 error; not sure why?
-        cb(error, 'public/uploads');  // The callback will be called with an error for invalid image types
-    },
-
-    // Replace the spaces in file name with a dash; can't allow spaces in file names on server
-    // Each file uploaded using multor contains the following:
-    // file.originalname: name of the file on the user's computer
-    // file.fieldname: field name specified in the form
-    // file.mimetype: mime type of the file
-    // file.filename: the name of the file within the destination (not full path)
-
-    filename: function (req, file, cb) {
-      const fileName = file.originalname.replace(' ', '-'); // same as .split(' ').join('-')
-      const ext = MIME_TYPES[file.mimetype];
-      cb(null, `${fileName}-${Date.now()}.${ext}`);  
-    }
-});
- 
-const uploadOptions = multer({ storage: storage });
+const { authorize } = require('../helpers/authorize');
+const { paginate } = require('../helpers/paginate');
+const { searchProducts } = require('../helpers/productSearch');
+const { withSubcategories } = require('../helpers/categoryTree');
+const { validate } = require('../helpers/validate');
+const { BadRequestError, ConflictError, NotFoundError } = require('../helpers/errors');
+const { idParams } = require('../validators/common');
+const schemas = require('../validators/products');
+const { IMAGE_LIMITS, uploadImages, saveImage, productImages, deleteUnusedImages } = require('../helpers/images');
+const { deleteProductWithPolicy } = require('../helpers/deletePolicies');
+const { attributesOf, findVariant, checkVariant, describeVariants } = require('../helpers/variants');
+const { heldProductStock } = require('../helpers/stock');
 
-// Get all Products or Products with Matching Categories
+// Images are uploaded as multipart/form-data: 'image' for the main photo and 'images' for the
+// gallery. uploadImages (multer) keeps them in memory and saveImage() checks them, makes the
+// thumb, medium and large copies and saves them all (see helpers/images.js and helpers/storage.js)
+
+// Get all Products or Products with Matching Categories (and their subcategories)
 // Postman GET Request: http://localhost:3000/api/v1/products OR
 // Postman GET Request: http://localhost:3000/api/v1/products?categories=63ceed5ab00556b8c16ec547,63ceeeccba4e09ac7d7ff5b5
-router.get('/', async (req,res)=>{
+// Supports page, limit, cursor, sort and fields query parameters (see helpers/paginate.js)
+// Postman GET Request: http://localhost:3000/api/v1/products?page=1&limit=20&sort=-price&fields=name,price,image
+router.get('/', validate({ query: schemas.listProducts }), async (req,res,next)=>{
 
     try {
-        let filter = {};
+        // Archived products are left out (see helpers/deletePolicies.js)
+        let filter = { archivedAt: null };
         // req.query.categories.split(',') will return an array
+        // Products in the subcategories of these categories are included (see helpers/categoryTree.js)
         if (req.query.categories){
-            filter = { category: req.query.categories.split(',')};
+            filter.category = await withSubcategories(req.query.categories.split(','));
         }
         // Use .populate() to get detailed info for an ObjectId field by linking the ObjectId field to a table
-        const products = await Product.find(filter).populate('category').sort({'name': 1});
-        if (!products) {
-            return res.status(500).json({success: false, error: 'Unable to get products', data: null});
-        }
-        return res.status(200).json({success: true, message: products.length==0? 'No products': 'Products found', data: products});
+        const { items: products, pagination } = await paginate(Product, filter, req.query, {
+            sortable: ['name', 'price', 'brand', 'rating', 'numReviews', 'countInStock', 'dateCreated'],
+            selectable: ['name', 'description', 'richDescription', 'image', 'imageVariants', 'images', 'galleryVariants', 'variants', 'brand', 'price',
+                'category', 'countInStock', 'rating', 'numReviews', 'isFeatured', 'dateCreated'],
+            defaultSort: 'name',
+            populate: ['category'],
+        });
+        return res.status(200).json({success: true, message: products.length==0? 'No products': 'Products found', data: products, pagination: pagination});
+    } catch (err){
+        return next(err);
+    }
+});
+
+// Search Products with Filters and Facet Counts
+// See helpers/productSearch.js for all the query parameters
+// Must be registered before '/:id' or 'search' would be cast as a product id
+// Postman GET Request: http://localhost:3000/api/v1/products/search?q=car&brands=Toyota&minPrice=10&maxPrice=500&inStock=true&minRating=3
+router.get('/search', validate({ query: schemas.searchProducts }), async (req,res,next)=>{
+
+    try {
+        const { products, facets, pagination } = await searchProducts(req.query);
+        return res.status(200).json({success: true, message: products.length==0? 'No products': 'Products found', data: products, facets: facets, pagination: pagination});
     } catch (err){
-        return res.status(500).json({success: false, error: err, data: null})
+        return next(err);
     }
 });
 
 // Get an Existing Product by id
 // Postman GET Request: http://localhost:3000/api/v1/products/63cf1b67a72e858ebc611fd3
-router.get('/:id', async (req,res)=>{
+router.get('/:id', validate({ params: idParams }), async (req,res,next)=>{
 
     try {
         // Use .populate() to get detailed info for an ObjectId field by linking an ObjectId field to a table
         const product = await Product.findById(req.params.id).populate('category');
         if (!product) {
-            return res.status(500).json({success: false, error: 'Unable to get product with this id', data: null});
+            return next(new NotFoundError('Unable to get product with this id'));
         }
         return res.status(200).json({success: true, message: 'Product with this id has been found', data: product});
     } catch (err){
-        return res.status(500).json({success: false, error: err, data: null})
+        return next(err);
     }
 });
 
 // Post a new Product
 // Postman POST Request: http://localhost:3000/api/v1/products with 'Body' -> 'Raw' -> 'JSON'
 // All JSON field names must be quoted or Postman will return Syntax Error
-router.post('/', uploadOptions.single('image'), async (req,res)=>{ 
+router.post('/', authorize('catalog:write'), uploadImages.single('image'), validate({ body: schemas.saveProduct }), async (req,res,next)=>{ 
     
     try {
         // Check to be sure the category id is valid 
-        const category = await Category.findById(req.body.category);
+        const category = await Category.findOne({ _id: req.body.category, archivedAt: null });
         if (!category){
-            return res.status(400).json({success: false, error: 'This category id is invalid', data: null});
+            return next(new BadRequestError('This category id is invalid'));
         }
         // Check to be sure the image file exists
         if (!req.file) {
-            return res.status(400).json({success: false, error: 'Missing Product Image', data: null});
+            return next(new BadRequestError('Missing Product Image'));
         }
+        const image = await saveImage(req.file);
         // If you get a MongoDB server error saying user is not allowed to do action [insert]
         // then you need to go inside MongoDB and then "Security" -> "Database Access" -> "Edit" the user 
         // -> "Database User Privileges" -> "Built-In Role" -> "Read and Write to Any Database"
@@ -113,158 +102,405 @@ router.post('/', uploadOptions.single('image'), async (req,res)=>{
             name: req.body.name,
             description: req.body.description,
             richDescription: req.body.richDescription,
-            // The filename is from the filename function above; 
-            // but we need to build a full path like this so that client side can access it
-            // http://localhost:3000/public/uploads/image123456.jpeg 
-            image: `${req.protocol}://${req.get('host')}/public/uploads/${req.file.filename}`,  
+            // saveImage() returns a full path like this so that client side can access it
+            // http://localhost:3000/public/uploads/red-car-1674567890123-9f2c4e1a.jpeg
+            // (the start of it is STORAGE_PUBLIC_URL, see helpers/storage.js)
+            image: image.url,
+            imageVariants: image.variants,
             brand: req.body.brand,
             price: req.body.price,
             category: req.body.category,
             countInStock: req.body.countInStock,
-            rating: req.body.rating,
-            numReviews: req.body.numReviews,
             isFeatured: req.body.isFeatured,
+            weight: req.body.weight,
         });
 
         // Once the product is saved, Studio 3T 'products' will show 'image' field contains a full path
-        const savedProduct = await product.save();
+        let savedProduct;
+        try {
+            savedProduct = await product.save();
+        } catch (err) {
+            // e.g. a validation error: nothing uses the new image
+            await deleteUnusedImages([image]);
+            throw err;
+        }
         if (!savedProduct){
-            return res.status(400).json({success: false, error: 'Unable to post this product', data: null});
+            return next(new BadRequestError('Unable to post this product'));
         }
         return res.status(201).json({success: true, message: 'This product has been posted', data: savedProduct})
     } catch (err) {
-        return res.status(500).json({success: false, error: err, data: null})
+        return next(err);
     }
 });
 
 // Update an Existing Product by id
 // Postman PUT Request: http://localhost:3000/api/v1/products/63cf1b67a72e858ebc611fd3
-router.put('/:id', uploadOptions.single('image'), async (req,res)=>{
+router.put('/:id', authorize('catalog:write'), uploadImages.single('image'), validate({ params: idParams, body: schemas.saveProduct }), async (req,res,next)=>{
 
     try {
         // Check to see if the product id is valid
         if(!mongoose.isValidObjectId(req.params.id)){
-            return res.status(400).json({success: false, error: 'This product id is invalid', data: null});
+            return next(new BadRequestError('This product id is invalid'));
         }
         // Check to see if the category id is valid
-        const category = await Category.findById(req.body.category);
+        const category = await Category.findOne({ _id: req.body.category, archivedAt: null });
         if (!category){
-            return res.status(400).json({success: false, error: 'This category id is invalid', data: null});
+            return next(new BadRequestError('This category id is invalid'));
         }
         // Check to be sure the image file exists
         if (!req.file) {
-        return res.status(400).json({success: false, error: 'Missing Product Image', data: null});
+        return next(new BadRequestError('Missing Product Image'));
+        }
+        // The old image is deleted once the product has the new one
+        const oldProduct = await Product.findById(req.params.id).select('image imageVariants variants');
+        if (!oldProduct){
+            return next(new NotFoundError('Unable to update this product'));
+        }
+        const image = await saveImage(req.file);
+        const update = {
+            name: req.body.name,
+            description: req.body.description,
+            richDescription: req.body.richDescription,
+            image: image.url,
+            imageVariants: image.variants,
+            brand: req.body.brand,
+            price: req.body.price,
+            category: req.body.category,
+            countInStock: req.body.countInStock,
+            isFeatured: req.body.isFeatured,
+            weight: req.body.weight,
+        };
+        // The stock of a product with variants is the total of the variants; change it per variant
+        if (oldProduct.variants.length > 0) {
+            delete update.countInStock;
         }
         // Must use {new: true} to return the updated category to the 'product' variable
-        const product = await Product.findByIdAndUpdate(req.params.id, 
-            {
-                name: req.body.name,
-                description: req.body.description,
-                richDescription: req.body.richDescription,
-                image: `${req.protocol}://${req.get('host')}/public/uploads/${req.file.filename}`,  
-                brand: req.body.brand,
-                price: req.body.price,
-                category: req.body.category,
-                countInStock: req.body.countInStock,
-                rating: req.body.rating,
-                numReviews: req.body.numReviews,
-                isFeatured: req.body.isFeatured,
-            }, {new: true});
+        let product;
+        try {
+            product = await Product.findByIdAndUpdate(req.params.id, update, {new: true, runValidators: true});
+        } catch (err) {
+            // e.g. a validation error: nothing uses the new image
+            await deleteUnusedImages([image]);
+            throw err;
+        }
         if (!product){
-            return res.status(400).json({success: false, error: 'Unable to update this product', data: null});
+            // Deleted while the image was being saved
+            await deleteUnusedImages([image]);
+            return next(new NotFoundError('Unable to update this product'));
+        }
+        if (oldProduct.image !== product.image) {
+            await deleteUnusedImages([{ url: oldProduct.image, variants: oldProduct.imageVariants }]);
         }
         return res.status(200).json({success: true, message: 'This product has been updated', data: product});
     } catch (err) {
-        return res.status(500).json({success: false, error: err, data: null});
+        return next(err);
     }
 });
 
 // Delete an Existing Product by id
 // Postman DELETE Request: http://localhost:3000/api/v1/products/63cf1e2de6c232737a0903e5
-router.delete('/:id', async (req,res)=>{
+// A product that is in orders is archived instead, or with '?policy=block' not deleted at all (see helpers/deletePolicies.js)
+// Postman DELETE Request: http://localhost:3000/api/v1/products/63cf1e2de6c232737a0903e5?policy=block
+router.delete('/:id', authorize('catalog:write'), validate({ params: idParams, query: schemas.deleteProduct }), async (req,res,next)=>{
 
     try {
         // Check to see if the product id is valid
         if(!mongoose.isValidObjectId(req.params.id)){
-            return res.status(400).json({success: false, error: 'This product id is invalid', data: null});
+            return next(new BadRequestError('This product id is invalid'));
         }
-        const product = await Product.findByIdAndRemove(req.params.id);
-        if (!product){
-            return res.status(404).json({success: false, error: 'Unable to find and delete this product', data: null});
+        const result = await deleteProductWithPolicy(req.params.id, req.query.policy);
+        if (!result){
+            return next(new NotFoundError('Unable to find and delete this product'));
         }
-        return res.status(200).json({success: true, message: 'This product has been deleted', data: product});
+        const message = result.action == 'archived'
+            ? 'This product is in orders and has been archived instead of deleted'
+            : 'This product has been deleted';
+        return res.status(200).json({success: true, message: message, data: result.product});
     } catch (err) {
-        return res.status(500).json({success: false, error: err, data: null});
+        return next(err);
     }
 });
 
 // Get Count of Products
 // Postman GET Request: http://localhost:3000/api/v1/products/get/count
-router.get('/get/count', async (req,res)=>{
+router.get('/get/count', async (req,res,next)=>{
 
     try {
-        const count = await Product.countDocuments(); 
-        if (!count) {
-            return res.status(500).json({success: false, error: 'Unable to get count of products', data: null});
-        }
+        const count = await Product.countDocuments({ archivedAt: null });
         return res.status(200).json({success: true, message: 'Count of products has been generated', data: {count: count}});
     } catch (err){
-        return res.status(500).json({success: false, error: err, data: null})
+        return next(err);
     }
 });
 
 // Get a List of Featured Products
 // Useful in products page showing only a limited number of featured products
 // Postman GET Request: http://localhost:3000/api/v1/products/get/featured/5
-router.get('/get/featured/:count', async (req,res)=>{
+router.get('/get/featured/:count', validate({ params: schemas.featuredParams }), async (req,res,next)=>{
 
     try {
         // req.params.count is a string and .limit() is expecting a number
         // so we have to add a '+' to the count to make it a number
         const count = req.params.count? req.params.count: 0;
-        const featuredProducts = await Product.find({isFeatured: true}).populate('category').limit(+count);
-        if (!featuredProducts) {
-            return res.status(500).json({success: false, error: 'Unable to get featured products', data: null});
-        }
+        const featuredProducts = await Product.find({isFeatured: true, archivedAt: null}).populate('category').limit(+count);
         return res.status(200).json({success: true, message: 'Featured products have been generated', data: featuredProducts});
     } catch (err){
-        return res.status(500).json({success: false, error: err, data: null})
+        return next(err);
     }
 });
 
-// Upload Images Gallery by Updating (Normally this is done after a product is created)
+// Add Images to the Gallery (Normally this is done after a product is created)
+// The uploaded 'images' are added after the ones the product already has, up to IMAGE_LIMITS.maxGalleryImages
+// PUT does the same as POST; it was the original route and replaced the whole gallery, which now
+// is done by adding the new images and removing the old ones
 // When using Postman to test on Render, this feature returns a 520 server error sometimes 
 // when you pick two or more photos to upload. Keep trying and finally get it work.
-router.put('/gallery-images/:id', uploadOptions.array('images',15), async (req,res)=>{
+// Postman POST Request: http://localhost:3000/api/v1/products/gallery-images/63cf1b67a72e858ebc611fd3
+// with 'Body' -> 'form-data' -> 'images' (File), one row per image
+async function addGalleryImages(req,res,next){
 
-        // Check to see if the product id is valid
-        if(!mongoose.isValidObjectId(req.params.id)){
-           return res.status(400).json({success: false, error: 'This product id is invalid', data: null});
+    try {
+        if (!req.files || req.files.length == 0) {
+            return next(new BadRequestError('Missing Gallery Images'));
+        }
+        if (!(await Product.exists({ _id: req.params.id }))) {
+            return next(new NotFoundError('Unable to update gallery images for this product'));
         }
         // The product schema, 'images' field is an array of strings
-        let imagePaths = [];
-        if (req.files){
-            req.files.map(file=>{
-                imagePaths.push(`${req.protocol}://${req.get('host')}/public/uploads/${file.filename}`);
-            });
-        } 
-        // Update gallery images
-        const product = await Product.findByIdAndUpdate(req.params.id, { images: imagePaths}, {new: true});
+        // and 'galleryVariants' has the resized copies of each of them
+        const images = [];
+        try {
+            for (const file of req.files) {
+                images.push(await saveImage(file));
+            }
+        } catch (err) {
+            // e.g. the third file is not an image: the first two are not kept either
+            await deleteUnusedImages(images);
+            throw err;
+        }
+        // The filter only matches while there is room for the new images, so two uploads
+        // at the same time cannot go over the limit together
+        let product;
+        try {
+            product = await Product.findOneAndUpdate(
+                { _id: req.params.id, [`images.${IMAGE_LIMITS.maxGalleryImages - images.length}`]: { $exists: false } },
+                { $push: {
+                    images: { $each: images.map(image => image.url) },
+                    galleryVariants: { $each: images.map(image=> ({ image: image.url, ...image.variants })) },
+                } },
+                {new: true});
+        } catch (err) {
+            await deleteUnusedImages(images);
+            throw err;
+        }
         if (!product){
-            return res.status(400).json({success: false, error: 'Unable to update gallery images for this product', data: null});
+            await deleteUnusedImages(images);
+            return next(new ConflictError(`A product can have at most ${IMAGE_LIMITS.maxGalleryImages} gallery images`, 'GALLERY_FULL'));
         }
         return res.status(200).json({success: true, message: 'This product gallery images have been updated', data: product});
+    } catch (err) {
+        return next(err);
+    }
+}
+
+router.post('/gallery-images/:id', authorize('catalog:write'), uploadImages.array('images',15), validate({ params: idParams }), addGalleryImages);
+router.put('/gallery-images/:id', authorize('catalog:write'), uploadImages.array('images',15), validate({ params: idParams }), addGalleryImages);
+
+// Remove an Image from the Gallery
+// Pass the url of the image, as it is in 'images', in the 'image' query parameter
+// Postman DELETE Request: http://localhost:3000/api/v1/products/gallery-images/63cf1b67a72e858ebc611fd3?image=http://localhost:3000/public/uploads/red-car-1674567890123-9f2c4e1a.jpeg
+router.delete('/gallery-images/:id', authorize('catalog:write'), validate({ params: idParams, query: schemas.removeGalleryImage }), async (req,res,next)=>{
+
+    try {
+        const product = await Product.findOneAndUpdate(
+            { _id: req.params.id, images: req.query.image },
+            { $pull: { images: req.query.image, galleryVariants: { image: req.query.image } } });
+        if (!product){
+            return next(new NotFoundError('Unable to find this image in the gallery of this product'));
+        }
+        // Variants cannot show an image that is not in the gallery anymore
+        await Product.updateOne({ _id: req.params.id, 'variants.images': req.query.image },
+            { $pull: { 'variants.$[].images': req.query.image } });
+        // 'product' is the product before the update, with the variants of the removed image
+        const [removed] = productImages({ images: [req.query.image], galleryVariants: product.galleryVariants });
+        await deleteUnusedImages([removed]);
+        const updatedProduct = await Product.findById(req.params.id);
+        return res.status(200).json({success: true, message: 'This image has been removed from the gallery', data: updatedProduct});
+    } catch (err) {
+        return next(err);
+    }
 });
 
+// Reorder the Gallery
+// Send the urls of all the gallery images in their new order
+// Postman PUT Request: http://localhost:3000/api/v1/products/gallery-images/63cf1b67a72e858ebc611fd3/order with 'Body' -> 'Raw' -> 'JSON'
+// { "images": ["<url of the new first image>", "<url of the new second image>", ...] }
+router.put('/gallery-images/:id/order', authorize('catalog:write'), validate({ params: idParams, body: schemas.reorderGallery }), async (req,res,next)=>{
 
-// No need to have error handler here or multor callback with error won't show
-// This happens when you upload an invalid file such as a pdf to the server, 
-// multor should show 'Invalid Image Type' error message.
+    try {
+        // The filter only matches when the new order has exactly the images the product has,
+        // so an image added or removed by another request in the meantime is never lost
+        const product = await Product.findOneAndUpdate(
+            { _id: req.params.id, images: { $size: req.body.images.length, $all: req.body.images } },
+            { $set: { images: req.body.images } },
+            {new: true});
+        if (!product){
+            if (!(await Product.exists({ _id: req.params.id }))) {
+                return next(new NotFoundError('Unable to find this product'));
+            }
+            return next(new ConflictError('The images must be exactly the gallery images of this product', 'GALLERY_CHANGED'));
+        }
+        return res.status(200).json({success: true, message: 'This product gallery images have been reordered', data: product});
+    } catch (err) {
+        return next(err);
+    }
+});
+
+// Get the Variants of a Product
+// Returns the variants with their attributes, prices and stock, a matrix of the variants by
+// attribute value for size and color pickers, and the availability of the whole product
+// (see describeVariants() in helpers/variants.js)
+// Postman GET Request: http://localhost:3000/api/v1/products/63cf1b67a72e858ebc611fd3/variants
+router.get('/:id/variants', validate({ params: idParams }), async (req,res,next)=>{
+
+    try {
+        const product = await Product.findById(req.params.id).select('price countInStock variants');
+        if (!product) {
+            return next(new NotFoundError('Unable to get product with this id'));
+        }
+        return res.status(200).json({success: true, message: product.variants.length==0? 'This product has no variants': 'Variants found', data: describeVariants(product)});
+    } catch (err){
+        return next(err);
+    }
+});
+
+// Changes to the variants only match when no other change was made to them since the product was
+// read (its '__v' is the same) and, when the stock is changed, the variant still has the stock that
+// was read; orders can take stock at any time. The second of two changes at the same time gets a 409.
+function concurrentChangeError(){
+    return new ConflictError('The variants of this product were changed at the same time, please try again', 'CONCURRENT_UPDATE');
+}
+
+// Add a Variant to a Product
+// Adding the first variant replaces the stock of the product with the stock of the variant. It is refused
+// while orders that can still be cancelled hold stock of the product, which they would put back on the
+// product instead of on a variant; ship or cancel them first.
+// Postman POST Request: http://localhost:3000/api/v1/products/63cf1b67a72e858ebc611fd3/variants with 'Body' -> 'Raw' -> 'JSON'
+// { "sku": "TSHIRT-RED-M", "attributes": { "color": "Red", "size": "M" }, "price": 19.99, "countInStock": 12 }
+router.post('/:id/variants', authorize('catalog:write'), validate({ params: idParams, body: schemas.createVariant }), async (req,res,next)=>{
+
+    try {
+        const product = await Product.findById(req.params.id).select('price countInStock images variants __v');
+        if (!product) {
+            return next(new NotFoundError('Unable to find this product'));
+        }
+        const variant = {
+            sku: req.body.sku,
+            attributes: req.body.attributes,
+            price: req.body.price === undefined ? null : req.body.price,
+            countInStock: req.body.countInStock,
+            images: req.body.images || [],
+        };
+        checkVariant(product, variant);
+
+        const filter = { _id: product._id, __v: product.__v };
+        const update = { $push: { variants: variant }, $inc: { __v: 1 } };
+        if (product.variants.length == 0) {
+            const held = await heldProductStock(product._id);
+            if (held > 0) {
+                return next(new ConflictError(`${held} units of this product are held by orders that have not shipped yet; add variants once they have shipped or been cancelled`, 'STOCK_HELD'));
+            }
+            // Stock taken by an order in the meantime makes the update fail
+            filter.countInStock = product.countInStock;
+            update.$set = { countInStock: variant.countInStock };
+        } else {
+            update.$inc.countInStock = variant.countInStock;
+        }
+        const updatedProduct = await Product.findOneAndUpdate(filter, update, {new: true, runValidators: true});
+        if (!updatedProduct) {
+            return next(concurrentChangeError());
+        }
+        return res.status(201).json({success: true, message: 'This variant has been added', data: updatedProduct});
+    } catch (err) {
+        return next(err);
+    }
+});
+
+// Update a Variant of a Product
+// Only the fields that are sent are changed
+// Postman PUT Request: http://localhost:3000/api/v1/products/63cf1b67a72e858ebc611fd3/variants/63d0a1b67a72e858ebc61200
+// { "price": 17.99, "countInStock": 20 }
+router.put('/:id/variants/:variantId', authorize('catalog:write'), validate({ params: schemas.variantParams, body: schemas.updateVariant }), async (req,res,next)=>{
+
+    try {
+        const product = await Product.findById(req.params.id).select('price countInStock images variants __v');
+        const current = product ? findVariant(product, req.params.variantId) : null;
+        if (!current) {
+            return next(new NotFoundError('Unable to find this variant'));
+        }
+        const variant = {
+            sku: current.sku,
+            attributes: attributesOf(current),
+            price: current.price,
+            countInStock: current.countInStock,
+            images: current.images,
+            ...req.body,
+        };
+        checkVariant(product, variant, current._id);
+
+        const filter = { _id: product._id, __v: product.__v, 'variants._id': current._id };
+        const update = {
+            $set: {
+                'variants.$.sku': variant.sku,
+                'variants.$.attributes': variant.attributes,
+                'variants.$.price': variant.price,
+                'variants.$.images': variant.images,
+            },
+            $inc: { __v: 1 },
+        };
+        if (req.body.countInStock !== undefined) {
+            delete filter['variants._id'];
+            filter.variants = { $elemMatch: { _id: current._id, countInStock: current.countInStock } };
+            update.$set['variants.$.countInStock'] = variant.countInStock;
+            update.$inc.countInStock = variant.countInStock - current.countInStock;
+        }
+        const updatedProduct = await Product.findOneAndUpdate(filter, update, {new: true, runValidators: true});
+        if (!updatedProduct) {
+            return next(concurrentChangeError());
+        }
+        return res.status(200).json({success: true, message: 'This variant has been updated', data: updatedProduct});
+    } catch (err) {
+        return next(err);
+    }
+});
+
+// Delete a Variant of a Product
+// Its stock is taken off the stock of the product; orders of the variant keep its sku
+// Postman DELETE Request: http://localhost:3000/api/v1/products/63cf1b67a72e858ebc611fd3/variants/63d0a1b67a72e858ebc61200
+router.delete('/:id/variants/:variantId', authorize('catalog:write'), validate({ params: schemas.variantParams }), async (req,res,next)=>{
+
+    try {
+        const product = await Product.findById(req.params.id).select('variants __v');
+        const current = product ? findVariant(product, req.params.variantId) : null;
+        if (!current) {
+            return next(new NotFoundError('Unable to find this variant'));
+        }
+        const updatedProduct = await Product.findOneAndUpdate(
+            { _id: product._id, __v: product.__v, variants: { $elemMatch: { _id: current._id, countInStock: current.countInStock } } },
+            { $pull: { variants: { _id: current._id } }, $inc: { countInStock: -current.countInStock, __v: 1 } },
+            {new: true});
+        if (!updatedProduct) {
+            return next(concurrentChangeError());
+        }
+        return res.status(200).json({success: true, message: 'This variant has been deleted', data: updatedProduct});
+    } catch (err) {
+        return next(err);
+    }
+});
 
-// router.use((err, req, res, next) => {
-//     // console.error(err.stack);
-//     return res.status(500).send({success: false, error: err});
-// });
+// No need to have error handler here; errors, including the 'INVALID_UPLOAD' errors
+// when you upload an invalid file such as a pdf or a file that is too large,
+// are handled by helpers/errorHandler.js
 
 module.exports = router;
 
@@ -0,0 +1,173 @@
+const express = require('express');
+const router = express.Router();
+const { Order } = require('../models/Order');
+const { ReturnRequest } = require('../models/ReturnRequest');
+const { authorize, can, canAccessOwn } = require('../helpers/authorize');
+const { createReturn, approveReturn, rejectReturn, cancelReturn, receiveReturn, refundReturn } = require('../helpers/returns');
+const { paginate } = require('../helpers/paginate');
+const { validate } = require('../helpers/validate');
+const { ForbiddenError, NotFoundError } = require('../helpers/errors');
+const { idParams } = require('../validators/common');
+const schemas = require('../validators/returns');
+
+// Returns of delivered orders (return merchandise authorizations); see helpers/returns.js for the whole flow
+// Customers request and cancel returns of their own orders; staff approve, reject, receive and refund them
+
+// Get all Returns
+// Customers only get their own returns; staff can filter by ?status= and ?order=
+// Supports page, limit, cursor, sort and fields query parameters (see helpers/paginate.js)
+// Postman GET Request: http://localhost:3000/api/v1/returns?status=requested&sort=dateCreated
+router.get('/', validate({ query: schemas.listReturns }), async (req,res,next)=>{
+
+    try {
+        const filter = {};
+        if (req.query.status) filter.status = req.query.status;
+        if (req.query.order) filter.order = req.query.order;
+        if (!can(req.auth, 'returns:manage')) filter.user = req.auth.userId;
+        const { items: returns, pagination } = await paginate(ReturnRequest, filter, req.query, {
+            sortable: ['dateCreated', 'dateUpdated', 'status'],
+            selectable: ['rmaNumber', 'order', 'user', 'status', 'items', 'refundAmount', 'payment', 'dateCreated', 'dateUpdated'],
+            defaultSort: '-dateCreated',
+            defaultSelect: '-history',
+            populate: [['user', 'name']],
+        });
+        return res.status(200).json({success: true, message: returns.length==0? 'No returns': 'Returns found', data: returns, pagination: pagination});
+    } catch (err){
+        return next(err);
+    }
+});
+
+// Get an Existing Return by id, with its history
+// Postman GET Request: http://localhost:3000/api/v1/returns/63d1aa207f128e73e0d6b640
+router.get('/:id', validate({ params: idParams }), async (req,res,next)=>{
+
+    try {
+        const returnRequest = await ReturnRequest.findById(req.params.id)
+        .populate('user', 'name')
+        .populate('history.changedBy', 'name');
+        if (!returnRequest) {
+            return next(new NotFoundError('Unable to get return with this id'));
+        }
+        if (!canAccessOwn(req.auth, returnRequest.user, 'returns:manage')) {
+            return next(new ForbiddenError('You do not have permission to view this return'));
+        }
+        return res.status(200).json({success: true, message: 'Return with this id has been found', data: returnRequest});
+    } catch (err){
+        return next(err);
+    }
+});
+
+// Request a Return of Items of a Delivered Order
+// "orderItem" is the _id of an order item of the order (see GET /orders/:id); the reason is one of
+// 'damaged', 'defective', 'wrong_item', 'not_as_described', 'no_longer_needed' or 'other'
+// Postman POST Request: http://localhost:3000/api/v1/returns with 'Body' -> 'Raw' -> 'JSON'
+// { "order": "63d1aa207f128e73e0d6b629",
+//   "items": [{ "orderItem": "63d1991553a295e76896c164", "quantity": 1, "reason": "damaged", "note": "The box was crushed" }] }
+router.post('/', validate({ body: schemas.createReturn }), async (req,res,next)=>{
+
+    try {
+        const order = await Order.findById(req.body.order).select('status statusHistory orderItems user dateOrdered');
+        if (!order) {
+            return next(new NotFoundError('Unable to find this order'));
+        }
+        if (!canAccessOwn(req.auth, order.user, 'returns:manage')) {
+            return next(new ForbiddenError('You do not have permission to return items of this order'));
+        }
+        const returnRequest = await createReturn(order, req.body.items, req.auth.userId, req.body.note);
+        return res.status(201).json({success: true, message: 'The return has been requested', data: returnRequest});
+    } catch (err) {
+        return next(err);
+    }
+});
+
+// Approve a Requested Return
+// Postman POST Request: http://localhost:3000/api/v1/returns/63d1aa207f128e73e0d6b640/approve
+// { "note": "Please use the prepaid label in the email" }
+router.post('/:id/approve', authorize('returns:manage'), validate({ params: idParams, body: schemas.changeReturn }), async (req,res,next)=>{
+
+    try {
+        const returnRequest = await approveReturn(req.params.id, req.auth.userId, req.body.note);
+        if (!returnRequest) {
+            return next(new NotFoundError('Unable to find this return'));
+        }
+        return res.status(200).json({success: true, message: 'The return has been approved', data: returnRequest});
+    } catch (err) {
+        return next(err);
+    }
+});
+
+// Reject a Requested Return
+// Postman POST Request: http://localhost:3000/api/v1/returns/63d1aa207f128e73e0d6b640/reject
+// { "note": "The return window has passed for this item" }
+router.post('/:id/reject', authorize('returns:manage'), validate({ params: idParams, body: schemas.changeReturn }), async (req,res,next)=>{
+
+    try {
+        const returnRequest = await rejectReturn(req.params.id, req.auth.userId, req.body.note);
+        if (!returnRequest) {
+            return next(new NotFoundError('Unable to find this return'));
+        }
+        return res.status(200).json({success: true, message: 'The return has been rejected', data: returnRequest});
+    } catch (err) {
+        return next(err);
+    }
+});
+
+// Cancel a Return that has not been Received yet
+// Customers can cancel their own returns
+// Postman POST Request: http://localhost:3000/api/v1/returns/63d1aa207f128e73e0d6b640/cancel
+router.post('/:id/cancel', validate({ params: idParams, body: schemas.changeReturn }), async (req,res,next)=>{
+
+    try {
+        const existing = await ReturnRequest.findById(req.params.id).select('user');
+        if (!existing) {
+            return next(new NotFoundError('Unable to find this return'));
+        }
+        if (!canAccessOwn(req.auth, existing.user, 'returns:manage')) {
+            return next(new ForbiddenError('You do not have permission to cancel this return'));
+        }
+        const returnRequest = await cancelReturn(existing._id, req.auth.userId, req.body.note);
+        if (!returnRequest) {
+            return next(new NotFoundError('Unable to find this return'));
+        }
+        return res.status(200).json({success: true, message: 'The return has been cancelled', data: returnRequest});
+    } catch (err) {
+        return next(err);
+    }
+});
+
+// Receive the Items of an Approved Return
+// The items are put back in stock; list the items that must not be restocked with "restock": false
+// Postman POST Request: http://localhost:3000/api/v1/returns/63d1aa207f128e73e0d6b640/receive
+// { "items": [{ "orderItem": "63d1991553a295e76896c164", "restock": false }], "note": "Screen cracked" }
+router.post('/:id/receive', authorize('returns:manage'), validate({ params: idParams, body: schemas.receiveReturn }), async (req,res,next)=>{
+
+    try {
+        const returnRequest = await receiveReturn(req.params.id, req.auth.userId, req.body);
+        if (!returnRequest) {
+            return next(new NotFoundError('Unable to find this return'));
+        }
+        return res.status(200).json({success: true, message: 'The return has been received', data: returnRequest});
+    } catch (err) {
+        return next(err);
+    }
+});
+
+// Refund a Received Return
+// Leave out "amount" to refund what the items were bought for; the refund shows in the order's 'refunds'
+// Postman POST Request: http://localhost:3000/api/v1/returns/63d1aa207f128e73e0d6b640/refund
+// { "amount": 15, "note": "Restocking fee deducted" }
+router.post('/:id/refund', authorize('returns:manage'), validate({ params: idParams, body: schemas.refundReturn }), async (req,res,next)=>{
+
+    try {
+        const returnRequest = await refundReturn(req.params.id, req.auth.userId, req.body);
+        if (!returnRequest) {
+            return next(new NotFoundError('Unable to find this return'));
+        }
+        return res.status(200).json({success: true, message: 'The return has been refunded', data: returnRequest});
+    } catch (err) {
+        return next(err);
+    }
+});
+
+
+module.exports = router;
@@ -0,0 +1,159 @@
+const express = require('express');
+const router = express.Router();
+const { Review } = require('../models/Review');
+const { Product } = require('../models/Product');
+const { authorize, canAccessOwn } = require('../helpers/authorize');
+const { paginate } = require('../helpers/paginate');
+const { recalculateProductRating, hasReceivedProduct } = require('../helpers/reviews');
+const { validate } = require('../helpers/validate');
+const { ConflictError, ForbiddenError, NotFoundError } = require('../helpers/errors');
+const { idParams } = require('../validators/common');
+const schemas = require('../validators/reviews');
+
+// Get the Visible Reviews of a Product
+// This route is excluded from authentication in helpers/authJwt.js so anyone can read reviews
+// Supports page, limit, cursor, sort and fields query parameters (see helpers/paginate.js)
+// Postman GET Request: http://localhost:3000/api/v1/reviews?product=63cf1b67a72e858ebc611fd3&sort=-rating
+router.get('/', validate({ query: schemas.listReviews }), async (req,res,next)=>{
+
+    try {
+        const { items: reviews, pagination } = await paginate(Review, { product: req.query.product, isHidden: false }, req.query, {
+            sortable: ['dateCreated', 'rating'],
+            selectable: ['product', 'user', 'rating', 'comment', 'dateCreated', 'dateUpdated'],
+            defaultSort: '-dateCreated',
+            defaultSelect: '-isHidden -isFlagged -moderationNote',
+            populate: [['user', 'name']],
+        });
+        return res.status(200).json({success: true, message: reviews.length==0? 'No reviews': 'Reviews found', data: reviews, pagination: pagination});
+    } catch (err){
+        return next(err);
+    }
+});
+
+// Get Reviews for Moderation (Staff and Admin)
+// Includes hidden reviews; use ?flagged=true to get only flagged reviews
+// Postman GET Request: http://localhost:3000/api/v1/reviews/moderation?flagged=true
+router.get('/moderation', authorize('reviews:moderate'), validate({ query: schemas.listForModeration }), async (req,res,next)=>{
+
+    try {
+        const filter = {};
+        if (req.query.flagged === 'true') filter.isFlagged = true;
+        if (req.query.hidden === 'true') filter.isHidden = true;
+        if (req.query.product) filter.product = req.query.product;
+        const { items: reviews, pagination } = await paginate(Review, filter, req.query, {
+            sortable: ['dateCreated', 'dateUpdated', 'rating'],
+            selectable: ['product', 'user', 'rating', 'comment', 'isHidden', 'isFlagged', 'moderationNote', 'dateCreated', 'dateUpdated'],
+            defaultSort: '-dateCreated',
+            populate: [['user', 'name email'], ['product', 'name']],
+        });
+        return res.status(200).json({success: true, message: reviews.length==0? 'No reviews': 'Reviews found', data: reviews, pagination: pagination});
+    } catch (err){
+        return next(err);
+    }
+});
+
+// Post a new Review
+// Only users with a delivered order containing the product can review it, once per product
+// Postman POST Request: http://localhost:3000/api/v1/reviews with 'Body' -> 'Raw' -> 'JSON'
+// { "product": "63cf1b67a72e858ebc611fd3", "rating": 4, "comment": "Great car" }
+router.post('/', validate({ body: schemas.createReview }), async (req,res,next)=>{
+
+    try {
+        const product = await Product.findById(req.body.product).select('_id');
+        if (!product) {
+            return next(new NotFoundError('Unable to find this product'));
+        }
+        if (!(await hasReceivedProduct(req.auth.userId, product._id))) {
+            return next(new ForbiddenError('Only customers who received this product can review it'));
+        }
+        if (await Review.exists({ product: product._id, user: req.auth.userId })) {
+            return next(new ConflictError('You have already reviewed this product'));
+        }
+
+        const review = new Review({
+            product: product._id,
+            user: req.auth.userId,
+            rating: req.body.rating,
+            comment: req.body.comment,
+        });
+        const savedReview = await review.save();
+        await recalculateProductRating(product._id);
+        return res.status(201).json({success: true, message: 'This review has been posted', data: savedReview});
+    } catch (err) {
+        // The unique index on product + user catches two reviews posted at the same time
+        if (err.code === 11000) {
+            return next(new ConflictError('You have already reviewed this product'));
+        }
+        return next(err);
+    }
+});
+
+// Update an Existing Review by id (only by the user who wrote it)
+// Postman PUT Request: http://localhost:3000/api/v1/reviews/63e0c1f2a1b2c3d4e5f60718
+// { "rating": 5, "comment": "Even better after a month" }
+router.put('/:id', validate({ params: idParams, body: schemas.updateReview }), async (req,res,next)=>{
+
+    try {
+        const review = await Review.findById(req.params.id);
+        if (!review) {
+            return next(new NotFoundError('Unable to find this review'));
+        }
+        if (review.user.toString() !== req.auth.userId) {
+            return next(new ForbiddenError('You can only edit your own reviews'));
+        }
+        if (req.body.rating !== undefined) review.rating = req.body.rating;
+        if (req.body.comment !== undefined) review.comment = req.body.comment;
+        review.dateUpdated = Date.now();
+        const savedReview = await review.save();
+        await recalculateProductRating(review.product);
+        return res.status(200).json({success: true, message: 'This review has been updated', data: savedReview});
+    } catch (err) {
+        return next(err);
+    }
+});
+
+// Moderate an Existing Review by id (Staff and Admin)
+// Hidden reviews are not shown to customers and do not count towards the product rating
+// Postman PUT Request: http://localhost:3000/api/v1/reviews/63e0c1f2a1b2c3d4e5f60718/moderation
+// { "isHidden": true, "isFlagged": false, "moderationNote": "Offensive language" }
+router.put('/:id/moderation', authorize('reviews:moderate'), validate({ params: idParams, body: schemas.moderateReview }), async (req,res,next)=>{
+
+    try {
+        const update = {};
+        ['isHidden', 'isFlagged', 'moderationNote'].forEach(field=>{
+            if (req.body[field] !== undefined) update[field] = req.body[field];
+        });
+        // Must use {new: true} to return the updated review to the 'review' variable
+        const review = await Review.findByIdAndUpdate(req.params.id, update, {new: true, runValidators: true});
+        if (!review) {
+            return next(new NotFoundError('Unable to find this review'));
+        }
+        await recalculateProductRating(review.product);
+        return res.status(200).json({success: true, message: 'This review has been moderated', data: review});
+    } catch (err) {
+        return next(err);
+    }
+});
+
+// Delete an Existing Review by id (by the user who wrote it, or by Staff and Admin)
+// Postman DELETE Request: http://localhost:3000/api/v1/reviews/63e0c1f2a1b2c3d4e5f60718
+router.delete('/:id', validate({ params: idParams }), async (req,res,next)=>{
+
+    try {
+        const review = await Review.findById(req.params.id);
+        if (!review) {
+            return next(new NotFoundError('Unable to find and delete this review'));
+        }
+        if (!canAccessOwn(req.auth, review.user, 'reviews:moderate')) {
+            return next(new ForbiddenError('You can only delete your own reviews'));
+        }
+        await review.deleteOne();
+        await recalculateProductRating(review.product);
+        return res.status(200).json({success: true, message: 'This review has been deleted', data: review});
+    } catch (err) {
+        return next(err);
+    }
+});
+
+
+module.exports = router;
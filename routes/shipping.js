@@ -0,0 +1,143 @@
+const express = require('express');
+const router = express.Router();
+const { ShippingMethod } = require('../models/ShippingMethod');
+const { TaxRule } = require('../models/TaxRule');
+const { authorize } = require('../helpers/authorize');
+const { validate } = require('../helpers/validate');
+const { ConflictError, NotFoundError } = require('../helpers/errors');
+const { idParams } = require('../validators/common');
+const schemas = require('../validators/shipping');
+
+// Shipping methods and tax rules are set up by Admin and used to price every order
+// (see helpers/shipping.js). Customers see the cost of each method with POST /orders/quote.
+
+// Get all active Shipping Methods
+// Postman GET Request: http://localhost:3000/api/v1/shipping/methods
+router.get('/methods', async (req,res,next)=>{
+
+    try {
+        const methods = await ShippingMethod.find({ isActive: true }).sort({'rate': 1});
+        return res.status(200).json({success: true, message: methods.length==0? 'No shipping methods': 'Shipping methods found', data: methods});
+    } catch (err){
+        return next(err);
+    }
+});
+
+// Post a new Shipping Method
+// See the Shipping Method Examples at the bottom of models/ShippingMethod.js
+// Postman POST Request: http://localhost:3000/api/v1/shipping/methods with 'Body' -> 'Raw' -> 'JSON'
+router.post('/methods', authorize('shipping:manage'), validate({ body: schemas.createMethod }), async (req,res,next)=>{
+
+    try {
+        const method = new ShippingMethod(req.body);
+        const savedMethod = await method.save();
+        return res.status(201).json({success: true, message: 'This shipping method has been posted', data: savedMethod})
+    } catch (err) {
+        if (err.code === 11000) {
+            return next(new ConflictError('A shipping method with this code already exists'));
+        }
+        return next(err);
+    }
+});
+
+// Update an Existing Shipping Method by id
+// Set "isActive": false to stop offering a method without deleting it
+// Postman PUT Request: http://localhost:3000/api/v1/shipping/methods/63e0c1f2a1b2c3d4e5f60718
+router.put('/methods/:id', authorize('shipping:manage'), validate({ params: idParams, body: schemas.updateMethod }), async (req,res,next)=>{
+
+    try {
+        // Must use {new: true} to return the updated shipping method to the 'method' variable
+        const method = await ShippingMethod.findByIdAndUpdate(req.params.id, req.body, {new: true, runValidators: true});
+        if (!method){
+            return next(new NotFoundError('Unable to find and update this shipping method'));
+        }
+        return res.status(200).json({success: true, message: 'This shipping method has been updated', data: method});
+    } catch (err) {
+        if (err.code === 11000) {
+            return next(new ConflictError('A shipping method with this code already exists'));
+        }
+        return next(err);
+    }
+});
+
+// Delete an Existing Shipping Method by id
+// Orders keep the code and name of the method they were shipped with
+// Postman DELETE Request: http://localhost:3000/api/v1/shipping/methods/63e0c1f2a1b2c3d4e5f60718
+router.delete('/methods/:id', authorize('shipping:manage'), validate({ params: idParams }), async (req,res,next)=>{
+
+    try {
+        const method = await ShippingMethod.findByIdAndRemove(req.params.id);
+        if (!method){
+            return next(new NotFoundError('Unable to find and delete this shipping method'));
+        }
+        return res.status(200).json({success: true, message: 'This shipping method has been deleted', data: method});
+    } catch (err) {
+        return next(err);
+    }
+});
+
+// Get all Tax Rules
+// Postman GET Request: http://localhost:3000/api/v1/shipping/tax-rules
+router.get('/tax-rules', authorize('shipping:manage'), async (req,res,next)=>{
+
+    try {
+        const rules = await TaxRule.find().sort({'country': 1, 'region': 1});
+        return res.status(200).json({success: true, message: rules.length==0? 'No tax rules': 'Tax rules found', data: rules});
+    } catch (err){
+        return next(err);
+    }
+});
+
+// Post a new Tax Rule
+// See the Tax Rule Examples at the bottom of models/TaxRule.js
+// Postman POST Request: http://localhost:3000/api/v1/shipping/tax-rules with 'Body' -> 'Raw' -> 'JSON'
+router.post('/tax-rules', authorize('shipping:manage'), validate({ body: schemas.createTaxRule }), async (req,res,next)=>{
+
+    try {
+        const rule = new TaxRule(req.body);
+        const savedRule = await rule.save();
+        return res.status(201).json({success: true, message: 'This tax rule has been posted', data: savedRule})
+    } catch (err) {
+        if (err.code === 11000) {
+            return next(new ConflictError('A tax rule for this country and region already exists'));
+        }
+        return next(err);
+    }
+});
+
+// Update an Existing Tax Rule by id
+// Postman PUT Request: http://localhost:3000/api/v1/shipping/tax-rules/63e0c1f2a1b2c3d4e5f60718
+router.put('/tax-rules/:id', authorize('shipping:manage'), validate({ params: idParams, body: schemas.updateTaxRule }), async (req,res,next)=>{
+
+    try {
+        // Must use {new: true} to return the updated tax rule to the 'rule' variable
+        const rule = await TaxRule.findByIdAndUpdate(req.params.id, req.body, {new: true, runValidators: true});
+        if (!rule){
+            return next(new NotFoundError('Unable to find and update this tax rule'));
+        }
+        return res.status(200).json({success: true, message: 'This tax rule has been updated', data: rule});
+    } catch (err) {
+        if (err.code === 11000) {
+            return next(new ConflictError('A tax rule for this country and region already exists'));
+        }
+        return next(err);
+    }
+});
+
+// Delete an Existing Tax Rule by id
+// Postman DELETE Request: http://localhost:3000/api/v1/shipping/tax-rules/63e0c1f2a1b2c3d4e5f60718
+router.delete('/tax-rules/:id', authorize('shipping:manage'), validate({ params: idParams }), async (req,res,next)=>{
+
+    try {
+        const rule = await TaxRule.findByIdAndRemove(req.params.id);
+        if (!rule){
+            return next(new NotFoundError('Unable to find and delete this tax rule'));
+        }
+        return res.status(200).json({success: true, message: 'This tax rule has been deleted', data: rule});
+    } catch (err) {
+        return next(err);
+    }
+});
+
+
+module.exports = router;
@@ -2,59 +2,149 @@ const express = require('express');
 const router = express.Router();
 const { User } = require('../models/User');
 const bcrypt = require('bcryptjs');  // npm install bcryptjs for password hashing
-const jwt = require('jsonwebtoken'); // npm install jsonwebtoken for signing/generating a token
+const crypto = require('crypto');
+const { ROLES, authorize, canAccessOwn } = require('../helpers/authorize');
+const { paginate } = require('../helpers/paginate');
+const { mergeGuestCart } = require('../helpers/cart');
+const { createSession, refreshSession, revokeSession, revokeAllSessions } = require('../helpers/sessions');
+const { TOKEN_PURPOSE, consumeUserToken, sendVerificationEmail, sendPasswordResetEmail } = require('../helpers/userTokens');
+const { checkLoginAllowed, recordLoginFailure, recordLoginSuccess } = require('../helpers/rateLimit');
+const { validate } = require('../helpers/validate');
+const { BadRequestError, ConflictError, ForbiddenError, NotFoundError, UnauthorizedError } = require('../helpers/errors');
+const { idParams } = require('../validators/common');
+const schemas = require('../validators/users');
+
+// Fields users can change in their own profile; email, role and status are changed by Admin
+const PROFILE_FIELDS = ['name', 'phone', 'street', 'apartment', 'zip', 'city', 'country'];
+// Fields Admin can change with PUT /users/:id; role is handled separately to keep isAdmin in sync
+const ADMIN_FIELDS = [...PROFILE_FIELDS, 'email', 'isVerified'];
+// Hash of a random password, compared with when the login email is not registered
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync(crypto.randomBytes(16).toString('hex'), 10);
+
+function pickFields(body, fields){
+    return fields.filter(field => body[field] !== undefined)
+    .reduce((picked, field) => ({ ...picked, [field]: body[field] }), {});
+}
 
 // Get all Users
 // Postman GET Request: http://localhost:3000/api/v1/users/
 // Use .select('a list of fields') to include fields 
 // Use .select('-passwordHash') to exclude 'passwordHash' field
 // Can't have multiple .select() to include fields and to exclude fields
-router.get('/', async (req,res)=>{
+// That is why 'passwordHash' is left out of the selectable fields instead of being excluded
+// Supports page, limit, cursor, sort and fields query parameters (see helpers/paginate.js)
+// Postman GET Request: http://localhost:3000/api/v1/users?limit=50&sort=email&fields=name,email,role
+router.get('/', authorize('users:manage'), validate({ query: schemas.listUsers }), async (req,res,next)=>{
 
     try {
-        const users = await User.find()
-        .select('-passwordHash') // Exclude 'passwordHash' 
-        .sort({'name': 1});  
+        const { items: users, pagination } = await paginate(User, {}, req.query, {
+            sortable: ['name', 'email'],
+            selectable: ['name', 'email', 'phone', 'isAdmin', 'role', 'isVerified', 'isActive', 'street', 'apartment', 'zip', 'city', 'country'],
+            defaultSort: 'name',
+            defaultSelect: '-passwordHash', // Exclude 'passwordHash' 
+        });
+        return res.status(200).json({success: true, message: users.length==0? 'No users': 'Users found', data: users, pagination: pagination});
+    } catch (err){
+        return next(err);
+    }
+});
+
+// Get the profile of the logged in user
+// The '/me' routes must come before '/:id' or 'me' would be taken as a user id
+// Postman GET Request: http://localhost:3000/api/v1/users/me
+router.get('/me', async (req,res,next)=>{
 
-        if (!users) {
-            return res.status(500).json({success: false, error: 'Unable to get users', data: null});
+    try {
+        const user = await User.findById(req.auth.userId).select('-passwordHash');
+        if (!user) {
+            return next(new NotFoundError('Unable to get your profile'));
+        }
+        return res.status(200).json({success: true, message: 'Your profile has been found', data: user});
+    } catch (err){
+        return next(err);
+    }
+});
+
+// Update the profile of the logged in user
+// Only name, phone, street, apartment, zip, city and country can be changed; other fields are ignored
+// Postman PUT Request: http://localhost:3000/api/v1/users/me with 'Body' -> 'Raw' -> 'JSON'
+router.put('/me', validate({ body: schemas.updateMe }), async (req,res,next)=>{
+
+    try {
+        // Must use {new: true} to return the updated user to the 'user' variable
+        const user = await User.findByIdAndUpdate(req.auth.userId, pickFields(req.body, PROFILE_FIELDS), {new: true, runValidators: true})
+        .select('-passwordHash');
+        if (!user) {
+            return next(new NotFoundError('Unable to find and update your profile'));
+        }
+        return res.status(200).json({success: true, message: 'Your profile has been updated', data: user});
+    } catch (err){
+        return next(err);
+    }
+});
+
+// Change the password of the logged in user
+// Every other session of the user is logged out; the current session stays logged in
+// Postman PUT Request: http://localhost:3000/api/v1/users/me/password with 'Body' -> 'Raw' -> 'JSON'
+// { "oldPassword": "current password", "newPassword": "new password" }
+router.put('/me/password', validate({ body: schemas.changePassword }), async (req,res,next)=>{
+
+    try {
+        const user = await User.findById(req.auth.userId);
+        if (!user) {
+            return next(new NotFoundError('Unable to find your user'));
         }
-        return res.status(200).json({success: true, message: users.length==0? 'No users': 'Users found', data: users});
+        if (!bcrypt.compareSync(String(req.body.oldPassword || ''), user.passwordHash)) {
+            return next(new BadRequestError('Old password not match'));
+        }
+        user.passwordHash = bcrypt.hashSync(req.body.newPassword,10);
+        await user.save();
+        await revokeAllSessions(user._id, req.auth.sessionId);
+        return res.status(200).json({success: true, message: 'Your password has been changed', data: null});
     } catch (err){
-        return res.status(500).json({success: false, error: err, data: null})
+        return next(err);
     }
 });
 
 // Get an Existing User by id
 // Postman GET Request: http://localhost:3000/api/v1/users/??
-router.get('/:id', async (req,res)=>{
+// Customers can only get their own user record
+router.get('/:id', validate({ params: idParams }), async (req,res,next)=>{
 
     try {
+        if (!canAccessOwn(req.auth, req.params.id, 'users:manage')) {
+            return next(new ForbiddenError('You do not have permission to view this user'));
+        }
         const user = await User.findById(req.params.id)       
         .select('-passwordHash'); // Exclude 'passwordHash'
 
         if (!user) {
-            return res.status(500).json({success: false, error: 'Unable to get user with this id', data: null});
+            return next(new NotFoundError('Unable to get user with this id'));
         }
         return res.status(200).json({success: true, message: 'User with this id has been found', data: user});
     } catch (err){
-        return res.status(500).json({success: false, error: err, data: null})
+        return next(err);
     }
 });
 
 // Post a new User ( Useful for Admin to add a new User from the Admin Panel )
 // Postman POST Request: http://localhost:3000/api/v1/users with 'Body' -> 'Raw' -> 'JSON'
 // All JSON field names ('name', 'email', 'phone') must be quoted or Postman will return Syntax Error
-router.post('/', async (req,res)=>{
+// Pass "role": "customer" | "staff" | "admin"; "isAdmin": true is still accepted and means "role": "admin"
+// Users added by Admin do not need to verify their email address
+router.post('/', authorize('users:manage'), validate({ body: schemas.createUser }), async (req,res,next)=>{
 
     try {
+        const role = req.body.isAdmin ? ROLES.ADMIN : (req.body.role || ROLES.CUSTOMER);
         // Use bcrypt.hashSync() to hash the plain text password provided by the user
         const user = new User({
             "name": req.body.name,
             "email": req.body.email,
             "passwordHash": bcrypt.hashSync(req.body.password,10),
             "phone": req.body.phone,
-            "isAdmin": req.body.isAdmin,
+            "isAdmin": role === ROLES.ADMIN,
+            "isVerified": true,
+            "role": role,
             "street": req.body.street,
             "apartment": req.body.apartment,
             "city": req.body.city,
@@ -63,11 +153,14 @@ router.post('/', async (req,res)=>{
         });
         const savedUser = await user.save();
         if (!savedUser){
-            return res.status(400).json({success: false, error: 'Unable to post this user', data: null});
+            return next(new BadRequestError('Unable to post this user'));
         }
         return res.status(201).json({success: true, message: 'This user has been posted', data: savedUser})
     } catch (err) {
-        return res.status(500).json({success: false, error: err, data: null})
+        if (err.code === 11000) {
+            return next(new ConflictError('A user with this email already exists'));
+        }
+        return next(err);
     }
 });
 
@@ -76,16 +169,13 @@ router.post('/', async (req,res)=>{
 // The route must be '/get/count', not '/getcount' or MongoDB will return an ObjectId Cast Error
 // because it is trying to cast what is after '/users' as an ObjectId that is needed when getting
 // a single user by providing an id params.
-router.get('/get/count', async (req,res)=>{
+router.get('/get/count', authorize('users:manage'), async (req,res,next)=>{
     
     try {
         const count = await User.countDocuments(); 
-        if (!count) {
-            return res.status(500).json({success: false, error: 'Unable to get count of users', data: null});
-        }
         return res.status(200).json({success: true, message: 'Count of users has been generated', data: {count: count}});
     } catch (err){
-        return res.status(500).json({success: false, error: err, data: null})
+        return next(err);
     }
 });
 
@@ -97,16 +187,20 @@ router.get('/get/count', async (req,res)=>{
 // It returns a promise in callback and you need to resolve the promise.
 // bcrypt.hashSync runs the hash, waits for it to complete and returns the hashed value.
 // In other words "hash" is asynchronous and hashSync is synschronous.
-router.post('/register', async (req, res)=>{
+router.post('/register', validate({ body: schemas.register }), async (req, res, next)=>{
 
     try {
+        // Self-registered users are always customers. Staff and admin accounts
+        // are created by an admin through POST /users.
         // Use bcrypt.hashSync() to hash the plain text password provided by the user
         const user = new User({
             "name": req.body.name,
             "email": req.body.email,
             "passwordHash": bcrypt.hashSync(req.body.password,10),
             "phone": req.body.phone,
-            "isAdmin": req.body.isAdmin,
+            "isAdmin": false,
+            "isVerified": false,
+            "role": ROLES.CUSTOMER,
             "street": req.body.street,
             "apartment": req.body.apartment,
             "city": req.body.city,
@@ -116,55 +210,240 @@ router.post('/register', async (req, res)=>{
 
         const savedUser = await user.save();
         if (!savedUser){
-            return res.status(400).json({success: false, error: 'Unable to register this user', data: null});
+            return next(new BadRequestError('Unable to register this user'));
+        }
+        // The user is registered even when the email cannot be sent; they can ask for it again
+        try {
+            await sendVerificationEmail(savedUser);
+        } catch (err) {
+            console.error(`Unable to send the verification email to ${savedUser.email}:`, err);
         }
         return res.status(201).json({success: true, message: 'This user has been registered', data: savedUser})
     } catch (err) {
-        console.log('catch err', err);
-        return res.status(500).json({success: false, error: err, data: null})
+        if (err.code === 11000) {
+            return next(new ConflictError('A user with this email already exists'));
+        }
+        return next(err);
     }
 });
 
 // Login an User 
 // Postman POST Request: http://localhost:3000/api/v1/login
-// Upon successful login, jwt will return an object containing the user email and a token
-// How to create SECRET and REFRESH_SECRET with better security in the real world? (Learned from Web Dev Simplified)
+// Upon successful login, the response contains the user email, a short-lived access token
+// ('userToken') and a refresh token (see helpers/sessions.js)
+// How to create SECRET with better security in the real world? (Learned from Web Dev Simplified)
 // Open a new Terminal inside VSCode:
 // >node
 // >require('crypto').randomBytes(64).toString('hex')
-// >run the above command again to get a different string for REFRESH_SECRET
 
 // How to test this token in Postman?
 // Postman POST Request: http://localhost:3000/api/v1/users/login with 'Body' -> 'Raw' -> 'JSON'
 // Postman will return a token upon successful login. We then copy & paste this token inside jwt.io
 // to see the decoded HEADER, PAYLOAD, and VERIFY SIGNATURE
-router.post('/login', async (req, res)=>{
+// Guests who filled a cart before logging in can send its token as "cartToken" in the body
+// (or in the 'X-Cart-Token' header) to merge the guest cart into their own cart
+// Set REQUIRE_EMAIL_VERIFICATION=true to refuse users who have not verified their email address
+// A wrong email and a wrong password get the same 401 'Invalid email or password', and too many
+// failed logins lock the email or the IP with 429 for a while (see helpers/rateLimit.js)
+router.post('/login', validate({ body: schemas.login }), async (req, res, next)=>{
 
     try{
-        // Check to see if the user email is already registered
-        const user = await User.findOne({email: req.body.email});
-        if (!user){
-            return res.status(400).json({success: false, error: 'User with this email not found', data: null});
-        } else {   
-            // Check to see if req.body.password and user.passwordHash are the same
-            if (bcrypt.compareSync(req.body.password, user.passwordHash)){
-                // Once user is authenticated, use jwt.sign() to create a token 
-                const token = jwt.sign({userId: user._id, userIsAdmin: user.isAdmin}, process.env.SECRET, {expiresIn: '1d'});
-                // Sent token to the user for accessing the backend apis
-                return res.status(200).json({ userEmail: user.email, userToken: token});
-            } else {
-                return res.status(400).json({success: false, error: 'Password not match', data: null});
-            } 
-        }  // end of outer if
+        await checkLoginAllowed(req.body.email, req.ip);
+        // String() so a JSON object like {"$ne": null} cannot be used as the query
+        const user = await User.findOne({email: String(req.body.email)});
+        // Compare with a dummy hash when the email is not registered, so the response
+        // takes as long as for a wrong password and the time does not tell either
+        const passwordHash = user ? user.passwordHash : DUMMY_PASSWORD_HASH;
+        // Check to see if req.body.password and user.passwordHash are the same
+        if (!bcrypt.compareSync(req.body.password, passwordHash) || !user){
+            await recordLoginFailure(req.body.email, req.ip);
+            return next(new UnauthorizedError('Invalid email or password', 'INVALID_CREDENTIALS'));
+        }
+        await recordLoginSuccess(req.body.email);
+        if (!user.isActive) {
+            return next(new ForbiddenError('This account has been deactivated'));
+        }
+        if (process.env.REQUIRE_EMAIL_VERIFICATION === 'true' && !user.isVerified) {
+            return next(new ForbiddenError('Please verify your email address before logging in'));
+        }
+        // Once user is authenticated, start a session and create its tokens
+        const { accessToken, refreshToken } = await createSession(user, req);
+        await mergeGuestCart(user._id, req.body.cartToken || req.get('X-Cart-Token'));
+        // Sent tokens to the user for accessing the backend apis
+        return res.status(200).json({ userEmail: user.email, userToken: accessToken, refreshToken: refreshToken});
     } catch(err){
-        return res.status(500).json({success: false, error: err, data: null});
+        return next(err);
     } 
 });
 
-// Error Handler
-router.use((err, req, res, next) => {
-    // console.error(err.stack);
-    return res.status(500).send({success: false, error: err});
+// Get a new access token when the old one has expired
+// The refresh token can only be used once; use the new refresh token next time
+// Postman POST Request: http://localhost:3000/api/v1/users/refresh with 'Body' -> 'Raw' -> 'JSON'
+// { "refreshToken": "<refreshToken from the login response>" }
+router.post('/refresh', validate({ body: schemas.refresh }), async (req, res, next)=>{
+
+    try {
+        const { accessToken, refreshToken } = await refreshSession(req.body.refreshToken);
+        return res.status(200).json({ userToken: accessToken, refreshToken: refreshToken});
+    } catch (err) {
+        return next(err);
+    }
 });
 
+// Logout an User
+// Revokes the session of the access token, so both the access token and the refresh token stop working
+// Send { "allDevices": true } to log out of every session of this user ("log out everywhere")
+// Postman POST Request: http://localhost:3000/api/v1/users/logout with 'Authorization' -> 'Bearer Token'
+router.post('/logout', validate({ body: schemas.logout }), async (req, res, next)=>{
+
+    try {
+        if (req.body.allDevices === true) {
+            await revokeAllSessions(req.auth.userId);
+            return res.status(200).json({success: true, message: 'You have been logged out on all devices', data: null});
+        }
+        await revokeSession(req.auth.sessionId);
+        return res.status(200).json({success: true, message: 'You have been logged out', data: null});
+    } catch (err) {
+        return next(err);
+    }
+});
+
+// Ask for a new email verification link
+// Always responds with the same message so it cannot be used to find out which emails are registered
+// Postman POST Request: http://localhost:3000/api/v1/users/verify-email/request with 'Body' -> 'Raw' -> 'JSON'
+// { "email": "jane@example.com" }
+router.post('/verify-email/request', validate({ body: schemas.requestEmail }), async (req, res, next)=>{
+
+    try {
+        const user = await User.findOne({email: String(req.body.email)});
+        if (user && !user.isVerified) {
+            await sendVerificationEmail(user);
+        }
+        return res.status(200).json({success: true, message: 'If this email needs to be verified, a verification link has been sent', data: null});
+    } catch (err) {
+        return next(err);
+    }
+});
+
+// Verify an email address with the token from the verification email
+// Postman POST Request: http://localhost:3000/api/v1/users/verify-email/confirm with 'Body' -> 'Raw' -> 'JSON'
+// { "token": "<token from the email>" }
+router.post('/verify-email/confirm', validate({ body: schemas.confirmToken }), async (req, res, next)=>{
+
+    try {
+        const userId = await consumeUserToken(req.body.token, TOKEN_PURPOSE.VERIFY_EMAIL);
+        const user = await User.findByIdAndUpdate(userId, {isVerified: true});
+        if (!user) {
+            return next(new NotFoundError('User with this token not found'));
+        }
+        return res.status(200).json({success: true, message: 'Your email address has been verified', data: null});
+    } catch (err) {
+        return next(err);
+    }
+});
+
+// Ask for a password reset link
+// Always responds with the same message so it cannot be used to find out which emails are registered
+// Postman POST Request: http://localhost:3000/api/v1/users/password-reset/request with 'Body' -> 'Raw' -> 'JSON'
+// { "email": "jane@example.com" }
+router.post('/password-reset/request', validate({ body: schemas.requestEmail }), async (req, res, next)=>{
+
+    try {
+        const user = await User.findOne({email: String(req.body.email)});
+        if (user && user.isActive) {
+            await sendPasswordResetEmail(user);
+        }
+        return res.status(200).json({success: true, message: 'If this email is registered, a password reset link has been sent', data: null});
+    } catch (err) {
+        return next(err);
+    }
+});
+
+// Choose a new password with the token from the password reset email
+// Every session of the user is logged out, so a stolen session cannot outlive the reset
+// Opening the emailed link also proves the user owns the email address, so it is marked as verified
+// Postman POST Request: http://localhost:3000/api/v1/users/password-reset/confirm with 'Body' -> 'Raw' -> 'JSON'
+// { "token": "<token from the email>", "password": "new password" }
+router.post('/password-reset/confirm', validate({ body: schemas.resetPassword }), async (req, res, next)=>{
+
+    try {
+        const userId = await consumeUserToken(req.body.token, TOKEN_PURPOSE.RESET_PASSWORD);
+        const user = await User.findByIdAndUpdate(userId, {passwordHash: bcrypt.hashSync(req.body.password,10), isVerified: true});
+        if (!user) {
+            return next(new NotFoundError('User with this token not found'));
+        }
+        await revokeAllSessions(user._id);
+        return res.status(200).json({success: true, message: 'Your password has been changed, please log in again', data: null});
+    } catch (err) {
+        return next(err);
+    }
+});
+
+// Update an Existing User by id ( Admin only )
+// Accepts the profile fields plus "email", "isVerified", "role" ("isAdmin": true still means "role": "admin")
+// and "isActive" to deactivate or reactivate the user. Send "password" to set a new password.
+// Changing the role, the password or deactivating logs the user out everywhere,
+// so the change applies straight away instead of when their access token expires
+// Postman PUT Request: http://localhost:3000/api/v1/users/63e0c1f2a1b2c3d4e5f60718 with 'Body' -> 'Raw' -> 'JSON'
+router.put('/:id', authorize('users:manage'), validate({ params: idParams, body: schemas.updateUser }), async (req,res,next)=>{
+
+    try {
+        const fields = pickFields(req.body, ADMIN_FIELDS);
+        const role = req.body.isAdmin === true ? ROLES.ADMIN : req.body.role;
+        if (role !== undefined) {
+            fields.role = role;
+            fields.isAdmin = role === ROLES.ADMIN;
+        }
+        if (req.body.password) {
+            fields.passwordHash = bcrypt.hashSync(req.body.password,10);
+        }
+        if (req.body.isActive !== undefined) {
+            if (req.body.isActive === false && req.params.id === req.auth.userId) {
+                return next(new BadRequestError('You cannot deactivate your own account'));
+            }
+            fields.isActive = req.body.isActive;
+            fields.deactivatedAt = req.body.isActive === false ? new Date() : null;
+        }
+
+        // Must use {new: true} to return the updated user to the 'user' variable
+        const user = await User.findByIdAndUpdate(req.params.id, fields, {new: true, runValidators: true})
+        .select('-passwordHash');
+        if (!user) {
+            return next(new NotFoundError('Unable to find and update this user'));
+        }
+        if (fields.role !== undefined || fields.passwordHash || fields.isActive === false) {
+            await revokeAllSessions(user._id);
+        }
+        return res.status(200).json({success: true, message: 'This user has been updated', data: user});
+    } catch (err) {
+        if (err.code === 11000) {
+            return next(new ConflictError('A user with this email already exists'));
+        }
+        return next(err);
+    }
+});
+
+// Deactivate an Existing User by id ( Admin only )
+// Users are not removed because their orders and reviews still refer to them. A deactivated user
+// is logged out everywhere and cannot log in again until Admin sets "isActive": true with PUT /users/:id
+// Postman DELETE Request: http://localhost:3000/api/v1/users/63e0c1f2a1b2c3d4e5f60718
+router.delete('/:id', authorize('users:manage'), validate({ params: idParams }), async (req,res,next)=>{
+
+    try {
+        if (req.params.id === req.auth.userId) {
+            return next(new BadRequestError('You cannot deactivate your own account'));
+        }
+        const user = await User.findByIdAndUpdate(req.params.id, {isActive: false, deactivatedAt: new Date()}, {new: true})
+        .select('-passwordHash');
+        if (!user) {
+            return next(new NotFoundError('Unable to find and deactivate this user'));
+        }
+        await revokeAllSessions(user._id);
+        return res.status(200).json({success: true, message: 'This user has been deactivated', data: user});
+    } catch (err) {
+        return next(err);
+    }
+});
+
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,78 @@
+// Fill in the product copy of order items saved before order items had one (see models/OrderItem.js)
+// The price an item was bought for was never saved, so the current product (or variant) price is
+// used. Check the totals of old orders if prices have changed since they were placed.
+// Order items whose product has been deleted are listed and left as they are.
+// Run from the project folder:
+// npm run backfill:order-items                (fill in every order item without a unitPrice)
+// npm run backfill:order-items -- --dry-run   (only list them)
+
+if (process.env.NODE !== 'production') require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDatabase = require('../helpers/db');
+const { findVariant, variantPrice } = require('../helpers/variants');
+const { roundMoney } = require('../helpers/money');
+const { OrderItem } = require('../models/OrderItem');
+const { Product } = require('../models/Product');
+
+function parseArgs(argv){
+    const options = { dryRun: false };
+    argv.forEach(arg=>{
+        if (arg === '--dry-run') {
+            options.dryRun = true;
+        } else {
+            throw new Error(`Unknown option: ${arg}`);
+        }
+    });
+    return options;
+}
+
+async function main(){
+    const options = parseArgs(process.argv.slice(2));
+    await connectDatabase();
+
+    const orderItems = await OrderItem.find({ unitPrice: null });
+    const products = await Product.find({ _id: { $in: orderItems.map(item => item.product) } })
+    .select('name image price variants');
+
+    const updates = [];
+    const missing = [];
+    orderItems.forEach(item=>{
+        const product = products.find(p => item.product && p._id.equals(item.product));
+        if (!product) {
+            missing.push(item);
+            return;
+        }
+        const variant = findVariant(product, item.variant);
+        const unitPrice = variantPrice(product, variant);
+        updates.push({ item: item, changes: {
+            name: item.name || product.name,
+            image: item.image || (variant && variant.images.length > 0 ? variant.images[0] : product.image),
+            sku: item.sku || (variant ? variant.sku : ''),
+            unitPrice: unitPrice,
+            lineTotal: roundMoney(item.quantity * unitPrice),
+        } });
+    });
+
+    console.log(`Found ${orderItems.length} order item(s) without a product copy`);
+    updates.forEach(({ item, changes })=>{
+        console.log(`  ${item._id} ${item.quantity} x ${changes.name} at ${changes.unitPrice}`);
+    });
+    if (missing.length > 0) {
+        console.log(`${missing.length} order item(s) have a deleted product and are left as they are:`);
+        missing.forEach(item => console.log(`  ${item._id} (product ${item.product})`));
+    }
+
+    if (options.dryRun) return;
+
+    for (const { item, changes } of updates) {
+        await OrderItem.updateOne({ _id: item._id, unitPrice: null }, { $set: changes });
+    }
+    console.log(`Filled in ${updates.length} order item(s)`);
+}
+
+main()
+.catch(err=>{
+    console.log(err);
+    process.exitCode = 1;
+})
+.finally(()=> mongoose.disconnect());
@@ -0,0 +1,78 @@
+// Find and remove uploaded files that no product uses
+// Files are normally deleted when a product stops using them (see helpers/images.js), but some
+// are left behind, e.g. when a request fails after the upload or by products deleted before that.
+// This script lists every file in the storage (see helpers/storage.js) and compares it with the
+// urls in 'image', 'images', 'imageVariants' and 'galleryVariants' of all the products.
+// Files newer than --min-age-hours (default 24) are skipped, because a product may be about to use them.
+// Urls that do not start with the current public url (saved before it changed, see
+// 'npm run migrate:image-urls') still keep the file with the same name from being deleted.
+// Run from the project folder:
+// npm run gc:uploads                          (only list the unused files)
+// npm run gc:uploads -- --delete              (delete them)
+// npm run gc:uploads -- --min-age-hours 1     (also include files from 1 to 24 hours old)
+
+if (process.env.NODE !== 'production') require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDatabase = require('../helpers/db');
+const { listFiles, deleteFile, fileKeyFromUrl } = require('../helpers/storage');
+const { imageUrls, productImages } = require('../helpers/images');
+const { Product } = require('../models/Product');
+
+function parseArgs(argv){
+    const options = { delete: false, minAgeHours: 24 };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--delete') {
+            options.delete = true;
+        } else if (argv[i] === '--min-age-hours' && argv[i + 1] !== undefined && !isNaN(Number(argv[i + 1]))) {
+            options.minAgeHours = Number(argv[++i]);
+        } else {
+            throw new Error(`Unknown option: ${argv[i]}`);
+        }
+    }
+    return options;
+}
+
+async function main(){
+    const options = parseArgs(process.argv.slice(2));
+    await connectDatabase();
+
+    const usedKeys = new Set();
+    let otherUrls = 0;
+    const products = await Product.find({}).select('image imageVariants images galleryVariants').lean();
+    products.forEach(product=>{
+        productImages(product).forEach(image=>{
+            imageUrls(image.url, image.variants).forEach(url=>{
+                const key = fileKeyFromUrl(url);
+                if (!key) otherUrls++;
+                usedKeys.add(key || url.split('?')[0].split('/').pop());
+            });
+        });
+    });
+
+    const files = await listFiles();
+    const before = Date.now() - options.minAgeHours * 60 * 60 * 1000;
+    const unused = files.filter(file => !usedKeys.has(file.key));
+    const orphans = unused.filter(file => new Date(file.lastModified).getTime() < before);
+
+    console.log(`Found ${files.length} file(s), ${usedKeys.size} used by ${products.length} product(s)`);
+    if (otherUrls > 0) {
+        console.log(`${otherUrls} url(s) do not start with the current public url; their files were matched by name`);
+    }
+    console.log(`Found ${orphans.length} unused file(s) older than ${options.minAgeHours} hour(s)`
+        + (unused.length > orphans.length ? ` (and ${unused.length - orphans.length} newer ones, skipped)` : ''));
+    orphans.forEach(file => console.log(`  ${file.key}`));
+
+    if (!options.delete) return;
+
+    for (const file of orphans) {
+        await deleteFile(file.key);
+    }
+    console.log(`Deleted ${orphans.length} file(s)`);
+}
+
+main()
+.catch(err=>{
+    console.log(err);
+    process.exitCode = 1;
+})
+.finally(()=> mongoose.disconnect());
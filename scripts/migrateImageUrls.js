@@ -0,0 +1,137 @@
+// Point the image urls of existing products at the current storage (see helpers/storage.js)
+// Products keep full urls in 'image', 'images', 'imageVariants' and 'galleryVariants'. Urls saved
+// before STORAGE_PUBLIC_URL or STORAGE_DRIVER changed still start with the old address, e.g.
+// 'http://localhost:3000/public/uploads/car1.jpeg' built from the host of the upload request.
+// This script keeps the file name at the end of each url and puts the current public url in front of it.
+// Run from the project folder with the new settings in .env. STORAGE_PUBLIC_URL must be set for the
+// local driver, so the urls are not rewritten to the localhost default:
+// npm run migrate:image-urls                       (rewrite every url that has '/public/uploads/' in it)
+// npm run migrate:image-urls -- --from <old url>   (rewrite the urls starting with <old url>; can be repeated)
+// npm run migrate:image-urls -- --copy             (also upload the files from public/uploads to the storage,
+//                                                   e.g. when moving from the local driver to s3)
+// npm run migrate:image-urls -- --dry-run          (only list what would change)
+
+if (process.env.NODE !== 'production') require('dotenv').config();
+const fs = require('fs/promises');
+const path = require('path');
+const mongoose = require('mongoose');
+const connectDatabase = require('../helpers/db');
+const { LOCAL_UPLOAD_DIR, putFile, fileUrl, hasPublicUrl } = require('../helpers/storage');
+const { Product } = require('../models/Product');
+
+const CONTENT_TYPES = {
+    '.jpeg': 'image/jpeg',
+    '.jpg': 'image/jpeg',
+    '.png': 'image/png',
+    '.webp': 'image/webp',
+};
+
+function parseArgs(argv){
+    const options = { dryRun: false, copy: false, from: [] };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--dry-run') {
+            options.dryRun = true;
+        } else if (argv[i] === '--copy') {
+            options.copy = true;
+        } else if (argv[i] === '--from' && argv[i + 1]) {
+            options.from.push(argv[++i].replace(/\/+$/, ''));
+        } else {
+            throw new Error(`Unknown option: ${argv[i]}`);
+        }
+    }
+    return options;
+}
+
+// The file name of an old url, or null when the url is not one of ours
+function fileNameOf(url, options){
+    if (typeof url !== 'string') return null;
+    if (options.from.length > 0) {
+        const from = options.from.find(prefix => url.startsWith(`${prefix}/`));
+        return from ? url.slice(from.length + 1) : null;
+    }
+    const index = url.indexOf('/public/uploads/');
+    return index >= 0 ? url.slice(index + '/public/uploads/'.length) : null;
+}
+
+// Call rewrite() for every url in the image fields of a product
+// Returns the fields that changed, ready for $set
+function rewriteProduct(product, rewrite){
+    // The entries of 'galleryVariants' also have the url of their gallery image in 'image'
+    const variants = (sizes)=> sizes && Object.fromEntries(Object.entries(sizes).map(([size, urls])=>
+        [size, typeof urls === 'string' ? rewrite(urls) : urls && { ...urls, url: rewrite(urls.url), webp: rewrite(urls.webp) }]));
+    const fields = {};
+    if (product.image) fields.image = rewrite(product.image);
+    if (product.images) fields.images = product.images.map(rewrite);
+    if (product.imageVariants) fields.imageVariants = variants(product.imageVariants);
+    if (product.galleryVariants) fields.galleryVariants = product.galleryVariants.map(variants);
+    return Object.fromEntries(Object.entries(fields)
+    .filter(([field, value]) => JSON.stringify(value) !== JSON.stringify(product[field])));
+}
+
+async function copyFile(fileName){
+    try {
+        const body = await fs.readFile(path.join(LOCAL_UPLOAD_DIR, fileName));
+        await putFile(fileName, body, CONTENT_TYPES[path.extname(fileName).toLowerCase()]);
+        return true;
+    } catch (err) {
+        if (err.code === 'ENOENT') return false;
+        throw err;
+    }
+}
+
+async function main(){
+    const options = parseArgs(process.argv.slice(2));
+    if (!hasPublicUrl(process.env)) {
+        throw new Error('Set STORAGE_PUBLIC_URL to the address clients reach the files at before rewriting the image urls');
+    }
+    await connectDatabase();
+
+    const products = await Product.collection.find({}, {
+        projection: { image: 1, images: 1, imageVariants: 1, galleryVariants: 1 },
+    }).toArray();
+
+    const fileNames = new Set();
+    const updates = [];
+    products.forEach(product=>{
+        const changes = rewriteProduct(product, url=>{
+            const fileName = fileNameOf(url, options);
+            if (!fileName) return url;
+            fileNames.add(fileName);
+            return fileUrl(fileName);
+        });
+        if (Object.keys(changes).length > 0) updates.push({ product: product, changes: changes });
+    });
+
+    console.log(`Found ${updates.length} product(s) with image urls to rewrite`);
+    updates.forEach(({ product, changes })=>{
+        console.log(`  ${product._id} ${product.image} -> ${changes.image || product.image}`);
+    });
+
+    if (options.copy) {
+        console.log(`${options.dryRun ? 'Would copy' : 'Copying'} ${fileNames.size} file(s) from ${LOCAL_UPLOAD_DIR}`);
+        if (!options.dryRun) {
+            let missing = 0;
+            for (const fileName of fileNames) {
+                if (!(await copyFile(fileName))) {
+                    console.log(`  missing: ${fileName}`);
+                    missing++;
+                }
+            }
+            console.log(`Copied ${fileNames.size - missing} file(s), ${missing} missing`);
+        }
+    }
+
+    if (options.dryRun) return;
+
+    for (const { product, changes } of updates) {
+        await Product.collection.updateOne({ _id: product._id }, { $set: changes });
+    }
+    console.log(`Rewrote the image urls of ${updates.length} product(s)`);
+}
+
+main()
+.catch(err=>{
+    console.log(err);
+    process.exitCode = 1;
+})
+.finally(()=> mongoose.disconnect());
@@ -0,0 +1,71 @@
+// Prepare existing users for the unique email index on User.email
+// Emails are now stored trimmed and in lower case, and MongoDB cannot build the unique index
+// while two users share an email. This script lower cases the emails saved before that,
+// lists the emails used by more than one user, and builds the index once there are none.
+// Run from the project folder:
+// npm run normalize:emails               (fix the emails and build the index)
+// npm run normalize:emails -- --dry-run  (only list what would change)
+// Duplicate accounts have to be merged or given another email by hand; they are never deleted here.
+
+if (process.env.NODE !== 'production') require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDatabase = require('../helpers/db');
+const { User } = require('../models/User');
+
+function parseArgs(argv){
+    const options = { dryRun: false };
+    argv.forEach(arg=>{
+        if (arg === '--dry-run') {
+            options.dryRun = true;
+        } else {
+            throw new Error(`Unknown option: ${arg}`);
+        }
+    });
+    return options;
+}
+
+async function main(){
+    const options = parseArgs(process.argv.slice(2));
+    await connectDatabase();
+
+    // Use the collection directly so the lowercase setter does not hide the stored value
+    const users = await User.collection.find({}, { projection: { email: 1 } }).toArray();
+    const byEmail = new Map();
+    users.forEach(user=>{
+        const email = String(user.email || '').trim().toLowerCase();
+        byEmail.set(email, [...(byEmail.get(email) || []), user]);
+    });
+
+    const duplicates = [...byEmail.entries()].filter(([, sameEmail]) => sameEmail.length > 1);
+    const toFix = users.filter(user => user.email !== String(user.email || '').trim().toLowerCase()
+        && byEmail.get(String(user.email || '').trim().toLowerCase()).length == 1);
+
+    console.log(`Found ${toFix.length} email(s) to lower case`);
+    toFix.forEach(user => console.log(`  ${user._id} ${user.email}`));
+    console.log(`Found ${duplicates.length} email(s) used by more than one user`);
+    duplicates.forEach(([email, sameEmail])=>{
+        console.log(`  ${email}: ${sameEmail.map(user => user._id).join(', ')}`);
+    });
+
+    if (options.dryRun) return;
+
+    for (const user of toFix) {
+        await User.collection.updateOne({ _id: user._id }, { $set: { email: user.email.trim().toLowerCase() } });
+    }
+    console.log(`Lower cased ${toFix.length} email(s)`);
+
+    if (duplicates.length > 0) {
+        console.log('The unique email index was not built; fix the duplicate users above and run this again');
+        process.exitCode = 1;
+        return;
+    }
+    await User.createIndexes();
+    console.log('The unique email index has been built');
+}
+
+main()
+.catch(err=>{
+    console.log(err);
+    process.exitCode = 1;
+})
+.finally(()=> mongoose.disconnect());
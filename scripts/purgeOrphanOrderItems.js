@@ -0,0 +1,71 @@
+// Find and delete OrderItems that no Order links to
+// These are left behind when the server stops half way through creating or deleting an order.
+// Run from the project folder:
+// npm run purge:orderitems                      (delete orphaned order items)
+// npm run purge:orderitems -- --dry-run         (only list them)
+// npm run purge:orderitems -- --grace-minutes=30
+// Order items younger than the grace period (default 10 minutes) are skipped
+// because they may belong to an order that is being created right now.
+
+if (process.env.NODE !== 'production') require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDatabase = require('../helpers/db');
+const { Order } = require('../models/Order');
+const { OrderItem } = require('../models/OrderItem');
+
+const DEFAULT_GRACE_MINUTES = 10;
+
+function parseArgs(argv){
+    const options = { dryRun: false, graceMinutes: DEFAULT_GRACE_MINUTES };
+    argv.forEach(arg=>{
+        if (arg === '--dry-run') {
+            options.dryRun = true;
+        } else if (arg.startsWith('--grace-minutes=')) {
+            options.graceMinutes = Number(arg.split('=')[1]);
+        } else {
+            throw new Error(`Unknown option: ${arg}`);
+        }
+    });
+    if (!Number.isFinite(options.graceMinutes) || options.graceMinutes < 0) {
+        throw new Error('--grace-minutes must be a number of minutes');
+    }
+    return options;
+}
+
+async function findOrphanOrderItems(graceMinutes){
+    // An ObjectId starts with its creation time, so this skips recently created order items
+    const cutoff = Math.floor((Date.now() - graceMinutes * 60 * 1000) / 1000);
+    return OrderItem.aggregate([
+        { $match: { _id: { $lt: mongoose.Types.ObjectId.createFromTime(cutoff) } } },
+        { $lookup: { from: Order.collection.name, localField: '_id', foreignField: 'orderItems', as: 'orders' } },
+        { $match: { orders: { $size: 0 } } },
+        { $project: { _id: 1, product: 1, quantity: 1 } },
+    ]);
+}
+
+async function main(){
+    const options = parseArgs(process.argv.slice(2));
+    await connectDatabase();
+
+    const orphans = await findOrphanOrderItems(options.graceMinutes);
+    console.log(`Found ${orphans.length} orphaned order item(s)`);
+    orphans.forEach(item=>{
+        console.log(`  ${item._id} product=${item.product} quantity=${item.quantity}`);
+    });
+
+    if (orphans.length > 0 && !options.dryRun) {
+        // Check again at delete time so an order item that got linked in the meantime is kept
+        const linkedIds = await Order.distinct('orderItems', { orderItems: { $in: orphans.map(item => item._id) } });
+        const linked = linkedIds.map(id => id.toString());
+        const ids = orphans.map(item => item._id).filter(id => !linked.includes(id.toString()));
+        const result = await OrderItem.deleteMany({ _id: { $in: ids } });
+        console.log(`Deleted ${result.deletedCount} orphaned order item(s)`);
+    }
+}
+
+main()
+.catch(err=>{
+    console.log(err);
+    process.exitCode = 1;
+})
+.finally(()=> mongoose.disconnect());
@@ -0,0 +1,103 @@
+// Rebuild the 'path' and 'depth' of every category from the 'parent' links (see helpers/categoryTree.js)
+// Needed once for categories saved before categories had parents, and to repair the tree if the
+// server stopped in the middle of moving or deleting a category. It also:
+// - gives a slug to categories without one, made from the name
+// - moves categories whose parent no longer exists, or that are (through their parents) their
+//   own parent, to the top level
+// Run from the project folder:
+// npm run rebuild:categories                (fix every category that needs it)
+// npm run rebuild:categories -- --dry-run   (only list them)
+
+if (process.env.NODE !== 'production') require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDatabase = require('../helpers/db');
+const { slugify } = require('../helpers/categoryTree');
+const { Category } = require('../models/Category');
+
+function parseArgs(argv){
+    const options = { dryRun: false };
+    argv.forEach(arg=>{
+        if (arg === '--dry-run') {
+            options.dryRun = true;
+        } else {
+            throw new Error(`Unknown option: ${arg}`);
+        }
+    });
+    return options;
+}
+
+// The parent, path and depth every category should have
+function computeTree(categories){
+    const byId = new Map(categories.map(category => [category._id.toString(), category]));
+    const results = new Map();
+
+    function compute(category, visiting){
+        const id = category._id.toString();
+        if (results.has(id)) return results.get(id);
+        visiting.add(id);
+        let parent = category.parent ? byId.get(category.parent.toString()) : null;
+        if (parent && visiting.has(parent._id.toString())) parent = null;  // a loop
+        const parentResult = parent ? compute(parent, visiting) : null;
+        const result = {
+            parent: parent ? parent._id : null,
+            path: `${parentResult ? parentResult.path : ','}${id},`,
+            depth: parentResult ? parentResult.depth + 1 : 0,
+        };
+        visiting.delete(id);
+        results.set(id, result);
+        return result;
+    }
+
+    categories.forEach(category => compute(category, new Set()));
+    return results;
+}
+
+async function main(){
+    const options = parseArgs(process.argv.slice(2));
+    await connectDatabase();
+
+    // The collection is read directly, because old categories are missing required fields
+    const categories = await Category.collection.find({}, {
+        projection: { name: 1, slug: 1, parent: 1, path: 1, depth: 1 },
+    }).toArray();
+    const tree = computeTree(categories);
+
+    const slugs = new Set(categories.filter(category => category.slug).map(category => category.slug));
+    const updates = [];
+    categories.forEach(category=>{
+        const { parent, path, depth } = tree.get(category._id.toString());
+        const changes = {};
+        if (String(parent) !== String(category.parent || null)) changes.parent = parent;
+        if (path !== category.path) changes.path = path;
+        if (depth !== category.depth) changes.depth = depth;
+        if (!category.slug) {
+            const base = slugify(category.name);
+            let slug = base;
+            for (let n = 2; slugs.has(slug); n++) {
+                slug = `${base}-${n}`;
+            }
+            slugs.add(slug);
+            changes.slug = slug;
+        }
+        if (Object.keys(changes).length > 0) updates.push({ category: category, changes: changes });
+    });
+
+    console.log(`Found ${updates.length} of ${categories.length} categories to fix`);
+    updates.forEach(({ category, changes })=>{
+        console.log(`  ${category._id} ${category.name}: ${Object.keys(changes).join(', ')}`);
+    });
+
+    if (options.dryRun) return;
+
+    for (const { category, changes } of updates) {
+        await Category.collection.updateOne({ _id: category._id }, { $set: changes });
+    }
+    console.log(`Fixed ${updates.length} categories`);
+}
+
+main()
+.catch(err=>{
+    console.log(err);
+    process.exitCode = 1;
+})
+.finally(()=> mongoose.disconnect());
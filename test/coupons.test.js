@@ -0,0 +1,116 @@
+// Coupon redemption (helpers/coupons.js)
+// Coupon and CouponRedemption are replaced by in-memory collections that apply the same
+// guarded updates MongoDB would, so these tests run without a database.
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { Coupon } = require('../models/Coupon');
+const { CouponRedemption } = require('../models/CouponRedemption');
+const { CouponError, redeemCoupons, releaseCoupons } = require('../helpers/coupons');
+
+const coupons = new Map();
+let redemptions = [];
+
+function addCoupon(code, maxUses, maxUsesPerUser){
+    const coupon = {
+        _id: new mongoose.Types.ObjectId(),
+        code: code,
+        maxUses: maxUses,
+        maxUsesPerUser: maxUsesPerUser,
+        usedCount: 0,
+    };
+    coupons.set(coupon._id.toString(), coupon);
+    return coupon;
+}
+
+function matches(redemption, filter){
+    if (filter.order && !redemption.order.equals(filter.order)) return false;
+    if (filter.coupon && !redemption.coupon.equals(filter.coupon)) return false;
+    if (filter.user && !redemption.user.equals(filter.user)) return false;
+    if (filter._id && redemption._id.toString() > filter._id.$lte.toString()) return false;
+    return true;
+}
+
+beforeEach(()=>{
+    coupons.clear();
+    redemptions = [];
+    // The global limit is checked in the same update that counts the use
+    Coupon.findOneAndUpdate = async (filter)=>{
+        const coupon = coupons.get(filter._id.toString());
+        if (!coupon || (coupon.maxUses !== null && coupon.usedCount >= coupon.maxUses)) return null;
+        coupon.usedCount += 1;
+        return coupon;
+    };
+    Coupon.updateOne = async (filter)=>{
+        const coupon = coupons.get(filter._id.toString());
+        if (coupon && coupon.usedCount > 0) coupon.usedCount -= 1;
+    };
+    CouponRedemption.create = async (fields)=>{
+        const redemption = { _id: new mongoose.Types.ObjectId(), ...fields };
+        redemptions.push(redemption);
+        return redemption;
+    };
+    CouponRedemption.countDocuments = async (filter) => redemptions.filter(redemption => matches(redemption, filter)).length;
+    CouponRedemption.find = async (filter) => redemptions.filter(redemption => matches(redemption, filter));
+    CouponRedemption.deleteMany = async (filter)=>{
+        redemptions = redemptions.filter(redemption => !matches(redemption, filter));
+    };
+});
+
+test('redeemCoupons() counts one use of every coupon of the order', async ()=>{
+    const save10 = addCoupon('SAVE10', 5, null);
+    const cars15 = addCoupon('CARS15', null, 1);
+    const userId = new mongoose.Types.ObjectId();
+    const orderId = new mongoose.Types.ObjectId();
+    await redeemCoupons([{ coupon: save10 }, { coupon: cars15 }], userId, orderId);
+    assert.strictEqual(save10.usedCount, 1);
+    assert.strictEqual(cars15.usedCount, 1);
+    assert.strictEqual(redemptions.length, 2);
+});
+
+test('redeemCoupons() redeems none of the coupons when one has been used up', async ()=>{
+    const save10 = addCoupon('SAVE10', 5, null);
+    const cars15 = addCoupon('CARS15', 1, null);
+    cars15.usedCount = 1;
+    const orderId = new mongoose.Types.ObjectId();
+    await assert.rejects(
+        redeemCoupons([{ coupon: save10 }, { coupon: cars15 }], new mongoose.Types.ObjectId(), orderId),
+        (err) => err instanceof CouponError && err.status === 409
+    );
+    assert.strictEqual(save10.usedCount, 0);
+    assert.strictEqual(cars15.usedCount, 1);
+    assert.strictEqual(redemptions.length, 0);
+});
+
+test('two orders for the last use of a coupon: only one of them gets it', async ()=>{
+    const save10 = addCoupon('SAVE10', 1, null);
+    const results = await Promise.allSettled([
+        redeemCoupons([{ coupon: save10 }], new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId()),
+        redeemCoupons([{ coupon: save10 }], new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId()),
+    ]);
+    assert.deepStrictEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected']);
+    assert.strictEqual(save10.usedCount, 1);
+    assert.strictEqual(redemptions.length, 1);
+});
+
+test('two orders of the same user for a once per user coupon: only one of them gets it', async ()=>{
+    const welcome = addCoupon('WELCOME', null, 1);
+    const userId = new mongoose.Types.ObjectId();
+    const results = await Promise.allSettled([
+        redeemCoupons([{ coupon: welcome }], userId, new mongoose.Types.ObjectId()),
+        redeemCoupons([{ coupon: welcome }], userId, new mongoose.Types.ObjectId()),
+    ]);
+    assert.deepStrictEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected']);
+    assert.strictEqual(welcome.usedCount, 1);
+    assert.strictEqual(redemptions.length, 1);
+});
+
+test('releaseCoupons() gives back the coupon uses of an order', async ()=>{
+    const save10 = addCoupon('SAVE10', 5, null);
+    const orderId = new mongoose.Types.ObjectId();
+    await redeemCoupons([{ coupon: save10 }], new mongoose.Types.ObjectId(), orderId);
+    await releaseCoupons(orderId);
+    assert.strictEqual(save10.usedCount, 0);
+    assert.strictEqual(redemptions.length, 0);
+});
@@ -0,0 +1,99 @@
+// Payment webhooks (helpers/payments.js)
+// Webhooks are signed by the fake payment provider; Payment and PaymentEvent are replaced
+// by in-memory collections, so these tests run without a database.
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { Payment } = require('../models/Payment');
+const { PaymentEvent } = require('../models/PaymentEvent');
+const { createFakePaymentProvider, setPaymentProvider } = require('../helpers/paymentProviders');
+const { PAYMENT_STATUS, handleWebhook } = require('../helpers/payments');
+
+const provider = createFakePaymentProvider('test-webhook-secret');
+setPaymentProvider(provider);
+
+let payment;
+let events;
+let paymentUpdates;
+
+beforeEach(()=>{
+    payment = {
+        _id: new mongoose.Types.ObjectId(),
+        provider: 'fake',
+        providerPaymentId: 'fake_pi_1',
+        status: PAYMENT_STATUS.REQUIRES_PAYMENT,
+        amount: 20,
+    };
+    events = new Set();
+    paymentUpdates = 0;
+    Payment.findOne = async (filter) => filter.providerPaymentId === payment.providerPaymentId ? payment : null;
+    // movePayment(): only a payment in one of the expected statuses is changed
+    Payment.findOneAndUpdate = async (filter, update)=>{
+        if (!filter.status.$in.includes(payment.status)) return null;
+        paymentUpdates += 1;
+        Object.assign(payment, update.$set);
+        return payment;
+    };
+    // The unique index on provider and eventId
+    PaymentEvent.create = async (fields)=>{
+        const key = `${fields.provider}:${fields.eventId}`;
+        if (events.has(key)) {
+            throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+        }
+        events.add(key);
+        return fields;
+    };
+    PaymentEvent.deleteOne = async (filter)=>{
+        events.delete(`${filter.provider}:${filter.eventId}`);
+    };
+});
+
+test('a webhook delivered twice is only handled once', async ()=>{
+    const { rawBody, headers } = provider.simulateWebhook('payment.authorized', payment.providerPaymentId, payment.amount);
+    const first = await handleWebhook(rawBody, headers);
+    const second = await handleWebhook(rawBody, headers);
+    assert.strictEqual(first.handled, true);
+    assert.strictEqual(second.handled, false);
+    assert.strictEqual(second.event, first.event);
+    assert.strictEqual(paymentUpdates, 1);
+    assert.strictEqual(payment.status, PAYMENT_STATUS.AUTHORIZED);
+});
+
+test('a late event does not move the payment back', async ()=>{
+    payment.status = PAYMENT_STATUS.SUCCEEDED;
+    const { rawBody, headers } = provider.simulateWebhook('payment.authorized', payment.providerPaymentId, payment.amount);
+    const result = await handleWebhook(rawBody, headers);
+    assert.strictEqual(result.handled, true);
+    assert.strictEqual(paymentUpdates, 0);
+    assert.strictEqual(payment.status, PAYMENT_STATUS.SUCCEEDED);
+});
+
+test('an event that fails is forgotten so the next delivery is handled', async ()=>{
+    const { rawBody, headers } = provider.simulateWebhook('payment.authorized', payment.providerPaymentId, payment.amount);
+    const findOneAndUpdate = Payment.findOneAndUpdate;
+    Payment.findOneAndUpdate = async () => { throw new Error('Connection lost'); };
+    await assert.rejects(handleWebhook(rawBody, headers), /Connection lost/);
+    assert.strictEqual(events.size, 0);
+
+    Payment.findOneAndUpdate = findOneAndUpdate;
+    const result = await handleWebhook(rawBody, headers);
+    assert.strictEqual(result.handled, true);
+    assert.strictEqual(payment.status, PAYMENT_STATUS.AUTHORIZED);
+});
+
+test('a webhook with a wrong signature is rejected and not recorded', async ()=>{
+    const { rawBody, headers } = provider.simulateWebhook('payment.authorized', payment.providerPaymentId, payment.amount);
+    const tampered = Buffer.from(rawBody.toString().replace('"amount":20', '"amount":0'));
+    await assert.rejects(handleWebhook(tampered, headers), (err) => err.status === 400 && err.code === 'INVALID_SIGNATURE');
+    await assert.rejects(handleWebhook(rawBody, {}), (err) => err.code === 'INVALID_SIGNATURE');
+    assert.strictEqual(events.size, 0);
+    assert.strictEqual(payment.status, PAYMENT_STATUS.REQUIRES_PAYMENT);
+});
+
+test('a webhook signed with another secret is rejected', async ()=>{
+    const other = createFakePaymentProvider('another-secret');
+    const { rawBody, headers } = other.simulateWebhook('payment.succeeded', payment.providerPaymentId, payment.amount);
+    await assert.rejects(handleWebhook(rawBody, headers), (err) => err.code === 'INVALID_SIGNATURE');
+    assert.strictEqual(paymentUpdates, 0);
+});
@@ -0,0 +1,60 @@
+// Refresh token rotation (helpers/sessions.js)
+// Sessions are kept in the memory session store and the User model is stubbed,
+// so these tests run without a database.
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+
+process.env.SECRET = process.env.SECRET || 'test-secret';
+
+const { User } = require('../models/User');
+const { SessionError, createMemorySessionStore, setSessionStore, createSession, refreshSession, isSessionActive } = require('../helpers/sessions');
+
+const user = { _id: new mongoose.Types.ObjectId(), isAdmin: false, role: 'customer', isActive: true };
+
+function sessionIdOf(refreshToken){
+    return refreshToken.split('.')[0];
+}
+
+beforeEach(()=>{
+    setSessionStore(createMemorySessionStore());
+    user.isActive = true;
+    User.findById = async () => user;
+});
+
+test('refreshSession() returns a new pair of tokens for the same session', async ()=>{
+    const tokens = await createSession(user);
+    const refreshed = await refreshSession(tokens.refreshToken);
+    assert.notStrictEqual(refreshed.refreshToken, tokens.refreshToken);
+    assert.strictEqual(sessionIdOf(refreshed.refreshToken), sessionIdOf(tokens.refreshToken));
+    assert.ok(await isSessionActive(sessionIdOf(refreshed.refreshToken)));
+});
+
+test('a refresh token that is used again revokes the whole session', async ()=>{
+    const tokens = await createSession(user);
+    const refreshed = await refreshSession(tokens.refreshToken);
+    await assert.rejects(refreshSession(tokens.refreshToken), SessionError);
+    assert.strictEqual(await isSessionActive(sessionIdOf(tokens.refreshToken)), false);
+    // The token handed out by the rotation cannot be used either
+    await assert.rejects(refreshSession(refreshed.refreshToken), SessionError);
+});
+
+test('two refreshes with the same token at the same time: only one of them succeeds', async ()=>{
+    const tokens = await createSession(user);
+    const results = await Promise.allSettled([refreshSession(tokens.refreshToken), refreshSession(tokens.refreshToken)]);
+    assert.ok(results.some(result => result.status === 'rejected'));
+    assert.strictEqual(await isSessionActive(sessionIdOf(tokens.refreshToken)), false);
+});
+
+test('refreshSession() refuses a malformed refresh token', async ()=>{
+    await assert.rejects(refreshSession('not-a-token'), (err) => err instanceof SessionError && err.status === 401);
+    await assert.rejects(refreshSession(undefined), SessionError);
+});
+
+test('refreshSession() revokes the session of a deactivated user', async ()=>{
+    const tokens = await createSession(user);
+    user.isActive = false;
+    await assert.rejects(refreshSession(tokens.refreshToken), SessionError);
+    assert.strictEqual(await isSessionActive(sessionIdOf(tokens.refreshToken)), false);
+});
@@ -0,0 +1,129 @@
+// Stock reservation (helpers/stock.js)
+// The Product model is replaced by an in-memory collection that applies the same guarded
+// updates MongoDB would, so these tests run without a database.
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { Product } = require('../models/Product');
+const { reserveStock, releaseStock } = require('../helpers/stock');
+
+const products = new Map();
+
+function addProduct(countInStock, variants){
+    const product = {
+        _id: new mongoose.Types.ObjectId(),
+        countInStock: countInStock,
+        variants: (variants || []).map(stock => ({ _id: new mongoose.Types.ObjectId(), countInStock: stock })),
+    };
+    products.set(product._id.toString(), product);
+    return product;
+}
+
+function findVariant(product, id){
+    return product.variants.find(variant => variant._id.toString() === id.toString());
+}
+
+// The filters and updates used by takeStock() and putBackStock()
+function applyUpdate(filter, update){
+    const product = products.get(filter._id.toString());
+    if (!product) return null;
+    let variant = null;
+    if (filter.variants) {
+        const match = filter.variants.$elemMatch;
+        variant = findVariant(product, match._id);
+        if (!variant || variant.countInStock < match.countInStock.$gte) return null;
+    } else if (filter['variants._id']) {
+        variant = findVariant(product, filter['variants._id']);
+        if (!variant) return null;
+    } else if (filter.countInStock) {
+        if (product.variants.length > 0 || product.countInStock < filter.countInStock.$gte) return null;
+    }
+    const inc = update.$inc;
+    if (variant) variant.countInStock += inc['variants.$.countInStock'];
+    product.countInStock += inc.countInStock;
+    return product;
+}
+
+beforeEach(()=>{
+    products.clear();
+    Product.findOneAndUpdate = async (filter, update) => applyUpdate(filter, update);
+    Product.updateOne = async (filter, update) => ({ modifiedCount: applyUpdate(filter, update) ? 1 : 0 });
+    Product.find = (filter)=>({
+        select: async () => filter._id.$in.map(id => products.get(id.toString())).filter(product => product),
+    });
+});
+
+test('reserveStock() takes the stock of every line when there is enough', async ()=>{
+    const shirt = addProduct(5);
+    const shoe = addProduct(4, [3, 1]);
+    const errors = await reserveStock([
+        { product: shirt._id, quantity: 2 },
+        { product: shirt._id, quantity: 1 },
+        { product: shoe._id, variant: shoe.variants[0]._id, quantity: 3 },
+    ]);
+    assert.deepStrictEqual(errors, []);
+    assert.strictEqual(shirt.countInStock, 2);
+    assert.strictEqual(shoe.variants[0].countInStock, 0);
+    assert.strictEqual(shoe.countInStock, 1);
+});
+
+test('reserveStock() puts back what it took when a line is short and reports the shortage', async ()=>{
+    const shirt = addProduct(5);
+    const shoe = addProduct(4, [3, 1]);
+    const errors = await reserveStock([
+        { product: shirt._id, quantity: 2 },
+        { product: shoe._id, variant: shoe.variants[1]._id, quantity: 2 },
+    ]);
+    assert.strictEqual(errors.length, 1);
+    assert.deepStrictEqual(errors[0], {
+        line: 1,
+        product: shoe._id.toString(),
+        variant: shoe.variants[1]._id.toString(),
+        quantity: 2,
+        available: 1,
+        error: 'Insufficient stock',
+    });
+    assert.strictEqual(shirt.countInStock, 5);
+    assert.strictEqual(shoe.countInStock, 4);
+    assert.strictEqual(shoe.variants[1].countInStock, 1);
+});
+
+test('reserveStock() counts a product listed twice against its total quantity', async ()=>{
+    const shirt = addProduct(2);
+    const errors = await reserveStock([
+        { product: shirt._id, quantity: 2 },
+        { product: shirt._id, quantity: 1 },
+    ]);
+    assert.deepStrictEqual(errors.map(error => error.line), [0, 1]);
+    assert.strictEqual(shirt.countInStock, 2);
+});
+
+test('reserveStock() refuses a product with variants ordered without a variant', async ()=>{
+    const shoe = addProduct(4, [3, 1]);
+    const errors = await reserveStock([{ product: shoe._id, quantity: 1 }]);
+    assert.strictEqual(errors[0].error, 'Please choose a variant of this product');
+    assert.strictEqual(shoe.countInStock, 4);
+});
+
+test('two orders for the last unit: only one of them gets it', async ()=>{
+    const shirt = addProduct(1);
+    const results = await Promise.all([
+        reserveStock([{ product: shirt._id, quantity: 1 }]),
+        reserveStock([{ product: shirt._id, quantity: 1 }]),
+    ]);
+    assert.deepStrictEqual(results.map(errors => errors.length).sort(), [0, 1]);
+    assert.strictEqual(shirt.countInStock, 0);
+});
+
+test('releaseStock() puts the stock of every line back', async ()=>{
+    const shirt = addProduct(0);
+    const shoe = addProduct(0, [0, 0]);
+    await releaseStock([
+        { product: shirt._id, quantity: 2 },
+        { product: shoe._id, variant: shoe.variants[1]._id, quantity: 3 },
+    ]);
+    assert.strictEqual(shirt.countInStock, 2);
+    assert.strictEqual(shoe.variants[1].countInStock, 3);
+    assert.strictEqual(shoe.countInStock, 3);
+});
@@ -0,0 +1,107 @@
+// Adding variants to a product (POST /products/:id/variants in routes/products.js)
+// The router is mounted on its own, with a staff token already decoded, and the models are
+// stubbed, so these tests run without a database.
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const mongoose = require('mongoose');
+const { Product } = require('../models/Product');
+const { Order } = require('../models/Order');
+const { OrderItem } = require('../models/OrderItem');
+const errorHandler = require('../helpers/errorHandler');
+const productsRouter = require('../routes/products');
+
+let server;
+let baseUrl;
+let product;
+let openOrderItems;
+let updates;
+
+before(async ()=>{
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next)=>{
+        req.auth = { userId: new mongoose.Types.ObjectId().toString(), userRole: 'staff' };
+        next();
+    });
+    app.use('/products', productsRouter);
+    app.use(errorHandler);
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(()=>{
+    server.close();
+});
+
+beforeEach(()=>{
+    product = { _id: new mongoose.Types.ObjectId(), price: 20, countInStock: 10, images: [], variants: [], __v: 0 };
+    openOrderItems = [];
+    updates = [];
+    Product.findById = () => ({ select: async () => product });
+    Product.findOneAndUpdate = async (filter, update)=>{
+        updates.push({ filter, update });
+        if (filter.countInStock !== undefined && filter.countInStock !== product.countInStock) return null;
+        return { ...product, countInStock: update.$set ? update.$set.countInStock : product.countInStock + update.$inc.countInStock };
+    };
+    Order.distinct = async () => openOrderItems.map(item => item._id);
+    OrderItem.find = (filter)=>({
+        select: async () => openOrderItems.filter(item=>
+            item.product.equals(filter.product) && item.variant === filter.variant),
+    });
+});
+
+function addVariant(body){
+    return fetch(`${baseUrl}/products/${product._id}/variants`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+    });
+}
+
+const redMedium = { sku: 'TSHIRT-RED-M', attributes: { color: 'Red', size: 'M' }, countInStock: 12 };
+
+test('the first variant replaces the stock of the product', async ()=>{
+    const response = await addVariant(redMedium);
+    assert.strictEqual(response.status, 201);
+    assert.strictEqual(updates.length, 1);
+    assert.deepStrictEqual(updates[0].update.$set, { countInStock: 12 });
+    assert.strictEqual(updates[0].filter.countInStock, 10);
+});
+
+test('the first variant is refused while open orders hold stock of the product', async ()=>{
+    openOrderItems = [
+        { _id: new mongoose.Types.ObjectId(), product: product._id, variant: null, quantity: 2 },
+        { _id: new mongoose.Types.ObjectId(), product: product._id, variant: null, quantity: 1 },
+        { _id: new mongoose.Types.ObjectId(), product: new mongoose.Types.ObjectId(), variant: null, quantity: 5 },
+    ];
+    const response = await addVariant(redMedium);
+    const body = await response.json();
+    assert.strictEqual(response.status, 409);
+    assert.strictEqual(body.code, 'STOCK_HELD');
+    assert.match(body.error, /^3 units/);
+    assert.strictEqual(updates.length, 0);
+});
+
+test('the first variant is refused when an order takes stock of the product in the meantime', async ()=>{
+    const findOneAndUpdate = Product.findOneAndUpdate;
+    Product.findOneAndUpdate = async (filter, update)=>{
+        product.countInStock -= 1;
+        return findOneAndUpdate(filter, update);
+    };
+    const response = await addVariant(redMedium);
+    const body = await response.json();
+    assert.strictEqual(response.status, 409);
+    assert.strictEqual(body.code, 'CONCURRENT_UPDATE');
+});
+
+test('later variants add their stock to the product whatever orders hold', async ()=>{
+    product.variants = [{ _id: new mongoose.Types.ObjectId(), sku: 'TSHIRT-RED-S', attributes: { color: 'Red', size: 'S' }, countInStock: 10 }];
+    openOrderItems = [{ _id: new mongoose.Types.ObjectId(), product: product._id, variant: product.variants[0]._id, quantity: 2 }];
+    const response = await addVariant(redMedium);
+    assert.strictEqual(response.status, 201);
+    assert.strictEqual(updates[0].update.$inc.countInStock, 12);
+    assert.strictEqual(updates[0].filter.countInStock, undefined);
+});
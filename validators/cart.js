@@ -0,0 +1,27 @@
+// Request schemas for routes/cart.js (the checkout schema is in validators/orders.js)
+const Joi = require('joi');
+const { objectId } = require('./common');
+
+const addItem = Joi.object({
+    product: objectId.required(),
+    variant: objectId,  // required for products with variants
+    quantity: Joi.number().integer().min(1).default(1),
+});
+
+// A quantity of 0 removes the product from the cart
+const updateItem = Joi.object({
+    quantity: Joi.number().integer().min(0).required(),
+});
+
+const itemParams = Joi.object({ productId: objectId.required() });
+
+// '?variant=<id>' picks the variant when the cart has several variants of the product
+const itemQuery = Joi.object({ variant: objectId });
+
+exports.addItem = addItem;
+exports.updateItem = updateItem;
+exports.itemParams = itemParams;
+exports.itemQuery = itemQuery;
+
+// Checking out takes the same shipping address, coupon codes and shipping method as placing an order
+exports.checkout = require('./orders').checkout;
@@ -0,0 +1,40 @@
+// Request schemas for routes/categories.js
+const Joi = require('joi');
+const { objectId, hexColor, slug, paginationQuery } = require('./common');
+
+const categoryFields = {
+    name: Joi.string().trim().min(1).max(100),
+    color: hexColor,
+    icon: Joi.string().trim().allow('').max(100),
+    slug: slug,  // made from the name when left out on create
+    parent: objectId.allow(null),  // null for a top level category
+    sortOrder: Joi.number().integer(),
+};
+
+const listCategories = Joi.object({
+    ...paginationQuery,
+    parent: Joi.alternatives().try(objectId, Joi.string().valid('root')),  // 'root' for the top level categories
+});
+
+const categoryTree = Joi.object({
+    root: objectId,  // only this category and its subcategories
+});
+
+// What happens to the products of the category (see helpers/deletePolicies.js)
+const deleteCategory = Joi.object({
+    policy: Joi.string().valid('block', 'reassign', 'archive'),
+    to: objectId,  // the category the products are moved to with policy=reassign
+});
+
+const createCategory = Joi.object({
+    ...categoryFields,
+    name: categoryFields.name.required(),
+});
+
+const updateCategory = Joi.object(categoryFields).min(1);
+
+exports.listCategories = listCategories;
+exports.categoryTree = categoryTree;
+exports.createCategory = createCategory;
+exports.updateCategory = updateCategory;
+exports.deleteCategory = deleteCategory;
@@ -0,0 +1,54 @@
+// Building blocks shared by the request schemas in this folder (see helpers/validate.js)
+const Joi = require('joi');
+
+// Formats also enforced by the Mongoose schemas in models/
+const PATTERNS = {
+    email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+    phone: /^\+?[0-9 ()-]{6,20}$/,  // e.g. '+420 702 241 333' or '(555) 123-4567'
+    hexColor: /^#([0-9a-fA-F]{3}|[0-9a-fA-F]{6})$/,  // e.g. '#000' or '#ff9900'
+    slug: /^[a-z0-9]+(-[a-z0-9]+)*$/,  // e.g. 'electric-cars'
+};
+
+const objectId = Joi.string().pattern(/^[0-9a-fA-F]{24}$/).messages({
+    'string.pattern.base': '{{#label}} must be a valid id',
+});
+
+// Joi's email check is stricter than PATTERNS.email, so anything it accepts also passes the model
+const email = Joi.string().trim().lowercase().email({ tlds: { allow: false } });
+const phone = Joi.string().trim().pattern(PATTERNS.phone).messages({
+    'string.pattern.base': '{{#label}} must be a phone number like +420 702 241 333',
+});
+const hexColor = Joi.string().trim().pattern(PATTERNS.hexColor).messages({
+    'string.pattern.base': '{{#label}} must be a hex color like #ff9900',
+});
+const slug = Joi.string().trim().lowercase().max(100).pattern(PATTERNS.slug).messages({
+    'string.pattern.base': '{{#label}} must be lowercase letters, digits and dashes like electric-cars',
+});
+const password = Joi.string().min(6).max(128);
+
+// Comma separated list of ids, e.g. '?categories=<id>,<id>'
+const objectIdList = Joi.string().trim().pattern(/^[0-9a-fA-F]{24}(,[0-9a-fA-F]{24})*$/).messages({
+    'string.pattern.base': '{{#label}} must be a comma separated list of ids',
+});
+
+// page, limit, cursor, sort and fields understood by helpers/paginate.js
+const paginationQuery = {
+    page: Joi.number().integer().min(1),
+    limit: Joi.number().integer().min(1).max(100),
+    cursor: Joi.string(),
+    sort: Joi.string(),
+    fields: Joi.string(),
+};
+
+const idParams = Joi.object({ id: objectId.required() });
+
+exports.PATTERNS = PATTERNS;
+exports.objectId = objectId;
+exports.objectIdList = objectIdList;
+exports.email = email;
+exports.phone = phone;
+exports.hexColor = hexColor;
+exports.slug = slug;
+exports.password = password;
+exports.paginationQuery = paginationQuery;
+exports.idParams = idParams;
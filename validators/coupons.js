@@ -0,0 +1,33 @@
+// Request schemas for routes/coupons.js
+const Joi = require('joi');
+const { objectId, paginationQuery } = require('./common');
+
+const couponFields = {
+    code: Joi.string().trim().uppercase().pattern(/^[A-Z0-9_-]+$/).max(50),
+    description: Joi.string().trim().allow('').max(500),
+    type: Joi.string().valid('percentage', 'fixed'),
+    value: Joi.number().min(0).when('type', { is: 'percentage', then: Joi.number().max(100) }),
+    minOrderValue: Joi.number().min(0),
+    products: Joi.array().items(objectId),
+    categories: Joi.array().items(objectId),
+    maxUses: Joi.number().integer().min(0).allow(null),
+    maxUsesPerUser: Joi.number().integer().min(0).allow(null),
+    startsAt: Joi.date(),
+    expiresAt: Joi.date().allow(null),
+    isActive: Joi.boolean(),
+};
+
+const listCoupons = Joi.object(paginationQuery);
+
+const createCoupon = Joi.object({
+    ...couponFields,
+    code: couponFields.code.required(),
+    type: couponFields.type.required(),
+    value: couponFields.value.required(),
+});
+
+const updateCoupon = Joi.object(couponFields).min(1);
+
+exports.listCoupons = listCoupons;
+exports.createCoupon = createCoupon;
+exports.updateCoupon = updateCoupon;
@@ -0,0 +1,66 @@
+// Request schemas for routes/orders.js and the checkout in routes/cart.js
+const Joi = require('joi');
+const { objectId, phone, paginationQuery } = require('./common');
+
+const orderItem = Joi.object({
+    product: objectId.required(),
+    variant: objectId,  // required for products with variants
+    quantity: Joi.number().integer().min(1).required(),
+});
+
+// Coupon codes and shipping method, see helpers/coupons.js and helpers/shipping.js
+const pricingFields = {
+    region: Joi.string().trim().allow('').max(100),
+    couponCodes: Joi.array().items(Joi.string().trim().max(50)).max(10),
+    couponCode: Joi.string().trim().max(50),
+    shippingMethod: Joi.string().trim().max(50),
+};
+
+const shippingAddress = {
+    shippingAddress1: Joi.string().trim().min(1).max(200).required(),
+    shippingAddress2: Joi.string().trim().min(1).max(200).required(),
+    city: Joi.string().trim().min(1).max(100).required(),
+    zip: Joi.string().trim().min(1).max(20).required(),
+    country: Joi.string().trim().min(1).max(100).required(),
+    phone: phone.required(),
+};
+
+const listOrders = Joi.object(paginationQuery);
+
+const createOrder = Joi.object({
+    orderItems: Joi.array().items(orderItem).min(1).required(),
+    ...shippingAddress,
+    ...pricingFields,
+    user: objectId,  // only used when staff or admin place an order for a customer
+});
+
+// Only the order items are needed to quote; the country picks the shipping methods and tax rule
+const quoteOrder = Joi.object({
+    orderItems: Joi.array().items(orderItem).min(1).required(),
+    country: Joi.string().trim().allow('').max(100),
+    ...pricingFields,
+});
+
+const checkout = Joi.object({
+    ...shippingAddress,
+    ...pricingFields,
+});
+
+const updateOrderStatus = Joi.object({
+    status: Joi.string().valid('Pending', 'Paid', 'Processing', 'Shipped', 'Delivered', 'Cancelled', 'Refunded').required(),
+    note: Joi.string().trim().allow('').max(500),
+});
+
+const cancelOrder = Joi.object({
+    reason: Joi.string().trim().allow('').max(500),
+});
+
+const userOrdersParams = Joi.object({ userid: objectId.required() });
+
+exports.listOrders = listOrders;
+exports.createOrder = createOrder;
+exports.quoteOrder = quoteOrder;
+exports.checkout = checkout;
+exports.updateOrderStatus = updateOrderStatus;
+exports.cancelOrder = cancelOrder;
+exports.userOrdersParams = userOrdersParams;
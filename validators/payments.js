@@ -0,0 +1,25 @@
+// Request schemas for routes/payments.js
+const Joi = require('joi');
+const { objectId } = require('./common');
+
+const startPayment = Joi.object({
+    order: objectId.required(),
+});
+
+const capturePayment = Joi.object({
+    amount: Joi.number().positive().precision(2),  // the whole authorized amount when left out
+});
+
+const refundPayment = Joi.object({
+    amount: Joi.number().positive().precision(2),  // everything that is left when left out
+    reason: Joi.string().trim().allow('').max(500),
+});
+
+const fakeConfirm = Joi.object({
+    outcome: Joi.string().valid('succeeded', 'failed').default('succeeded'),
+});
+
+exports.startPayment = startPayment;
+exports.capturePayment = capturePayment;
+exports.refundPayment = refundPayment;
+exports.fakeConfirm = fakeConfirm;
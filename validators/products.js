@@ -0,0 +1,96 @@
+// Request schemas for routes/products.js
+// Products are posted as multipart forms, so numbers and booleans arrive as strings
+// and are converted by validate()
+const Joi = require('joi');
+const { objectId, objectIdList, paginationQuery } = require('./common');
+
+const listProducts = Joi.object({
+    ...paginationQuery,
+    categories: objectIdList,
+});
+
+// See helpers/productSearch.js
+const searchProducts = Joi.object({
+    q: Joi.string().trim().allow('').max(200),
+    categories: objectIdList,
+    brands: Joi.string().trim(),
+    minPrice: Joi.number().min(0),
+    maxPrice: Joi.number().min(0),
+    isFeatured: Joi.boolean(),
+    inStock: Joi.boolean(),
+    minRating: Joi.number().min(0).max(5),
+    sort: Joi.string().valid('relevance', 'price', '-price', 'rating', '-rating', 'name', '-name', '-dateCreated'),
+    page: paginationQuery.page,
+    limit: paginationQuery.limit,
+});
+
+// PUT replaces the whole product, so it needs the same fields as POST
+const saveProduct = Joi.object({
+    name: Joi.string().trim().min(1).max(200).required(),
+    description: Joi.string().trim().min(1).required(),
+    richDescription: Joi.string().allow(''),
+    brand: Joi.string().trim().allow('').max(100),
+    price: Joi.number().min(0).required(),
+    category: objectId.required(),
+    countInStock: Joi.number().integer().min(0).required(),  // ignored for products with variants
+    isFeatured: Joi.boolean(),
+    weight: Joi.number().min(0),
+});
+
+// DELETE /products/gallery-images/:id?image=<url of the image>
+const removeGalleryImage = Joi.object({
+    image: Joi.string().required(),
+});
+
+// The urls of all the gallery images in their new order
+const reorderGallery = Joi.object({
+    images: Joi.array().items(Joi.string()).min(1).unique().required(),
+});
+
+// Attribute names are used as field names in MongoDB, so they cannot contain '.' or start with '$'
+const variantAttributes = Joi.object().pattern(
+    Joi.string().trim().pattern(/^[A-Za-z0-9][A-Za-z0-9 _-]{0,49}$/),
+    Joi.string().trim().min(1).max(100)
+).min(1).messages({
+    'object.unknown': '{{#label}} is not a valid attribute name (letters, digits, spaces, _ and -)',
+});
+
+// See helpers/variants.js
+const variantFields = {
+    sku: Joi.string().trim().min(1).max(64),
+    attributes: variantAttributes,
+    price: Joi.number().min(0).allow(null),  // null means the product price
+    countInStock: Joi.number().integer().min(0),
+    images: Joi.array().items(Joi.string()).unique(),
+};
+
+const createVariant = Joi.object({
+    ...variantFields,
+    sku: variantFields.sku.required(),
+    attributes: variantFields.attributes.required(),
+    countInStock: variantFields.countInStock.required(),
+});
+
+const updateVariant = Joi.object(variantFields).min(1);
+
+const variantParams = Joi.object({ id: objectId.required(), variantId: objectId.required() });
+
+// What happens to a product that is in orders (see helpers/deletePolicies.js)
+const deleteProduct = Joi.object({
+    policy: Joi.string().valid('archive', 'block'),
+});
+
+const featuredParams = Joi.object({
+    count: Joi.number().integer().min(1).max(100).required(),
+});
+
+exports.listProducts = listProducts;
+exports.searchProducts = searchProducts;
+exports.saveProduct = saveProduct;
+exports.removeGalleryImage = removeGalleryImage;
+exports.reorderGallery = reorderGallery;
+exports.createVariant = createVariant;
+exports.updateVariant = updateVariant;
+exports.variantParams = variantParams;
+exports.featuredParams = featuredParams;
+exports.deleteProduct = deleteProduct;
@@ -0,0 +1,48 @@
+// Request schemas for routes/returns.js
+const Joi = require('joi');
+const { objectId, paginationQuery } = require('./common');
+
+const note = Joi.string().trim().allow('').max(500);
+
+const listReturns = Joi.object({
+    ...paginationQuery,
+    status: Joi.string().valid('requested', 'approved', 'rejected', 'received', 'refunded', 'cancelled'),
+    order: objectId,
+});
+
+const returnItem = Joi.object({
+    orderItem: objectId.required(),
+    quantity: Joi.number().integer().min(1).required(),
+    reason: Joi.string().valid('damaged', 'defective', 'wrong_item', 'not_as_described', 'no_longer_needed', 'other').required(),
+    note: note,
+});
+
+const createReturn = Joi.object({
+    order: objectId.required(),
+    items: Joi.array().items(returnItem).min(1).unique('orderItem').required(),
+    note: note,
+});
+
+// approve, reject and cancel
+const changeReturn = Joi.object({
+    note: note,
+});
+
+const receiveReturn = Joi.object({
+    items: Joi.array().items(Joi.object({
+        orderItem: objectId.required(),
+        restock: Joi.boolean().required(),
+    })).unique('orderItem'),
+    note: note,
+});
+
+const refundReturn = Joi.object({
+    amount: Joi.number().positive().precision(2),  // what the items were bought for when left out
+    note: note,
+});
+
+exports.listReturns = listReturns;
+exports.createReturn = createReturn;
+exports.changeReturn = changeReturn;
+exports.receiveReturn = receiveReturn;
+exports.refundReturn = refundReturn;
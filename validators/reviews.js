@@ -0,0 +1,41 @@
+// Request schemas for routes/reviews.js
+const Joi = require('joi');
+const { objectId, paginationQuery } = require('./common');
+
+const rating = Joi.number().integer().min(1).max(5);
+const comment = Joi.string().trim().allow('').max(2000);
+
+const listReviews = Joi.object({
+    ...paginationQuery,
+    product: objectId.required(),
+});
+
+const listForModeration = Joi.object({
+    ...paginationQuery,
+    flagged: Joi.boolean(),
+    hidden: Joi.boolean(),
+    product: objectId,
+});
+
+const createReview = Joi.object({
+    product: objectId.required(),
+    rating: rating.required(),
+    comment: comment,
+});
+
+const updateReview = Joi.object({
+    rating: rating,
+    comment: comment,
+}).min(1);
+
+const moderateReview = Joi.object({
+    isHidden: Joi.boolean(),
+    isFlagged: Joi.boolean(),
+    moderationNote: Joi.string().trim().allow('').max(500),
+}).min(1);
+
+exports.listReviews = listReviews;
+exports.listForModeration = listForModeration;
+exports.createReview = createReview;
+exports.updateReview = updateReview;
+exports.moderateReview = moderateReview;
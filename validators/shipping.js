@@ -0,0 +1,45 @@
+// Request schemas for routes/shipping.js
+const Joi = require('joi');
+
+const methodFields = {
+    code: Joi.string().trim().lowercase().pattern(/^[a-z0-9_-]+$/).max(50),
+    name: Joi.string().trim().min(1).max(100),
+    type: Joi.string().valid('flat', 'weight', 'quantity'),
+    rate: Joi.number().min(0),
+    perUnit: Joi.number().min(0),
+    freeOver: Joi.number().min(0).allow(null),
+    countries: Joi.array().items(Joi.string().trim().min(1).max(100)),
+    estimatedDays: Joi.number().integer().min(0).allow(null),
+    isActive: Joi.boolean(),
+};
+
+const taxRuleFields = {
+    country: Joi.string().trim().min(1).max(100),
+    region: Joi.string().trim().allow('').max(100),
+    name: Joi.string().trim().min(1).max(50),
+    rate: Joi.number().min(0).max(100),
+    includeShipping: Joi.boolean(),
+};
+
+const createMethod = Joi.object({
+    ...methodFields,
+    code: methodFields.code.required(),
+    name: methodFields.name.required(),
+    type: methodFields.type.required(),
+    rate: methodFields.rate.required(),
+});
+
+const updateMethod = Joi.object(methodFields).min(1);
+
+const createTaxRule = Joi.object({
+    ...taxRuleFields,
+    country: taxRuleFields.country.required(),
+    rate: taxRuleFields.rate.required(),
+});
+
+const updateTaxRule = Joi.object(taxRuleFields).min(1);
+
+exports.createMethod = createMethod;
+exports.updateMethod = updateMethod;
+exports.createTaxRule = createTaxRule;
+exports.updateTaxRule = updateTaxRule;
@@ -0,0 +1,86 @@
+// Request schemas for routes/users.js
+const Joi = require('joi');
+const { email, phone, password, paginationQuery } = require('./common');
+
+const profileFields = {
+    name: Joi.string().trim().min(1).max(100),
+    phone: phone,
+    street: Joi.string().trim().allow('').max(200),
+    apartment: Joi.string().trim().allow('').max(100),
+    zip: Joi.string().trim().allow('').max(20),
+    city: Joi.string().trim().allow('').max(100),
+    country: Joi.string().trim().allow('').max(100),
+};
+
+const role = Joi.string().valid('customer', 'staff', 'admin');
+
+const listUsers = Joi.object(paginationQuery);
+
+const register = Joi.object({
+    ...profileFields,
+    name: profileFields.name.required(),
+    phone: profileFields.phone.required(),
+    email: email.required(),
+    password: password.required(),
+});
+
+const createUser = register.keys({
+    role: role,
+    isAdmin: Joi.boolean(),
+});
+
+const login = Joi.object({
+    email: email.required(),
+    password: Joi.string().required(),
+    cartToken: Joi.string(),
+});
+
+const refresh = Joi.object({
+    refreshToken: Joi.string().required(),
+});
+
+const logout = Joi.object({
+    allDevices: Joi.boolean(),
+});
+
+const requestEmail = Joi.object({
+    email: email.required(),
+});
+
+const confirmToken = Joi.object({
+    token: Joi.string().hex().required(),
+});
+
+const resetPassword = confirmToken.keys({
+    password: password.required(),
+});
+
+const updateMe = Joi.object(profileFields).min(1);
+
+const changePassword = Joi.object({
+    oldPassword: Joi.string().required(),
+    newPassword: password.required(),
+});
+
+const updateUser = Joi.object({
+    ...profileFields,
+    email: email,
+    isVerified: Joi.boolean(),
+    isActive: Joi.boolean(),
+    role: role,
+    isAdmin: Joi.boolean(),
+    password: password,
+}).min(1);
+
+exports.listUsers = listUsers;
+exports.register = register;
+exports.createUser = createUser;
+exports.login = login;
+exports.refresh = refresh;
+exports.logout = logout;
+exports.requestEmail = requestEmail;
+exports.confirmToken = confirmToken;
+exports.resetPassword = resetPassword;
+exports.updateMe = updateMe;
+exports.changePassword = changePassword;
+exports.updateUser = updateUser;